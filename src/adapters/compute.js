@@ -0,0 +1,112 @@
+/**
+ * CSOP Compute Adapters
+ * Spawn workers running the compute script: Web Workers in browsers,
+ * worker_threads in Node.js. Both expose the Web Worker surface
+ * (postMessage, add/removeEventListener('message' | 'error'), terminate).
+ */
+
+// Gives the worker script the `self` it expects inside worker_threads
+const NODE_PRELUDE = `
+const { parentPort } = require('node:worker_threads');
+const self = {
+    onmessage: null,
+    postMessage: (message) => parentPort.postMessage(message)
+};
+parentPort.on('message', (data) => self.onmessage && self.onmessage({ data }));
+`;
+
+/**
+ * worker_threads Worker behind the Web Worker interface
+ * @private
+ */
+class NodeWorker {
+    constructor(Worker, source) {
+        this.worker = new Worker(NODE_PRELUDE + source, { eval: true });
+        // Idle workers must not keep the process alive
+        this.worker.unref();
+        this.listeners = new Map();
+        this.errorListeners = new Set();
+        this.terminated = false;
+        // An uncaught error or an exit of the thread is reported once as an
+        // 'error' event; without an 'error' listener it would crash the process
+        this.worker.on('error', (error) => this._fail(error));
+        this.worker.on('exit', (code) => this._fail(new Error(`Worker exited with code ${code}`)));
+    }
+
+    addEventListener(type, fn) {
+        if (type === 'error') {
+            this.errorListeners.add(fn);
+            return;
+        }
+        if (type !== 'message') return;
+        const listener = (data) => fn({ data });
+        this.listeners.set(fn, listener);
+        this.worker.on('message', listener);
+    }
+
+    removeEventListener(type, fn) {
+        if (type === 'error') {
+            this.errorListeners.delete(fn);
+            return;
+        }
+        const listener = this.listeners.get(fn);
+        if (listener) {
+            this.worker.off('message', listener);
+            this.listeners.delete(fn);
+        }
+    }
+
+    postMessage(message) {
+        this.worker.postMessage(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+        this.worker.terminate();
+    }
+
+    /**
+     * @private
+     */
+    _fail(error) {
+        if (this.terminated) return;
+        this.terminated = true;
+        for (const fn of this.errorListeners) fn({ type: 'error', message: error.message, error });
+    }
+}
+
+/**
+ * Create a worker factory for the runtime
+ * @param {string} source - Worker script (uses `self.onmessage` / `self.postMessage`)
+ * @param {Object} runtime - Result of detectRuntime()
+ * @param {string} [preferred] - "web" or "node" to skip detection
+ * @returns {Promise<{name: string, spawn: Function, close: Function}>}
+ */
+export async function createWorkerFactory(source, runtime, preferred) {
+    const name = preferred || (runtime.webWorkers ? 'web' : runtime.workerThreads ? 'node' : null);
+
+    if (name === 'web') {
+        const blob = new Blob([source], { type: 'application/javascript' });
+        const url = URL.createObjectURL(blob);
+
+        return {
+            name,
+            spawn: () => new Worker(url),
+            close: () => URL.revokeObjectURL(url)
+        };
+    }
+
+    if (name === 'node') {
+        // Variable specifier keeps browser bundlers from resolving the Node built-in
+        const specifier = 'node:worker_threads';
+        const { Worker: ThreadWorker } = await import(specifier);
+
+        return {
+            name,
+            spawn: () => new NodeWorker(ThreadWorker, source),
+            close: () => {}
+        };
+    }
+
+    throw new Error('No worker support in this runtime (Web Workers or worker_threads)');
+}
@@ -0,0 +1,1097 @@
+/**
+ * CSOP Storage Drivers
+ * Key/value persistence used by StorageCapability: IndexedDB, OPFS and
+ * localStorage in browsers, the file system or memory elsewhere.
+ *
+ * A driver implements `open()`, `get(key, signal)`, `put(key, value, signal)`,
+ * `delete(key, signal)`, `keys(signal)`, `clear(signal)` and `close()`, and has
+ * a `name` (reported as the `driver` of saved data). `open()` rejects when the
+ * driver is unavailable in the current environment.
+ *
+ * Collections use the driver's `defineCollections(collections)` and
+ * `collection(name)` when it has them (IndexedDB), else KeyValueCollection.
+ * Atomic batches use the driver's `batch(ops, signal)` (IndexedDB, Turso),
+ * else runBatch()'s undo log.
+ */
+
+import { createAbortError, throwIfAborted, detectRuntime, generateId, toBase64, fromBase64 } from '../utils.js';
+import { queryRecords, toPage, isAfter, matchesCondition, valueAt } from '../query.js';
+import { applyMigrations, REMOVE } from '../migrations.js';
+import { isSealed } from '../encryption.js';
+
+// Keys (and IndexedDB stores) starting with this are internal
+export const RESERVED_PREFIX = '__csop_';
+
+// IndexedDB store of the applied schema version of each store name
+const SCHEMA_STORE = '__csop_schema';
+
+/**
+ * IndexedDB object store
+ * Collections are object stores of their own ("<storeName>:<name>") with one
+ * index per declared field. Missing stores and indexes, and pending
+ * migrations, are applied by a version upgrade. Apps sharing a database use
+ * different store names: each keeps its own stores and schema version.
+ */
+export class IndexedDBBackend {
+    /**
+     * @param {Object} config
+     * @param {string} config.dbName - Database name (default: "csop-storage")
+     * @param {string} config.storeName - Key/value store, and prefix of collection stores (default: "data")
+     * @param {Function} config.onEvent - Receives migration progress and connection
+     *   events: `{ stage: "start"|"progress"|"done"|"failed"|"blocked"|"versionchange", ... }`
+     *   (more listeners: see listen())
+     */
+    constructor({ dbName = 'csop-storage', storeName = 'data', onEvent } = {}) {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.listeners = new Set(onEvent ? [onEvent] : []);
+        this.db = null;
+        this.closed = false;
+        this.reopening = null;
+        this.collections = new Map();
+        this.migrations = [];
+        this.schemaVersion = 0;
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.closed = false;
+        this.db = await this._openDatabase();
+        await this._upgrade();
+    }
+
+    async get(key, signal) {
+        return this._request('readonly', store => store.get(key),
+            'Failed to get from IndexedDB', signal);
+    }
+
+    async put(key, value, signal) {
+        await this._request('readwrite', store => store.put(value, key),
+            'Failed to save to IndexedDB', signal);
+    }
+
+    async delete(key, signal) {
+        await this._request('readwrite', store => store.delete(key),
+            'Failed to delete from IndexedDB', signal);
+    }
+
+    async keys(signal) {
+        return this._request('readonly', store => store.getAllKeys(),
+            'Failed to list keys from IndexedDB', signal);
+    }
+
+    /**
+     * Empty the key/value store and its collections (other apps' stores stay)
+     */
+    async clear(signal) {
+        const db = await this._connection();
+        const stores = Array.from(db.objectStoreNames)
+            .filter(store => store === this.storeName || store.startsWith(`${this.storeName}:`));
+        for (const store of stores) {
+            await this._request('readwrite', target => target.clear(),
+                'Failed to clear IndexedDB', signal, store);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Create the object stores and indexes of collections that lack them
+     * @param {Map<string, {name: string, indexes: string[]}>} collections - From normalizeCollections()
+     */
+    async defineCollections(collections) {
+        for (const [name, spec] of collections) {
+            this.collections.set(name, spec);
+        }
+        await this._upgrade();
+    }
+
+    /**
+     * @param {string} name - Defined collection
+     * @returns {IndexedDBCollection}
+     */
+    collection(name) {
+        return new IndexedDBCollection(this, this._collectionStore(name));
+    }
+
+    /**
+     * Receive migration progress and connection events
+     * @param {Function} fn - Listener
+     * @returns {Function} Removes the listener
+     */
+    listen(fn) {
+        this.listeners.add(fn);
+        return () => this.listeners.delete(fn);
+    }
+
+    /**
+     * Apply pending migrations in one version upgrade
+     * A failing migration aborts the upgrade: no store, index or record
+     * change of that upgrade is kept.
+     * @param {Object[]} migrations - From normalizeMigrations()
+     * @returns {Promise<number>} Applied schema version
+     * @throws {Error} MIGRATION_FAILED
+     */
+    async migrate(migrations) {
+        this.migrations = migrations;
+        await this._upgrade();
+        return this.schemaVersion;
+    }
+
+    /**
+     * @private
+     */
+    _collectionStore(name) {
+        return `${this.storeName}:${name}`;
+    }
+
+    /**
+     * @private
+     */
+    _emit(event) {
+        for (const fn of this.listeners) fn(event);
+    }
+
+    /**
+     * Open connection, reopened after another tab's upgrade closed it
+     * @private
+     */
+    async _connection() {
+        if (this.db) return this.db;
+        if (this.closed) throw new Error('IndexedDB is closed');
+
+        if (!this.reopening) {
+            this.reopening = this._openDatabase()
+                .then((db) => {
+                    this.db = db;
+                    return db;
+                })
+                .finally(() => {
+                    this.reopening = null;
+                });
+        }
+        return this.reopening;
+    }
+
+    /**
+     * Open the database (at its current version unless `version` is given)
+     * `upgrade(db, transaction)` may return a promise; its rejection aborts
+     * the upgrade and rejects the open. So does an upgrade still running when
+     * the transaction commits (it awaited something other than IndexedDB).
+     * @private
+     */
+    _openDatabase(version, upgrade) {
+        return new Promise((resolve, reject) => {
+            const request = version === undefined
+                ? indexedDB.open(this.dbName)
+                : indexedDB.open(this.dbName, version);
+            let failure = null;
+            let upgrading = false;
+
+            request.onerror = () => {
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                const error = new Error(`Failed to open IndexedDB${request.error ? `: ${request.error.message}` : ''}`);
+                if (request.error) error.name = request.error.name;
+                reject(error);
+            };
+            // Other tabs still hold the old version open
+            request.onblocked = () => {
+                this._emit({ stage: 'blocked', dbName: this.dbName, version });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (upgrading && !failure) {
+                    failure = new Error('IndexedDB upgrade committed before its migrations finished: ' +
+                        'a migration awaited something other than its context');
+                    failure.code = 'MIGRATION_FAILED';
+                }
+                if (failure) {
+                    db.close();
+                    reject(failure);
+                    return;
+                }
+                // Let another tab upgrade: close now, reopen on the next call
+                db.onversionchange = (event) => {
+                    db.close();
+                    if (this.db === db) this.db = null;
+                    this._emit({ stage: 'versionchange', dbName: this.dbName, version: event.newVersion });
+                };
+                resolve(db);
+            };
+            request.onupgradeneeded = () => {
+                if (!upgrade) return;
+                const fail = (error) => {
+                    failure = error;
+                    try {
+                        request.transaction.abort();
+                    } catch (err) {
+                        // Transaction already finished
+                    }
+                };
+                try {
+                    const pending = upgrade(request.result, request.transaction);
+                    if (pending && typeof pending.then === 'function') {
+                        upgrading = true;
+                        pending.then(() => { upgrading = false; }, (error) => {
+                            upgrading = false;
+                            fail(error);
+                        });
+                    }
+                } catch (error) {
+                    fail(error);
+                }
+            };
+        });
+    }
+
+    /**
+     * Stores this backend needs, with their indexes
+     * @private
+     */
+    _stores() {
+        return [
+            { store: this.storeName, indexes: [] },
+            { store: SCHEMA_STORE, indexes: [] },
+            ...Array.from(this.collections.values(), ({ name, indexes }) => ({
+                store: this._collectionStore(name),
+                indexes
+            }))
+        ];
+    }
+
+    /**
+     * Upgrade to the next version while stores, indexes or migrations are
+     * missing (another tab may get there first: the check then runs again)
+     * @private
+     */
+    async _upgrade() {
+        for (let attempt = 0; ; attempt++) {
+            const db = await this._connection();
+            const missing = this._stores().filter(({ store, indexes }) => {
+                if (!db.objectStoreNames.contains(store)) return true;
+                const existing = db.transaction([store], 'readonly').objectStore(store).indexNames;
+                return indexes.some(field => !existing.contains(field));
+            });
+
+            this.schemaVersion = db.objectStoreNames.contains(SCHEMA_STORE)
+                ? (await this._request('readonly', store => store.get(this.storeName),
+                    'Failed to read the IndexedDB schema version', undefined, SCHEMA_STORE)) || 0
+                : 0;
+            const pending = this.migrations.some(migration => migration.version > this.schemaVersion);
+            if (missing.length === 0 && !pending) return;
+            if (attempt >= 3) throw new Error('IndexedDB upgrade did not complete');
+
+            db.close();
+            this.db = null;
+            try {
+                this.db = await this._openDatabase(db.version + 1, (upgradeDb, transaction) =>
+                    this._applyUpgrade(upgradeDb, transaction));
+            } catch (error) {
+                // Another tab upgraded past this version meanwhile (a failed
+                // migration is not retried)
+                if (error.name !== 'VersionError' || attempt >= 2) throw error;
+                this.db = await this._openDatabase();
+            }
+        }
+    }
+
+    /**
+     * Inside the upgrade transaction: create stores and indexes, then run
+     * the migrations newer than the stored schema version
+     * @private
+     */
+    async _applyUpgrade(db, transaction) {
+        for (const { store, indexes } of this._stores()) {
+            const target = db.objectStoreNames.contains(store)
+                ? transaction.objectStore(store)
+                : db.createObjectStore(store);
+            for (const field of indexes) {
+                if (!target.indexNames.contains(field)) target.createIndex(field, field);
+            }
+        }
+
+        const schema = transaction.objectStore(SCHEMA_STORE);
+        const applied = (await requestResult(schema.get(this.storeName))) || 0;
+        const pending = this.migrations.filter(migration => migration.version > applied);
+
+        await applyMigrations(pending, {
+            createContext: (migration, hooks) => this._migrationContext(db, transaction, hooks),
+            applied: migration => requestResult(schema.put(migration.version, this.storeName)),
+            report: event => this._emit(event)
+        });
+    }
+
+    /**
+     * Migration context over the upgrade transaction
+     * @private
+     */
+    _migrationContext(db, transaction, { skipped }) {
+        const storeOf = (collection) => transaction.objectStore(
+            collection === undefined ? this.storeName : this._collectionStore(collection));
+
+        return {
+            db,
+            transaction,
+            createIndex: (collection, field) => {
+                const store = storeOf(collection);
+                if (!store.indexNames.contains(field)) store.createIndex(field, field);
+            },
+            deleteIndex: (collection, field) => {
+                const store = storeOf(collection);
+                if (store.indexNames.contains(field)) store.deleteIndex(field);
+            },
+            updateRecords: (fn, { collection } = {}) => new Promise((resolve, reject) => {
+                const request = storeOf(collection).openCursor();
+                let updated = 0;
+                let sealed = 0;
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        if (sealed > 0) skipped(sealed);
+                        resolve(updated);
+                        return;
+                    }
+                    const own = collection !== undefined || !String(cursor.primaryKey).startsWith(RESERVED_PREFIX);
+                    if (own && isSealed(cursor.value)) {
+                        sealed++;
+                    } else if (own) {
+                        let next;
+                        try {
+                            next = fn(cursor.value, cursor.primaryKey);
+                        } catch (error) {
+                            reject(error);
+                            return;
+                        }
+                        if (next === REMOVE) cursor.delete();
+                        else if (next !== undefined) cursor.update(next);
+                        if (next !== undefined) updated++;
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            })
+        };
+    }
+
+    /**
+     * Run operations in one transaction over the key/value store and collections
+     * Resolves once the transaction commits; any failure rolls every
+     * operation back.
+     * @param {Object[]} ops - `{ type: "get"|"put"|"delete", key, value, collection }`
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array>} Values read by "get" operations (undefined for the others)
+     */
+    batch(ops, signal) {
+        const storeOf = (op) => op.collection === undefined ? this.storeName : this._collectionStore(op.collection);
+        const stores = Array.from(new Set(ops.map(storeOf)));
+        const mode = ops.every(op => op.type === 'get') ? 'readonly' : 'readwrite';
+
+        return this._transaction(stores, mode, (transaction) => {
+            const requests = ops.map((op) => {
+                const store = transaction.objectStore(storeOf(op));
+                if (op.type === 'get') return store.get(op.key);
+                if (op.type === 'put') return store.put(op.value, op.key);
+                return store.delete(op.key);
+            });
+            return () => requests.map((request, index) => ops[index].type === 'get' ? request.result : undefined);
+        }, 'IndexedDB transaction failed', signal);
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @private
+     */
+    _request(mode, makeRequest, errorMessage, signal, storeName = this.storeName) {
+        return this._transaction([storeName], mode, (transaction) => {
+            const request = makeRequest(transaction.objectStore(storeName));
+            return () => request.result;
+        }, errorMessage, signal);
+    }
+
+    /**
+     * Open a transaction, let `run(transaction)` queue its requests, and
+     * resolve with `run`'s result getter once the transaction completes
+     * Aborting the signal aborts the transaction (rolling back any write).
+     * @private
+     */
+    async _transaction(storeNames, mode, run, errorMessage, signal) {
+        const db = await this._connection();
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const transaction = db.transaction(storeNames, mode);
+
+            const onAbort = () => {
+                try {
+                    transaction.abort();
+                } catch (err) {
+                    // Transaction already finished
+                }
+                reject(createAbortError(signal));
+            };
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            // A write is only durable once its transaction completes
+            transaction.oncomplete = () => {
+                cleanup();
+                resolve(result());
+            };
+            transaction.onabort = () => {
+                cleanup();
+                const cause = transaction.error ? `: ${transaction.error.message}` : '';
+                reject(new Error(errorMessage + cause));
+            };
+
+            let result;
+            try {
+                result = run(transaction);
+            } catch (error) {
+                // Invalid keys and uncloneable values throw synchronously
+                try {
+                    transaction.abort();
+                } catch (err) {
+                    // Transaction already finished
+                }
+                cleanup();
+                reject(error);
+            }
+        });
+    }
+}
+
+/**
+ * Collection in its own IndexedDB object store
+ * Queries walk an index (or the store) with a cursor over the key range of
+ * their sort field; other conditions are checked on the visited records.
+ */
+export class IndexedDBCollection {
+    constructor(backend, storeName) {
+        this.backend = backend;
+        this.storeName = storeName;
+    }
+
+    get(key, signal) {
+        return this._request('readonly', store => store.get(key), 'Failed to get from IndexedDB', signal);
+    }
+
+    async put(key, value, signal) {
+        await this._request('readwrite', store => store.put(value, key), 'Failed to save to IndexedDB', signal);
+    }
+
+    async delete(key, signal) {
+        await this._request('readwrite', store => store.delete(key), 'Failed to delete from IndexedDB', signal);
+    }
+
+    keys(signal) {
+        return this._request('readonly', store => store.getAllKeys(), 'Failed to list keys from IndexedDB', signal);
+    }
+
+    async clear(signal) {
+        await this._request('readwrite', store => store.clear(), 'Failed to clear IndexedDB', signal);
+    }
+
+    /**
+     * @param {Object} plan - From planQuery()
+     * @param {AbortSignal} [signal]
+     */
+    async query(plan, signal) {
+        const compare = (a, b) => indexedDB.cmp(a, b);
+        const source = (store) => plan.orderBy ? store.index(plan.orderBy) : store;
+        const driving = plan.conditions.find(condition => condition.field === plan.orderBy);
+        const filters = plan.conditions.filter(condition => condition !== driving);
+        const range = driving ? keyRange(driving) : null;
+
+        // Counting a single range needs no cursor
+        if (plan.count && filters.length === 0 && !plan.cursor) {
+            const count = await this._request('readonly', store => source(store).count(range),
+                'Failed to count in IndexedDB', signal);
+            return { count };
+        }
+
+        const rows = [];
+        let count = 0;
+        let skipped = 0;
+        let more = false;
+        let resumed = !plan.cursor;
+
+        await this._walk(store => source(store).openCursor(range, plan.direction === 'desc' ? 'prev' : 'next'), (cursor) => {
+            const row = { key: cursor.primaryKey, value: cursor.key, data: cursor.value };
+
+            // Jump to the previous page's last item instead of walking to it
+            if (!resumed) {
+                resumed = true;
+                const order = compare(row.value, plan.cursor.value) || compare(row.key, plan.cursor.key);
+                if (plan.direction === 'desc' ? order > 0 : order < 0) {
+                    if (plan.orderBy) cursor.continuePrimaryKey(plan.cursor.value, plan.cursor.key);
+                    else cursor.continue(plan.cursor.key);
+                    return MOVED;
+                }
+            }
+            if (plan.cursor && !isAfter(row, plan, compare)) return CONTINUE;
+            if (!filters.every(condition => matchesCondition(valueAt(row.data, condition.field), condition, compare))) {
+                return CONTINUE;
+            }
+
+            if (plan.count) {
+                count++;
+            } else if (skipped < plan.offset) {
+                skipped++;
+            } else if (rows.length === plan.limit) {
+                more = true;
+                return STOP;
+            } else {
+                rows.push(row);
+            }
+            return CONTINUE;
+        }, signal);
+
+        return plan.count ? { count } : toPage(rows, more);
+    }
+
+    /**
+     * @private
+     */
+    _request(mode, makeRequest, errorMessage, signal) {
+        return this.backend._request(mode, makeRequest, errorMessage, signal, this.storeName);
+    }
+
+    /**
+     * Walk a cursor: `visit(cursor)` returns CONTINUE, STOP, or MOVED when it
+     * repositioned the cursor itself. Resolves when the transaction completes.
+     * @private
+     */
+    _walk(openCursor, visit, signal) {
+        return this._request('readonly', (store) => {
+            const request = openCursor(store);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (visit(cursor) === CONTINUE) cursor.continue();
+                // STOP leaves the cursor, and the transaction completes
+            };
+            return request;
+        }, 'Failed to query IndexedDB', signal);
+    }
+}
+
+const CONTINUE = 'continue';
+const STOP = 'stop';
+const MOVED = 'moved';
+
+/**
+ * Collection kept in any driver, one record per key under a reserved prefix
+ * Queries load every record of the collection and filter in memory.
+ */
+export class KeyValueCollection {
+    /**
+     * @param {Object} driver - Opened driver
+     * @param {string} name - Collection name
+     */
+    constructor(driver, name) {
+        this.driver = driver;
+        this.prefix = `${COLLECTION_PREFIX}${name}:`; // Same keys as runBatch()
+    }
+
+    get(key, signal) {
+        return this.driver.get(this.prefix + key, signal);
+    }
+
+    put(key, value, signal) {
+        return this.driver.put(this.prefix + key, value, signal);
+    }
+
+    delete(key, signal) {
+        return this.driver.delete(this.prefix + key, signal);
+    }
+
+    async keys(signal) {
+        return (await this.driver.keys(signal, this.prefix))
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    async clear(signal) {
+        for (const key of await this.keys(signal)) {
+            await this.delete(key, signal);
+        }
+    }
+
+    /**
+     * @param {Object} plan - From planQuery()
+     * @param {AbortSignal} [signal]
+     */
+    async query(plan, signal) {
+        const records = [];
+        for (const key of await this.keys(signal)) {
+            const data = await this.get(key, signal);
+            if (data !== undefined) records.push({ key, data });
+        }
+        return queryRecords(records, plan);
+    }
+}
+
+// Keys of KeyValueCollection records
+export const COLLECTION_PREFIX = `${RESERVED_PREFIX}collection__:`;
+
+/**
+ * Run a batch of operations atomically on any driver
+ * Uses the driver's `batch(ops, signal)` when it has one (IndexedDB, Turso).
+ * Otherwise operations run in order and, on a failure, the keys already
+ * written get their previous values back before the error is rethrown.
+ * @param {Object} driver - Opened driver
+ * @param {Object[]} ops - `{ type: "get"|"put"|"delete", key, value, collection }`
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array>} Values read by "get" operations (undefined for the others)
+ */
+export async function runBatch(driver, ops, signal) {
+    if (typeof driver.batch === 'function') {
+        return driver.batch(ops, signal);
+    }
+
+    const results = [];
+    const undo = [];
+    try {
+        for (const op of ops) {
+            throwIfAborted(signal);
+            const key = op.collection === undefined ? op.key : `${COLLECTION_PREFIX}${op.collection}:${op.key}`;
+
+            if (op.type === 'get') {
+                results.push(await driver.get(key, signal));
+                continue;
+            }
+            undo.push({ key, value: await driver.get(key, signal) });
+            if (op.type === 'put') await driver.put(key, op.value, signal);
+            else await driver.delete(key, signal);
+            results.push(undefined);
+        }
+    } catch (error) {
+        for (const { key, value } of undo.reverse()) {
+            try {
+                if (value === undefined) await driver.delete(key);
+                else await driver.put(key, value);
+            } catch (err) {
+                // Keep restoring the other keys
+            }
+        }
+        throw error;
+    }
+    return results;
+}
+
+/**
+ * IDBKeyRange of a condition
+ * @private
+ */
+function keyRange(condition) {
+    if (condition.eq !== undefined) return IDBKeyRange.only(condition.eq);
+    if (condition.lower !== undefined && condition.upper !== undefined) {
+        return IDBKeyRange.bound(condition.lower, condition.upper, condition.lowerOpen, condition.upperOpen);
+    }
+    if (condition.lower !== undefined) return IDBKeyRange.lowerBound(condition.lower, condition.lowerOpen);
+    return IDBKeyRange.upperBound(condition.upper, condition.upperOpen);
+}
+
+// Result of a request inside an already running transaction
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * In-memory map (values are structured-cloned in and out, like IndexedDB)
+ */
+export class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    async open() {}
+
+    async get(key, signal) {
+        throwIfAborted(signal);
+        return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+    }
+
+    async put(key, value, signal) {
+        throwIfAborted(signal);
+        this.data.set(key, structuredClone(value));
+    }
+
+    async delete(key, signal) {
+        throwIfAborted(signal);
+        this.data.delete(key);
+    }
+
+    async keys(signal) {
+        throwIfAborted(signal);
+        return Array.from(this.data.keys());
+    }
+
+    async clear(signal) {
+        throwIfAborted(signal);
+        this.data.clear();
+    }
+
+    close() {}
+}
+
+/**
+ * Window localStorage, one JSON item per key under a namespace
+ * Synchronous and small (about 5 MB per origin): suited to settings and sessions.
+ */
+export class LocalStorageBackend {
+    constructor({ namespace = 'csop:' } = {}) {
+        this.name = 'localstorage';
+        this.namespace = namespace;
+        this.storage = null;
+    }
+
+    async open() {
+        // Access itself throws where storage is blocked (e.g. sandboxed iframes)
+        const storage = globalThis.localStorage;
+        if (!storage) {
+            throw new Error('localStorage is not available');
+        }
+        this.storage = storage;
+    }
+
+    async get(key, signal) {
+        throwIfAborted(signal);
+        const item = this.storage.getItem(this.namespace + key);
+        return item === null ? undefined : parseJSON(item);
+    }
+
+    async put(key, value, signal) {
+        throwIfAborted(signal);
+        this.storage.setItem(this.namespace + key, toJSON(value));
+    }
+
+    async delete(key, signal) {
+        throwIfAborted(signal);
+        this.storage.removeItem(this.namespace + key);
+    }
+
+    async keys(signal) {
+        throwIfAborted(signal);
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const item = this.storage.key(i);
+            if (item !== null && item.startsWith(this.namespace)) {
+                keys.push(item.slice(this.namespace.length));
+            }
+        }
+        return keys;
+    }
+
+    async clear(signal) {
+        for (const key of await this.keys(signal)) {
+            this.storage.removeItem(this.namespace + key);
+        }
+    }
+
+    close() {}
+}
+
+/**
+ * Origin Private File System, one JSON file per key in a directory
+ */
+export class OPFSBackend {
+    constructor({ directory = 'csop-storage' } = {}) {
+        this.name = 'opfs';
+        this.directory = directory;
+        this.dir = null;
+    }
+
+    async open() {
+        const storage = typeof navigator !== 'undefined' && navigator.storage;
+        if (!storage || typeof storage.getDirectory !== 'function') {
+            throw new Error('Origin Private File System is not available');
+        }
+        // Writes need createWritable(), missing in some engines outside workers
+        const FileHandle = globalThis.FileSystemFileHandle;
+        if (FileHandle && !('createWritable' in FileHandle.prototype)) {
+            throw new Error('OPFS writable streams are not available');
+        }
+
+        const root = await storage.getDirectory();
+        this.dir = await root.getDirectoryHandle(this.directory, { create: true });
+    }
+
+    async get(key, signal) {
+        throwIfAborted(signal);
+        const file = await fileOf(key);
+        try {
+            const handle = await this.dir.getFileHandle(file.name);
+            return decodeFile(file, await (await handle.getFile()).text());
+        } catch (error) {
+            if (error.name === 'NotFoundError') return undefined;
+            throw error;
+        }
+    }
+
+    async put(key, value, signal) {
+        throwIfAborted(signal);
+        const file = await fileOf(key);
+        const handle = await this.dir.getFileHandle(file.name, { create: true });
+        // The file is replaced when the stream closes
+        const writable = await handle.createWritable();
+        await writable.write(encodeFile(file, key, value));
+        await writable.close();
+    }
+
+    async delete(key, signal) {
+        throwIfAborted(signal);
+        try {
+            await this.dir.removeEntry((await fileOf(key)).name);
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+        }
+    }
+
+    async keys(signal) {
+        throwIfAborted(signal);
+        const keys = [];
+        for await (const [name, handle] of this.dir.entries()) {
+            if (name.endsWith('.json')) keys.push(await keyOf(name, async () => (await handle.getFile()).text()));
+        }
+        return keys.filter(key => key !== null);
+    }
+
+    async clear(signal) {
+        for (const key of await this.keys(signal)) {
+            await this.delete(key, signal);
+        }
+    }
+
+    close() {}
+}
+
+/**
+ * One JSON file per key in a directory (Node.js)
+ * Writes go to a temporary file first and are renamed into place.
+ */
+export class FileSystemBackend {
+    constructor({ path = '.csop-storage' } = {}) {
+        this.name = 'filesystem';
+        this.path = path;
+        this.fs = null;
+        this.join = null;
+    }
+
+    async open() {
+        if (!detectRuntime().fileSystem) {
+            throw new Error('The file system is not available');
+        }
+
+        // Variable specifiers keep browser bundlers from resolving Node built-ins
+        const fsModule = 'node:fs/promises';
+        const pathModule = 'node:path';
+        this.fs = await import(fsModule);
+        this.join = (await import(pathModule)).join;
+
+        await this.fs.mkdir(this.path, { recursive: true });
+    }
+
+    async get(key, signal) {
+        throwIfAborted(signal);
+        const file = await fileOf(key);
+        try {
+            return decodeFile(file, await this.fs.readFile(this.join(this.path, file.name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async put(key, value, signal) {
+        throwIfAborted(signal);
+        const file = await fileOf(key);
+        const path = this.join(this.path, file.name);
+        // Unique per write: concurrent writes of a key never share a temporary file
+        const temp = `${path}.${generateId()}.tmp`;
+
+        await this.fs.writeFile(temp, encodeFile(file, key, value));
+        await this.fs.rename(temp, path);
+    }
+
+    async delete(key, signal) {
+        throwIfAborted(signal);
+        await this.fs.rm(this.join(this.path, (await fileOf(key)).name), { force: true });
+    }
+
+    async keys(signal) {
+        throwIfAborted(signal);
+        const keys = [];
+        for (const name of await this.fs.readdir(this.path)) {
+            if (name.endsWith('.json')) keys.push(await keyOf(name, () => this.fs.readFile(this.join(this.path, name), 'utf8')));
+        }
+        return keys.filter(key => key !== null);
+    }
+
+    async clear(signal) {
+        for (const key of await this.keys(signal)) {
+            await this.delete(key, signal);
+        }
+    }
+
+    close() {}
+}
+
+// File names are limited to 255 bytes: a key whose encoded name is longer is
+// stored as "=<SHA-256 of the key>.json" holding `{ key, value }` ("=" never
+// appears in encodeURIComponent output, so the names cannot collide).
+// File systems may ignore case (macOS, Windows): names are lower case, an
+// upper-case letter being written "^" and the letter ("^" is encoded too).
+const MAX_NAME_LENGTH = 200;
+const HASHED = '=';
+const UPPER = '^';
+
+/**
+ * File name of a key, the same in any case only for the same key
+ * @private
+ */
+function encodeName(key) {
+    return encodeURIComponent(key)
+        .replace(/%[0-9A-F]{2}/g, code => code.toLowerCase())
+        .replace(/[A-Z]/g, letter => UPPER + letter.toLowerCase());
+}
+
+function decodeName(name) {
+    return decodeURIComponent(name.replace(/\^([a-z])/g, (match, letter) => letter.toUpperCase()));
+}
+
+/**
+ * File of a key: `{ name, wrapped }`
+ * @private
+ */
+async function fileOf(key) {
+    const encoded = encodeName(key);
+    if (encoded.length <= MAX_NAME_LENGTH) return { name: `${encoded}.json`, wrapped: false };
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+    const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    return { name: `${HASHED}${hex}.json`, wrapped: true };
+}
+
+function encodeFile(file, key, value) {
+    return toJSON(file.wrapped ? { key, value } : value);
+}
+
+function decodeFile(file, text) {
+    const data = parseJSON(text);
+    return file.wrapped ? data.value : data;
+}
+
+/**
+ * Key of a file name (`read()` returns the content of a hashed one), or
+ * null for a hashed file deleted meanwhile
+ * @private
+ */
+async function keyOf(name, read) {
+    if (!name.startsWith(HASHED)) return decodeName(name.slice(0, -'.json'.length));
+    try {
+        return JSON.parse(await read()).key;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Drivers storing JSON (localStorage, files) keep binary values as
+// `{ __csop_binary__: "<type>", data: "<base64>" }`, so they read back as
+// the ArrayBuffer, DataView or typed array that was written
+const BINARY = '__csop_binary__';
+const BINARY_TYPES = ['ArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray',
+    'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+    'BigInt64Array', 'BigUint64Array'];
+
+/**
+ * JSON of a stored value, binary values tagged
+ * @private
+ */
+function toJSON(value) {
+    return JSON.stringify(value, (name, item) => {
+        if (item instanceof ArrayBuffer) return { [BINARY]: 'ArrayBuffer', data: toBase64(item) };
+        if (ArrayBuffer.isView(item) && BINARY_TYPES.includes(item.constructor.name)) {
+            const bytes = new Uint8Array(item.buffer, item.byteOffset, item.byteLength);
+            return { [BINARY]: item.constructor.name, data: toBase64(bytes) };
+        }
+        return item;
+    });
+}
+
+function parseJSON(text) {
+    return JSON.parse(text, (name, item) => {
+        if (!item || typeof item !== 'object' || !BINARY_TYPES.includes(item[BINARY])) return item;
+        const { buffer } = fromBase64(item.data);
+        return item[BINARY] === 'ArrayBuffer' ? buffer : new globalThis[item[BINARY]](buffer);
+    });
+}
+
+/**
+ * Create a built-in driver by name
+ * @param {string} name - "indexeddb" | "opfs" | "localstorage" | "filesystem" | "memory"
+ * @param {Object} config - Storage config (`dbName`, `storeName`, `path`,
+ *   `directory`, `namespace`)
+ * @returns {Object} Driver (not opened yet)
+ * @throws {Error} On an unknown name
+ */
+export function createStorageDriver(name, config = {}) {
+    switch (name) {
+        case 'indexeddb':
+            return new IndexedDBBackend(config);
+        case 'opfs':
+            return new OPFSBackend(config);
+        case 'localstorage':
+            return new LocalStorageBackend(config);
+        case 'filesystem':
+            return new FileSystemBackend(config);
+        case 'memory':
+            return new MemoryBackend();
+        default:
+            throw new Error(`Unknown storage driver "${name}"`);
+    }
+}
+
+/**
+ * Pick the default storage driver for the runtime
+ * @param {Object} config - Storage config: `backend` (a driver name or instance),
+ *   `path` (file system directory), `dbName`, `storeName`
+ * @param {Object} runtime - Result of detectRuntime()
+ * @returns {Object} Driver (not opened yet)
+ */
+export function createStorageBackend(config, runtime) {
+    if (config.backend && typeof config.backend === 'object') {
+        return config.backend;
+    }
+
+    const name = config.backend || (runtime.indexedDB
+        ? 'indexeddb'
+        : config.path && runtime.fileSystem ? 'filesystem' : 'memory');
+
+    return createStorageDriver(name, config);
+}
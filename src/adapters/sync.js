@@ -0,0 +1,59 @@
+/**
+ * CSOP Sync Adapters
+ * In-process message bus used by SyncCapability when no realtime backend
+ * is configured. Every CSOP instance in the same JavaScript realm (page,
+ * worker or Node.js process) shares the default bus.
+ */
+
+export class InProcessBus {
+    constructor() {
+        this.channels = new Map();
+    }
+
+    /**
+     * Deliver an event to every subscriber of a channel
+     * @param {string} channel - Channel name
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @param {Function} [onError] - Called with errors thrown by subscribers
+     * @returns {number} Number of subscribers reached
+     */
+    publish(channel, event, data, onError) {
+        const callbacks = Array.from(this.channels.get(channel) || []);
+        const message = { event, data, timestamp: Date.now() };
+
+        callbacks.forEach(cb => {
+            try {
+                cb(message);
+            } catch (err) {
+                if (onError) onError(err);
+            }
+        });
+        return callbacks.length;
+    }
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} callback - Receives `{ event, data, timestamp }`
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(channel, callback) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        this.channels.get(channel).add(callback);
+
+        return () => {
+            const callbacks = this.channels.get(channel);
+            if (!callbacks) return;
+            callbacks.delete(callback);
+            if (callbacks.size === 0) this.channels.delete(channel);
+        };
+    }
+}
+
+/**
+ * Bus shared by default across CSOP instances
+ */
+export const defaultBus = new InProcessBus();
@@ -0,0 +1,296 @@
+/**
+ * CSOP Turso Backend
+ * libSQL remote storage over the HTTP pipeline protocol (POST /v2/pipeline).
+ * Same interface as the local backends; values are stored as JSON text in
+ * a key/value table created on first use.
+ */
+
+import { delay, createAbortError } from '../utils.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export class TursoBackend {
+    /**
+     * @param {Object} config
+     * @param {string} config.url - Database URL (libsql://, https:// or http://)
+     * @param {string} config.authToken - Database token
+     * @param {string} config.table - Table name (default: "csop_storage")
+     * @param {number} config.retries - Retries of failed requests (network, 429, 5xx; default: 2)
+     * @param {number} config.retryDelay - Delay before the first retry in ms, doubled each time (default: 200)
+     * @param {Function} config.fetch - fetch implementation (default: globalThis.fetch)
+     */
+    constructor({ url, authToken, table = 'csop_storage', retries = 2, retryDelay = 200, fetch } = {}) {
+        if (!url || !authToken) {
+            throw new Error('Turso url and authToken are required');
+        }
+        if (!IDENTIFIER.test(table)) {
+            throw new Error(`Invalid Turso table name "${table}"`);
+        }
+
+        this.name = 'turso';
+        this.endpoint = url.replace(/^libsql:\/\//, 'https://').replace(/\/+$/, '') + '/v2/pipeline';
+        this.authToken = authToken;
+        this.table = table;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+        this.ready = null;
+    }
+
+    /**
+     * Nothing to open: the table is created by the first call
+     */
+    async open() {}
+
+    /**
+     * Create the table (once; retried on the next call if it failed)
+     * @private
+     */
+    _ensureTable(signal) {
+        if (!this.ready) {
+            this.ready = this.execute(
+                `CREATE TABLE IF NOT EXISTS ${this.table} ` +
+                '(key TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)',
+                [],
+                signal
+            ).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async get(key, signal) {
+        await this._ensureTable(signal);
+        const { rows } = await this.execute(`SELECT data FROM ${this.table} WHERE key = ?`, [key], signal);
+        return rows.length > 0 ? JSON.parse(rows[0][0]) : undefined;
+    }
+
+    async put(key, value, signal) {
+        await this._ensureTable(signal);
+        await this.execute(
+            `INSERT OR REPLACE INTO ${this.table} (key, data, updated_at) VALUES (?, ?, ?)`,
+            [key, JSON.stringify(value), Date.now()],
+            signal
+        );
+    }
+
+    async delete(key, signal) {
+        await this._ensureTable(signal);
+        await this.execute(`DELETE FROM ${this.table} WHERE key = ?`, [key], signal);
+    }
+
+    /**
+     * @param {AbortSignal} [signal]
+     * @param {string} [prefix] - Only keys starting with it
+     */
+    async keys(signal, prefix = '') {
+        await this._ensureTable(signal);
+        const { rows } = prefix
+            ? await this.execute(
+                `SELECT key FROM ${this.table} WHERE substr(key, 1, ?) = ? ORDER BY key`,
+                [Array.from(prefix).length, prefix],
+                signal
+            )
+            : await this.execute(`SELECT key FROM ${this.table} ORDER BY key`, [], signal);
+        return rows.map(row => row[0]);
+    }
+
+    async clear(signal) {
+        await this._ensureTable(signal);
+        await this.execute(`DELETE FROM ${this.table}`, [], signal);
+    }
+
+    close() {}
+
+    /**
+     * Run operations in one SQL transaction (see transaction())
+     * @param {Object[]} ops - `{ type: "get"|"put"|"delete", key, value }`
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array>} Values read by "get" operations (undefined for the others)
+     * @throws {Error} TURSO_UNAVAILABLE (retryable) or TURSO_REQUEST_FAILED
+     */
+    async batch(ops, signal) {
+        await this._ensureTable(signal);
+        const now = Date.now();
+        const results = await this.transaction(ops.map((op) => {
+            if (op.type === 'get') return { sql: `SELECT data FROM ${this.table} WHERE key = ?`, args: [op.key] };
+            if (op.type === 'put') {
+                return {
+                    sql: `INSERT OR REPLACE INTO ${this.table} (key, data, updated_at) VALUES (?, ?, ?)`,
+                    args: [op.key, JSON.stringify(op.value), now]
+                };
+            }
+            return { sql: `DELETE FROM ${this.table} WHERE key = ?`, args: [op.key] };
+        }), signal);
+
+        return ops.map((op, index) => op.type === 'get' && results[index].rows.length > 0
+            ? JSON.parse(results[index].rows[0][0])
+            : undefined);
+    }
+
+    /**
+     * Run statements between BEGIN and COMMIT in one request
+     * Each statement runs only if the previous one succeeded; a failure skips
+     * the rest and rolls the transaction back.
+     * @param {Object[]} statements - `{ sql, args }`
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object[]>} One result per statement
+     * @throws {Error} TURSO_UNAVAILABLE (retryable) or TURSO_REQUEST_FAILED
+     */
+    async transaction(statements, signal) {
+        const steps = [{ stmt: { sql: 'BEGIN', args: [] } }];
+        for (const { sql, args = [] } of statements) {
+            steps.push({
+                stmt: { sql, args: args.map(encodeValue) },
+                condition: { type: 'ok', step: steps.length - 1 }
+            });
+        }
+        const commit = steps.length;
+        steps.push({ stmt: { sql: 'COMMIT', args: [] }, condition: { type: 'ok', step: commit - 1 } });
+        steps.push({ stmt: { sql: 'ROLLBACK', args: [] }, condition: { type: 'not', cond: { type: 'ok', step: commit } } });
+
+        const data = await this._post(JSON.stringify({
+            requests: [{ type: 'batch', batch: { steps } }, { type: 'close' }]
+        }), signal);
+
+        const entry = data.results && data.results[0];
+        if (!entry || entry.type !== 'ok') {
+            const message = entry && entry.error ? entry.error.message : 'Missing result';
+            throw tursoError('TURSO_REQUEST_FAILED', `Turso transaction failed: ${message}`);
+        }
+
+        const { step_results: results, step_errors: errors } = entry.response.result;
+        if (!results[commit]) {
+            const failed = errors.find(Boolean);
+            throw tursoError('TURSO_REQUEST_FAILED',
+                `Turso transaction rolled back: ${failed ? failed.message : 'Missing result'}`);
+        }
+        return results.slice(1, commit).map(toResult);
+    }
+
+    /**
+     * Run one statement
+     * @param {string} sql - SQL with `?` placeholders
+     * @param {Array} args - Placeholder values (string, number, boolean, null)
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{columns: string[], rows: Array[], affectedRows: number}>}
+     */
+    async execute(sql, args = [], signal) {
+        const [result] = await this.pipeline([{ sql, args }], signal);
+        return result;
+    }
+
+    /**
+     * Run statements in one pipeline request (in order, each in autocommit)
+     * @param {Object[]} statements - `{ sql, args }`
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object[]>} One result per statement
+     * @throws {Error} TURSO_UNAVAILABLE (retryable) or TURSO_REQUEST_FAILED
+     */
+    async pipeline(statements, signal) {
+        const body = JSON.stringify({
+            requests: [
+                ...statements.map(({ sql, args = [] }) => ({
+                    type: 'execute',
+                    stmt: { sql, args: args.map(encodeValue) }
+                })),
+                { type: 'close' }
+            ]
+        });
+
+        const data = await this._post(body, signal);
+
+        return statements.map((statement, index) => {
+            const entry = data.results && data.results[index];
+            if (!entry || entry.type !== 'ok') {
+                const message = entry && entry.error ? entry.error.message : 'Missing result';
+                throw tursoError('TURSO_REQUEST_FAILED', `Turso statement failed: ${message}`);
+            }
+
+            return toResult(entry.response.result);
+        });
+    }
+
+    /**
+     * POST a pipeline body, retrying network failures, 429 and 5xx
+     * @private
+     */
+    async _post(body, signal) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+
+            try {
+                const response = await this.fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${this.authToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body,
+                    signal
+                });
+
+                if (response.ok) {
+                    return await response.json();
+                }
+
+                const text = await response.text().catch(() => '');
+                const retryable = response.status === 429 || response.status >= 500;
+                error = tursoError(
+                    retryable ? 'TURSO_UNAVAILABLE' : 'TURSO_REQUEST_FAILED',
+                    `Turso request failed (${response.status})${text ? `: ${text}` : ''}`
+                );
+            } catch (err) {
+                if (signal && signal.aborted) throw createAbortError(signal);
+                error = tursoError('TURSO_UNAVAILABLE', `Turso unreachable: ${err.message}`);
+            }
+
+            if (error.code !== 'TURSO_UNAVAILABLE' || attempt >= this.retries) {
+                throw error;
+            }
+            await delay(this.retryDelay * Math.pow(2, attempt), signal);
+        }
+    }
+}
+
+function toResult(result) {
+    return {
+        columns: result.cols.map(col => col.name),
+        rows: result.rows.map(row => row.map(decodeValue)),
+        affectedRows: result.affected_row_count
+    };
+}
+
+function encodeValue(value) {
+    if (value === null || value === undefined) return { type: 'null' };
+    if (typeof value === 'boolean') return { type: 'integer', value: value ? '1' : '0' };
+    if (typeof value === 'number') {
+        return Number.isInteger(value)
+            ? { type: 'integer', value: String(value) }
+            : { type: 'float', value };
+    }
+    return { type: 'text', value: String(value) };
+}
+
+function decodeValue(cell) {
+    switch (cell.type) {
+        case 'null':
+            return null;
+        case 'integer':
+            return Number(cell.value);
+        case 'float':
+            return cell.value;
+        case 'blob':
+            return cell.base64;
+        default:
+            return cell.value;
+    }
+}
+
+function tursoError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
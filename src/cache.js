@@ -0,0 +1,194 @@
+/**
+ * CSOP Response Cache
+ * In-flight deduplication and TTL caching of idempotent actions
+ */
+
+import { stableStringify } from './utils.js';
+
+export class ResponseCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Cached responses kept at most (default: 500)
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.policies = new Map();
+        this.entries = new Map();
+        this.inflight = new Map();
+    }
+
+    /**
+     * Override the cache policy of an action
+     * @param {string} action - Action in format "domain.operation"
+     * @param {Object|false} policy - `{ ttl }` (0 = dedupe only), or false to disable
+     */
+    setPolicy(action, policy) {
+        this.policies.set(action, policy);
+    }
+
+    /**
+     * Override several policies at once: `{ "storage.get": { ttl: 5000 }, ... }`
+     */
+    configure(policies = {}) {
+        for (const [action, policy] of Object.entries(policies)) {
+            this.setPolicy(action, policy);
+        }
+    }
+
+    /**
+     * Effective policy: override, else the manifest operation `cache` field
+     * @param {string} action - Action name
+     * @param {Object} spec - Manifest operation
+     * @returns {Object|null} `{ ttl }` or null if the action is not cached
+     */
+    policyFor(action, spec = {}) {
+        const policy = this.policies.has(action) ? this.policies.get(action) : spec.cache;
+        if (!policy) return null;
+        return { ttl: 0, ...policy };
+    }
+
+    /**
+     * Cache key: action plus a stable serialization of the payload
+     */
+    keyFor(action, payload) {
+        return `${action}:${stableStringify(payload)}`;
+    }
+
+    /**
+     * Serve from cache, join an identical in-flight call, or execute
+     * Only successful responses are cached. Every caller gets its own copy
+     * of the response data, so mutating one never changes another.
+     * @param {string} action - Action name
+     * @param {Object} payload - Action payload
+     * @param {Object} policy - From policyFor()
+     * @param {Function} execute - Produces the response
+     * @returns {Promise<Object>} Response (with `cached: true` when not executed)
+     */
+    async run(action, payload, policy, execute) {
+        const key = this.keyFor(action, payload);
+
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (entry.expiresAt > Date.now()) {
+                entry.hits++;
+                return { ...copy(entry.response), cached: true };
+            }
+            this.entries.delete(key);
+        }
+
+        const pending = this.inflight.get(key);
+        if (pending) {
+            const response = await pending.promise;
+            return { ...copy(response), cached: true };
+        }
+
+        const call = { action, payload, stale: false, promise: null };
+        call.promise = Promise.resolve().then(execute);
+        this.inflight.set(key, call);
+
+        try {
+            const response = await call.promise;
+            if (response.status === 'ok' && policy.ttl > 0 && !call.stale) {
+                this._store(key, action, payload, copy(response), policy.ttl);
+            }
+            return response;
+        } finally {
+            if (this.inflight.get(key) === call) {
+                this.inflight.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Apply the invalidation rules of a mutating action
+     * Each rule `{ action, match }` drops cached (and in-flight) calls of
+     * `action` whose payload fields listed in `match` equal this payload's.
+     * @param {Array<Object>} rules - Manifest operation `invalidates` field
+     * @param {Object} payload - Payload of the mutating call
+     */
+    invalidate(rules = [], payload = {}) {
+        for (const rule of rules) {
+            const matches = (cachedPayload) => (rule.match || []).every(field =>
+                stableStringify(cachedPayload && cachedPayload[field]) === stableStringify(payload[field]));
+
+            for (const [key, entry] of this.entries) {
+                if (entry.action === rule.action && matches(entry.payload)) {
+                    this.entries.delete(key);
+                }
+            }
+
+            for (const [key, call] of this.inflight) {
+                if (call.action === rule.action && matches(call.payload)) {
+                    call.stale = true;
+                    this.inflight.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop cached responses
+     * @param {string} [action] - Only this action (default: everything)
+     */
+    clear(action) {
+        for (const [key, entry] of this.entries) {
+            if (!action || entry.action === action) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * List live cache entries and in-flight calls
+     * @returns {{entries: Array<Object>, inflight: Array<string>}}
+     */
+    inspect() {
+        const now = Date.now();
+        const entries = [];
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                continue;
+            }
+            entries.push({
+                key,
+                action: entry.action,
+                payload: entry.payload,
+                expiresAt: entry.expiresAt,
+                hits: entry.hits
+            });
+        }
+
+        return {
+            entries,
+            inflight: Array.from(this.inflight.keys())
+        };
+    }
+
+    /**
+     * @private
+     */
+    _store(key, action, payload, response, ttl) {
+        // Oldest entries go first (Map keeps insertion order)
+        while (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, {
+            action,
+            payload,
+            response,
+            expiresAt: Date.now() + ttl,
+            hits: 0
+        });
+    }
+}
+
+/**
+ * Response with its own copy of the data
+ * @private
+ */
+function copy(response) {
+    return 'data' in response ? { ...response, data: structuredClone(response.data) } : { ...response };
+}
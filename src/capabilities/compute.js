@@ -1,56 +1,152 @@
 /**
  * CSOP Compute Capability
- * Handles heavy computations using Web Workers
+ * Handles heavy computations using Web Workers (worker_threads in Node.js)
  */
 
+import { createAbortError, detectRuntime } from '../utils.js';
+import { consoleLogger } from '../logger.js';
+import { createWorkerFactory } from '../adapters/compute.js';
+
+const TASK_OPTIONS = {
+    type: 'object',
+    properties: { timeout: { type: 'number', minimum: 1 } }
+};
+
+/**
+ * Capability manifest: public operations, payload/result shapes and defaults.
+ * The router only dispatches listed operations and validates payloads against them.
+ */
+const MANIFEST = {
+    name: 'compute',
+    version: '0.2.0',
+    scope: 'tasks',
+    defaults: { timeout: 30000, retry: 0 },
+    operations: {
+        execute: {
+            description: 'Run a single task on the worker pool',
+            cache: { ttl: 0 },
+            payload: {
+                type: 'object',
+                required: ['task'],
+                properties: {
+                    task: { type: 'string', minLength: 1 },
+                    data: { type: 'object' },
+                    options: TASK_OPTIONS
+                }
+            },
+            result: {}
+        },
+        batch: {
+            description: 'Run several tasks in parallel and collect every outcome',
+            payload: {
+                type: 'object',
+                required: ['tasks'],
+                properties: {
+                    tasks: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['task'],
+                            properties: {
+                                task: { type: 'string', minLength: 1 },
+                                data: { type: 'object' }
+                            }
+                        }
+                    },
+                    options: TASK_OPTIONS
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer' },
+                    completed: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    results: { type: 'array' }
+                }
+            }
+        }
+    }
+};
+
 export class ComputeCapability {
     constructor() {
+        this.manifest = MANIFEST;
+        this.logger = consoleLogger;
         this.workers = [];
         this.queue = [];
-        this.numWorkers = navigator.hardwareConcurrency || 4;
-        this.workerScript = null;
+        this.numWorkers = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        this.workerFactory = null;
     }
 
     /**
      * Initialize worker pool
+     * @param {Object} config - Capability config (`numWorkers`, `workers`: "web" | "node"
+     *   or a `{ name, spawn, close }` factory)
+     * @param {Object} context - `{ csop, logger, runtime }` from the router
      */
-    async init(config = {}) {
+    async init(config = {}, context = {}) {
+        if (context.logger) this.logger = context.logger;
         this.numWorkers = config.numWorkers || this.numWorkers;
         
-        // Create worker script blob
-        this.workerScript = this._createWorkerScript();
+        // Web Workers from a blob URL, or worker_threads in Node.js
+        this.workerFactory = config.workers && typeof config.workers === 'object'
+            ? config.workers
+            : await createWorkerFactory(
+                this._createWorkerScript(),
+                context.runtime || detectRuntime(),
+                config.workers
+            );
         
         // Initialize workers
         for (let i = 0; i < this.numWorkers; i++) {
             this.workers.push({
                 id: i,
-                worker: new Worker(this.workerScript),
-                busy: false
+                worker: null,
+                busy: false,
+                current: null
             });
+            this.workers[i].worker = this._spawnWorker(this.workers[i]);
         }
 
-        console.log(`⚡ Compute initialized with ${this.numWorkers} workers`);
+        this.logger.info(`⚡ Compute initialized with ${this.numWorkers} ${this.workerFactory.name} workers`);
     }
 
     /**
      * EXECUTE - Run a single task
+     * Aborting `context.signal` drops a queued task or kills its running worker.
+     * Progress posted by the worker is forwarded to `context.onProgress`.
      */
-    async execute({ task, data, options = {} }) {
+    async execute({ task, data, options = {} }, { signal, onProgress } = {}) {
         if (!task) {
             throw new Error('Task name is required');
         }
 
         return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
             const taskId = crypto.randomUUID();
-            
-            this.queue.push({
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', entry.onAbort);
+            };
+            const entry = {
                 id: taskId,
                 task,
                 data,
                 options,
-                resolve,
-                reject
-            });
+                onProgress,
+                resolve: (result) => { cleanup(); resolve(result); },
+                reject: (error) => { cleanup(); reject(error); },
+                onAbort: () => this._abortTask(entry, createAbortError(signal))
+            };
+
+            if (signal) signal.addEventListener('abort', entry.onAbort, { once: true });
+            
+            this.queue.push(entry);
 
             this._processQueue();
         });
@@ -59,17 +155,28 @@ export class ComputeCapability {
     /**
      * BATCH - Run multiple tasks in parallel
      */
-    async batch({ tasks, options = {} }) {
+    async batch({ tasks, options = {} }, { signal, onProgress } = {}) {
         if (!Array.isArray(tasks) || tasks.length === 0) {
             throw new Error('Tasks array is required');
         }
 
+        let completed = 0;
+        let failed = 0;
+        const report = (outcome) => {
+            if (outcome.status === 'fulfilled') completed++;
+            else failed++;
+            if (onProgress) {
+                onProgress({ total: tasks.length, completed, failed, task: outcome.task });
+            }
+            return outcome;
+        };
+
         const promises = tasks.map(t => 
             this.execute({ 
                 task: t.task, 
                 data: t.data, 
                 options 
-            }).then(result => ({
+            }, { signal }).then(result => ({
                 status: 'fulfilled',
                 task: t.task,
                 result
@@ -77,7 +184,7 @@ export class ComputeCapability {
                 status: 'rejected',
                 task: t.task,
                 error: error.message
-            }))
+            })).then(report)
         );
 
         const results = await Promise.all(promises);
@@ -104,21 +211,26 @@ export class ComputeCapability {
         // Get next task
         const task = this.queue.shift();
         freeWorker.busy = true;
+        freeWorker.current = task;
 
         // Setup timeout
-        const timeout = setTimeout(() => {
-            freeWorker.worker.terminate();
-            freeWorker.worker = new Worker(this.workerScript);
-            freeWorker.busy = false;
+        task.timer = setTimeout(() => {
+            this._respawnWorker(freeWorker);
             task.reject(new Error('Task timeout'));
             this._processQueue();
         }, task.options.timeout || 30000);
 
-        // Handle result
+        // Handle result (intermediate progress messages are forwarded, not final)
         const handleMessage = (e) => {
-            clearTimeout(timeout);
+            if (e.data.type === 'progress') {
+                if (task.onProgress) task.onProgress(e.data.progress);
+                return;
+            }
+
+            clearTimeout(task.timer);
             freeWorker.worker.removeEventListener('message', handleMessage);
             freeWorker.busy = false;
+            freeWorker.current = null;
 
             if (e.data.success) {
                 task.resolve(e.data.result);
@@ -138,13 +250,76 @@ export class ComputeCapability {
     }
 
     /**
-     * Create worker script
+     * Cancel a task: drop it from the queue, or kill the worker running it
+     * @private
+     */
+    _abortTask(task, error) {
+        const index = this.queue.indexOf(task);
+
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+            task.reject(error);
+            return;
+        }
+
+        const owner = this.workers.find(w => w.current === task);
+        if (owner) {
+            clearTimeout(task.timer);
+            this._respawnWorker(owner);
+            task.reject(error);
+            this._processQueue();
+        }
+    }
+
+    /**
+     * Terminate a worker and replace it with a fresh, idle one
+     * @private
+     */
+    _respawnWorker(entry) {
+        entry.worker.terminate();
+        entry.worker = this._spawnWorker(entry);
+        entry.busy = false;
+        entry.current = null;
+    }
+
+    /**
+     * Spawn a worker for a pool entry, replaced when it crashes
+     * @private
+     */
+    _spawnWorker(entry) {
+        const worker = this.workerFactory.spawn();
+        worker.addEventListener('error', (event) => this._workerFailed(entry, worker, event));
+        return worker;
+    }
+
+    /**
+     * A worker died (uncaught error or exit): fail its task, replace it
+     * @private
+     */
+    _workerFailed(entry, worker, event) {
+        if (entry.worker !== worker) return;
+
+        const message = event.message || (event.error && event.error.message) || 'unknown error';
+        const task = entry.current;
+        this.logger.warn(`⚠️ Compute worker ${entry.id} crashed: ${message}`);
+
+        this._respawnWorker(entry);
+        if (task) {
+            clearTimeout(task.timer);
+            task.reject(new Error(`Worker crashed: ${message}`));
+        }
+        this._processQueue();
+    }
+
+    /**
+     * Create worker script source
      * @private
      */
     _createWorkerScript() {
         const script = `
         self.onmessage = function(e) {
             const { id, task, data } = e.data;
+            const progress = (value) => self.postMessage({ id, type: 'progress', progress: value });
             
             try {
                 let result;
@@ -171,10 +346,10 @@ export class ComputeCapability {
                         break;
                     
                     case 'custom':
-                        // Execute custom function if provided
+                        // Execute custom function if provided (may call progress(value))
                         if (data.fn) {
-                            const fn = new Function('data', data.fn);
-                            result = fn(data.args);
+                            const fn = new Function('data', 'progress', data.fn);
+                            result = fn(data.args, progress);
                         } else {
                             throw new Error('Custom task requires fn parameter');
                         }
@@ -239,8 +414,7 @@ export class ComputeCapability {
         }
         `;
 
-        const blob = new Blob([script], { type: 'application/javascript' });
-        return URL.createObjectURL(blob);
+        return script;
     }
 
     /**
@@ -249,6 +423,10 @@ export class ComputeCapability {
     destroy() {
         this.workers.forEach(w => w.worker.terminate());
         this.workers = [];
-        console.log('⚡ Compute workers terminated');
+        if (this.workerFactory) {
+            this.workerFactory.close();
+            this.workerFactory = null;
+        }
+        this.logger.info('⚡ Compute workers terminated');
     }
 }
\ No newline at end of file
@@ -1,238 +1,1284 @@
 /**
  * CSOP Storage Capability
- * Handles data persistence (IndexedDB + optional Turso)
+ * Handles data persistence through drivers (IndexedDB, OPFS, localStorage,
+ * file system, memory, Turso) chosen per write by routing rules
  */
 
+import { throwIfAborted, detectRuntime } from '../utils.js';
+import {
+    createStorageBackend,
+    createStorageDriver,
+    KeyValueCollection,
+    runBatch,
+    RESERVED_PREFIX,
+    COLLECTION_PREFIX
+} from '../adapters/storage.js';
+import { TursoBackend } from '../adapters/turso.js';
+import { StorageIndex, EVICTION_POLICIES } from '../storage-index.js';
+import { normalizeCollections, planQuery } from '../query.js';
+import { normalizeMigrations, migrateDriver } from '../migrations.js';
+import { Encryption } from '../encryption.js';
+import { CSOPError } from '../errors.js';
+import { consoleLogger } from '../logger.js';
+
+// Keys starting with RESERVED hold index, collection, schema and keyring records
+const RESERVED = RESERVED_PREFIX;
+const KEY = { type: 'string', minLength: 1, maxLength: 255, pattern: `^(?!${RESERVED})` };
+const COLLECTION = { type: 'string', pattern: '^[A-Za-z0-9_-]+$' };
+
+const SAVE_OPTIONS = {
+    type: 'object',
+    properties: {
+        ttl: { type: 'number', minimum: 1 },
+        expiresAt: { type: 'number' },
+        pin: { type: 'boolean' },
+        encrypt: { type: 'boolean' }
+    }
+};
+const KEYS = { type: 'array', minItems: 1, items: KEY };
+
+// Cached reads made stale by a write to a key
+const WRITE_INVALIDATES = [
+    { action: 'get', match: ['collection', 'key'] },
+    { action: 'getMany', match: ['collection'] },
+    { action: 'list', match: ['collection'] },
+    { action: 'query', match: ['collection'] }
+];
+
+// Cached reads made stale by a batch (or a clear)
+const BATCH_INVALIDATES = [
+    { action: 'get' },
+    { action: 'getMany' },
+    { action: 'list' },
+    { action: 'query' }
+];
+
+/**
+ * Capability manifest: public operations, payload/result shapes and defaults.
+ * The router only dispatches listed operations and validates payloads against them.
+ */
+const MANIFEST = {
+    name: 'storage',
+    version: '0.2.0',
+    scope: 'storage',
+    defaults: { timeout: 5000, retry: 0 },
+    operations: {
+        save: {
+            description: 'Store data, routed to the local backend or Turso by size',
+            invalidates: WRITE_INVALIDATES,
+            payload: {
+                type: 'object',
+                required: ['key', 'data'],
+                properties: {
+                    key: KEY,
+                    collection: COLLECTION,
+                    options: SAVE_OPTIONS
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    key: { type: 'string' },
+                    collection: { type: 'string' },
+                    driver: { type: 'string' },
+                    location: { type: 'string' },
+                    size: { type: 'integer' },
+                    expiresAt: { type: 'number' },
+                    encrypted: { type: 'boolean' },
+                    evicted: { type: 'array', items: { type: 'string' } },
+                    warning: { type: 'string' }
+                }
+            }
+        },
+        get: {
+            description: 'Retrieve data by key (fails with KEY_NOT_FOUND)',
+            cache: { ttl: 0 },
+            payload: {
+                type: 'object',
+                required: ['key'],
+                properties: { key: KEY, collection: COLLECTION }
+            },
+            result: {}
+        },
+        delete: {
+            description: 'Remove data by key',
+            invalidates: WRITE_INVALIDATES,
+            payload: {
+                type: 'object',
+                required: ['key'],
+                properties: { key: KEY, collection: COLLECTION }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    deleted: { type: 'boolean' },
+                    key: { type: 'string' }
+                }
+            }
+        },
+        list: {
+            description: 'List keys, optionally filtered by prefix',
+            cache: { ttl: 0 },
+            payload: {
+                type: 'object',
+                properties: { prefix: { type: 'string' }, collection: COLLECTION }
+            },
+            result: { type: 'array', items: { type: 'string' } }
+        },
+        clear: {
+            description: 'Remove every key from one driver or collection, or from all drivers',
+            invalidates: BATCH_INVALIDATES,
+            payload: {
+                type: 'object',
+                properties: { driver: { type: 'string', minLength: 1 }, collection: COLLECTION }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    cleared: { type: 'boolean' },
+                    drivers: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        },
+        saveMany: {
+            description: 'Store several keys in one atomic batch',
+            invalidates: BATCH_INVALIDATES,
+            payload: {
+                type: 'object',
+                required: ['items'],
+                properties: {
+                    items: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['key', 'data'],
+                            properties: { key: KEY, collection: COLLECTION, options: SAVE_OPTIONS }
+                        }
+                    }
+                }
+            },
+            result: { type: 'array', items: { type: 'object' } }
+        },
+        getMany: {
+            description: 'Read several keys in one transaction',
+            cache: { ttl: 0 },
+            payload: {
+                type: 'object',
+                required: ['keys'],
+                properties: { keys: KEYS, collection: COLLECTION }
+            },
+            result: { type: 'array', items: { type: 'object' } }
+        },
+        deleteMany: {
+            description: 'Remove several keys in one atomic batch',
+            invalidates: BATCH_INVALIDATES,
+            payload: {
+                type: 'object',
+                required: ['keys'],
+                properties: { keys: KEYS, collection: COLLECTION }
+            },
+            result: { type: 'array', items: { type: 'object' } }
+        },
+        transaction: {
+            description: 'Run save, get and delete operations atomically, all or nothing',
+            invalidates: BATCH_INVALIDATES,
+            payload: {
+                type: 'object',
+                required: ['ops'],
+                properties: {
+                    ops: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['op', 'key'],
+                            properties: {
+                                op: { type: 'string', enum: ['save', 'get', 'delete'] },
+                                key: KEY,
+                                collection: COLLECTION,
+                                options: SAVE_OPTIONS
+                            }
+                        }
+                    }
+                }
+            },
+            result: { type: 'array', items: { type: 'object' } }
+        },
+        query: {
+            description: 'Find records of a collection by its indexes, sorted and paginated',
+            cache: { ttl: 0 },
+            payload: {
+                type: 'object',
+                required: ['collection'],
+                properties: {
+                    collection: COLLECTION,
+                    where: { type: 'object' },
+                    orderBy: { type: 'string' },
+                    direction: { type: 'string', enum: ['asc', 'desc'] },
+                    limit: { type: 'integer', minimum: 1 },
+                    offset: { type: 'integer', minimum: 0 },
+                    cursor: { type: 'string' },
+                    count: { type: 'boolean' }
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    items: { type: 'array', items: { type: 'object' } },
+                    cursor: { type: ['string', 'null'] },
+                    count: { type: 'integer' }
+                }
+            }
+        },
+        sweep: {
+            description: 'Remove expired keys now (also runs every sweepInterval)',
+            invalidates: BATCH_INVALIDATES,
+            payload: { type: 'object' },
+            result: {
+                type: 'object',
+                properties: {
+                    removed: { type: 'integer' },
+                    keys: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+const ROUTE_FIELDS = ['prefix', 'minSize', 'maxSize', 'type', 'drivers'];
+
+/**
+ * Check a routing rule
+ * @private
+ */
+function normalizeRoute(route, index) {
+    if (!route || !Array.isArray(route.drivers) || route.drivers.length === 0) {
+        throw new TypeError(`Storage route ${index} needs a non-empty drivers array`);
+    }
+    const unknown = Object.keys(route).filter(field => !ROUTE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new TypeError(`Storage route ${index} has unknown fields: ${unknown.join(', ')}`);
+    }
+    return { ...route, types: route.type === undefined ? null : [].concat(route.type) };
+}
+
+/**
+ * Type a value is routed by: "string", "number", "boolean", "null",
+ * "array", "binary" (ArrayBuffer, typed arrays, Blob) or "object"
+ * @private
+ */
+function valueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value) ||
+        (typeof Blob !== 'undefined' && value instanceof Blob)) return 'binary';
+    return typeof value;
+}
+
+/**
+ * Check a quota config
+ * @private
+ */
+function normalizeQuota({ maxBytes, policy = 'lru' }) {
+    if (typeof maxBytes !== 'number' || !(maxBytes > 0)) {
+        throw new TypeError('Storage quota needs a positive maxBytes');
+    }
+    if (!EVICTION_POLICIES.includes(policy)) {
+        throw new TypeError(`Storage quota policy must be one of: ${EVICTION_POLICIES.join(', ')}`);
+    }
+    return { maxBytes, policy };
+}
+
+// Bytes of a value as stored (JSON)
+function byteSize(value) {
+    return new Blob([JSON.stringify(value)]).size;
+}
+
+function validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_FAILED';
+    return error;
+}
+
+// Browser storage reports a full origin quota as a QuotaExceededError
+function quotaError(error, details) {
+    return error && error.name === 'QuotaExceededError'
+        ? new CSOPError('STORAGE_QUOTA_EXCEEDED', details)
+        : error;
+}
+
+function notFound(key, collection) {
+    const error = new Error(collection === undefined
+        ? `Key "${key}" not found`
+        : `Key "${key}" not found in collection "${collection}"`);
+    error.code = 'KEY_NOT_FOUND';
+    return error;
+}
+
+function matchesRoute(route, key, size, type) {
+    return (route.prefix === undefined || key.startsWith(route.prefix)) &&
+        (route.minSize === undefined || size >= route.minSize) &&
+        (route.maxSize === undefined || size < route.maxSize) &&
+        (route.types === null || route.types.includes(type));
+}
+
 export class StorageCapability {
     constructor() {
-        this.db = null;
+        this.manifest = MANIFEST;
+        this.logger = consoleLogger;
+        this.backend = null;          // Primary driver (first available default)
+        this.drivers = new Map();     // name → opened driver
+        this.unavailable = new Map(); // name → reason it could not open
+        this.defaultDrivers = [];
+        this.routes = [];
         this.dbName = 'csop-storage';
         this.storeName = 'data';
-        this.tursoConfig = null;
+        this.remote = null;
         this.maxLocalSize = 5 * 1024 * 1024; // 5MB threshold
+        this.index = new StorageIndex();  // Size, expiry and access of each key
+        this.quota = null;                // { maxBytes, policy } over the local drivers
+        this.sweepInterval = 60000;
+        this.sweepTimer = null;
+        this.collections = new Map();     // name → { name, indexes }
+        this.collectionStores = new Map(); // name → store in the primary driver
+        this.migrations = [];
+        this.schemaVersion = 0;           // Highest migration applied to the primary driver
+        this.migrationsApplied = 0;       // Migrations run by this instance
+        this.onMigrationProgress = null;
+        this.csop = null;
+        this.driverListeners = [];        // Removers of the drivers' event listeners
+        this.encryption = new Encryption(); // Keyring and loaded keys
+        this.encryptPrefixes = [];          // Keys always stored encrypted
+        this.allowPlaintext = false;        // Accept values saved in clear before their prefix was encrypted
     }
 
     /**
-     * Initialize IndexedDB
+     * Open the drivers
+     * Drivers that cannot open are skipped by routing (ordered fallback).
+     * @param {Object} config - Capability config:
+     *   `drivers` - driver names or instances in fallback order (default: IndexedDB
+     *     where available, else the file system with `path` in Node.js, then memory);
+     *   `routes` - `[{ prefix, minSize, maxSize, type, drivers }]`, first match wins;
+     *   `collections` - `{ name: { indexes: ['field'] } }`, kept in the primary driver;
+     *   `quota` - `{ maxBytes, policy }` for the local drivers, evicting "lru"
+     *     (default) or "lfu" entries to make room;
+     *   `sweepInterval` - ms between removals of expired keys (default: 60000, 0 disables);
+     *   `migrations` - `[{ version, name, migrate(context) }]` applied to the primary
+     *     driver (see migrations.js); `onMigrationProgress(event)` - also emitted
+     *     as `storage:migration`;
+     *   `encryption` - `{ passphrase | key, prefixes, iterations, allowPlaintext }`:
+     *     AES-GCM for keys under `prefixes` (and saves with `options.encrypt`);
+     *     without a passphrase or key, storage starts locked (see unlock());
+     *   `maxLocalSize`, `turso` (see configureTurso()), `dbName`, `storeName`, `path`,
+     *   `directory` (OPFS), `namespace` (localStorage)
+     * @param {Object} context - `{ csop, logger, runtime }` from the router
      */
-    async init(config = {}) {
+    async init(config = {}, context = {}) {
+        if (context.logger) this.logger = context.logger;
+        this.csop = context.csop || null;
         this.maxLocalSize = config.maxLocalSize || this.maxLocalSize;
-        
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, 1);
-
-            request.onerror = () => reject(new Error('Failed to open IndexedDB'));
-            
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('💾 IndexedDB initialized');
-                resolve();
-            };
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName);
-                }
-            };
-        });
+        this.quota = config.quota ? normalizeQuota(config.quota) : null;
+        if (config.sweepInterval !== undefined) this.sweepInterval = config.sweepInterval;
+        this.collections = normalizeCollections(config.collections);
+        this.migrations = normalizeMigrations(config.migrations);
+        this.onMigrationProgress = config.onMigrationProgress || null;
+
+        const settings = { dbName: this.dbName, storeName: this.storeName, ...config };
+        const runtime = context.runtime || detectRuntime();
+        if (config.turso) this.configureTurso(config.turso);
+
+        this.defaultDrivers = [];
+        for (const entry of config.drivers || [createStorageBackend(settings, runtime), 'memory']) {
+            const name = await this._addDriver(entry, settings);
+            if (!this.defaultDrivers.includes(name)) this.defaultDrivers.push(name);
+        }
+
+        this.routes = [];
+        for (const [index, route] of (config.routes || []).entries()) {
+            const drivers = [];
+            for (const entry of route.drivers || []) {
+                drivers.push(await this._addDriver(entry, settings));
+            }
+            this.routes.push(normalizeRoute({ ...route, drivers }, index));
+        }
+
+        const primary = this.defaultDrivers.find(name => this.drivers.has(name));
+        if (!primary) {
+            throw new Error('No storage driver available: ' +
+                Array.from(this.unavailable, ([name, reason]) => `${name} (${reason})`).join(', '));
+        }
+        this.backend = this.drivers.get(primary);
+
+        await this._openCollections();
+        const migrated = await this._migrate();
+        await this.index.load(this.backend);
+        if (migrated) await this._pruneIndex();
+        if (this.quota) await this._indexUntracked();
+        await this._openEncryption(config.encryption);
+
+        if (this.sweepInterval > 0) {
+            this.sweepTimer = setInterval(() => {
+                this.sweep().catch(error => this.logger.warn('⚠️ Storage sweep failed', error));
+            }, this.sweepInterval);
+            if (typeof this.sweepTimer.unref === 'function') this.sweepTimer.unref();
+        }
+
+        this.logger.info(`💾 Storage initialized (${this.backend.name})`);
     }
 
     /**
-     * Configure Turso for cloud storage fallback
+     * Configure Turso for data over `maxLocalSize`
+     * The table is created on first use.
+     * @param {Object} config - `{ url, authToken, table, retries, retryDelay, fetch }`
+     *   (see TursoBackend)
      */
     configureTurso(config) {
-        this.tursoConfig = config;
-        console.log('☁️ Turso configured');
+        this.remote = new TursoBackend(config);
+        this.drivers.set('turso', this.remote);
+        this.unavailable.delete('turso');
+        this.logger.info('☁️ Turso configured');
+    }
+
+    /**
+     * Load the encryption key; reads of encrypted values fail with
+     * STORAGE_LOCKED until then. The first unlock sets the key for good
+     * (change it with rotateKey()).
+     * @param {string|CryptoKey} secret - Passphrase or AES-GCM CryptoKey
+     * @throws {Error} ENCRYPTION_KEY_INVALID on a wrong passphrase or key
+     */
+    async unlock(secret) {
+        await this.encryption.unlock(secret);
+        this.logger.info('🔓 Storage unlocked');
+    }
+
+    /**
+     * Forget the encryption key and drop cached responses (which may hold
+     * decrypted values)
+     */
+    lock() {
+        this.encryption.lock();
+        if (this.csop) this.csop.cache.clear();
+        this.logger.info('🔒 Storage locked');
+    }
+
+    isLocked() {
+        return this.encryption.isLocked();
+    }
+
+    /**
+     * Re-encrypt every encrypted value with a new key
+     * Values written meanwhile already use the new key. Values that fail
+     * authentication (unreadable with any key) are left as they are and
+     * listed in `failed`. If it stops halfway, unlock with the old key and
+     * call rotateKey() again with the same new one.
+     * @param {string|CryptoKey} secret - New passphrase or key
+     * @returns {Promise<{rotated: number, keys: string[], failed: string[]}>}
+     * @throws {Error} STORAGE_LOCKED, ENCRYPTION_KEY_INVALID
+     */
+    async rotateKey(secret, { signal } = {}) {
+        const kid = await this.encryption.startRotation(secret, signal);
+        const keys = [];
+        const failed = [];
+
+        for (const name of this._readOrder()) {
+            const driver = this.drivers.get(name);
+            for (const key of await driver.keys(signal)) {
+                throwIfAborted(signal);
+                if (key.startsWith(RESERVED)) continue;
+                const value = await driver.get(key, signal);
+                if (!this.encryption.isSealed(value) || value.kid === kid) continue;
+
+                let data;
+                try {
+                    data = await this.encryption.open(key, value);
+                } catch (error) {
+                    if (error.code !== 'DECRYPTION_FAILED') throw error;
+                    failed.push(key);
+                    continue;
+                }
+                await driver.put(key, await this.encryption.seal(key, data), signal);
+                keys.push(key);
+            }
+        }
+
+        await this.encryption.finishRotation(signal);
+        this.logger.info(`🔑 Encryption key rotated (${keys.length} value(s) re-encrypted)`);
+        if (failed.length > 0) this.logger.warn(`⚠️ ${failed.length} value(s) failed authentication and were not re-encrypted`);
+        return { rotated: keys.length, keys, failed };
+    }
+
+    /**
+     * Internal records of another capability, kept in the primary driver
+     * under `__csop_<namespace>__:` keys: out of list and sweep, and out of
+     * reach of dispatched calls (this method is not dispatchable)
+     * @param {string} namespace - e.g. "workflow"
+     * @returns {{get: Function, put: Function, delete: Function, ids: Function}}
+     */
+    records(namespace) {
+        const prefix = `${RESERVED}${namespace}__:`;
+        return {
+            get: (id, signal) => this.backend.get(prefix + id, signal),
+            put: (id, value, signal) => this.backend.put(prefix + id, value, signal),
+            delete: (id, signal) => this.backend.delete(prefix + id, signal),
+            ids: async (signal) => (await this.backend.keys(signal, prefix))
+                .filter(key => key.startsWith(prefix))
+                .map(key => key.slice(prefix.length))
+        };
     }
 
     /**
-     * SAVE - Store data (auto-routing to IndexedDB or Turso)
+     * SAVE - Store data in the first available driver of its route
+     * Reports `{ stage: 'serialized', size }` progress before writing.
+     * `options.ttl` (ms) or `options.expiresAt` (epoch ms) make the key
+     * expire; `options.pin` keeps it from quota eviction. `options.encrypt`
+     * overrides the encryption prefixes.
+     * With `collection`, the record goes to that collection instead.
+     * @throws {CSOPError} STORAGE_QUOTA_EXCEEDED when eviction cannot make room
      */
-    async save({ key, data, options = {} }) {
+    async save({ key, data, collection, options = {} }, { signal, onProgress } = {}) {
         if (!key) {
             throw new Error('Key is required');
         }
+        throwIfAborted(signal);
 
-        const dataStr = JSON.stringify(data);
-        const size = new Blob([dataStr]).size;
+        const write = await this._seal(this._prepareWrite({ key, data, collection, options }));
+        if (onProgress) onProgress({ stage: 'serialized', size: write.size });
 
-        // Small data → IndexedDB
-        if (size < this.maxLocalSize) {
-            await this._saveLocal(key, data);
-            return {
-                key,
-                location: 'indexeddb',
-                size
-            };
+        if (collection !== undefined) {
+            await this._collection(collection).put(key, data, signal);
+            return this._saveResult(write);
         }
 
-        // Large data → Turso (if configured)
-        if (this.tursoConfig) {
-            await this._saveCloud(key, data);
-            return {
-                key,
-                location: 'turso',
-                size
-            };
+        const evicted = write.driver !== 'turso' ? this._victims([key], write.size) : [];
+
+        try {
+            await this.drivers.get(write.driver).put(key, write.value, signal);
+        } catch (error) {
+            throw quotaError(error, { key, size: write.size, driver: write.driver });
         }
+        await this._evict(evicted, [key]);
 
-        // Fallback to IndexedDB with warning
-        console.warn(`⚠️ Data size ${size} bytes exceeds threshold but Turso not configured. Using IndexedDB.`);
-        await this._saveLocal(key, data);
-        return {
-            key,
-            location: 'indexeddb',
-            size,
-            warning: 'Large data stored locally'
-        };
+        await this._dropCopies(key, write.driver, signal);
+        await this.index.set(key, this._indexEntry(write), signal);
+
+        const result = this._saveResult(write);
+        if (evicted.length > 0) result.evicted = evicted;
+        return result;
     }
 
     /**
-     * GET - Retrieve data
+     * GET - Retrieve data from the first driver holding the key
+     * An expired key is removed and reported as KEY_NOT_FOUND.
      */
-    async get({ key }) {
+    async get({ key, collection }, { signal } = {}) {
         if (!key) {
             throw new Error('Key is required');
         }
 
-        // Try IndexedDB first
-        try {
-            const data = await this._getLocal(key);
-            if (data !== undefined) {
-                return data;
+        if (collection !== undefined) {
+            const data = await this._collection(collection).get(key, signal);
+            if (data === undefined) throw notFound(key, collection);
+            return data;
+        }
+
+        if (this.index.isExpired(key)) {
+            await this._remove(key, signal);
+            throw notFound(key);
+        }
+
+        const data = await this._read(key, signal);
+        if (data === undefined) {
+            throw notFound(key);
+        }
+        const value = await this._unseal(key, data);
+        this.index.touch(key);
+        return value;
+    }
+
+    /**
+     * DELETE - Remove data from every driver
+     */
+    async delete({ key, collection }, { signal } = {}) {
+        if (!key) {
+            throw new Error('Key is required');
+        }
+
+        if (collection !== undefined) {
+            await this._collection(collection).delete(key, signal);
+            return { deleted: true, key };
+        }
+        await this._remove(key, signal);
+
+        return { deleted: true, key };
+    }
+
+    /**
+     * LIST - Get the keys of every driver (with optional prefix filter),
+     * leaving out expired ones
+     */
+    async list({ prefix = '', collection } = {}, { signal } = {}) {
+        if (collection !== undefined) {
+            return (await this._collection(collection).keys(signal)).filter(key => key.startsWith(prefix));
+        }
+
+        const keys = new Set();
+        const now = Date.now();
+
+        for (const name of this._readOrder()) {
+            throwIfAborted(signal);
+            for (const key of await this.drivers.get(name).keys(signal, prefix)) {
+                if (key.startsWith(prefix) && !key.startsWith(RESERVED) && !this.index.isExpired(key, now)) {
+                    keys.add(key);
+                }
             }
-        } catch (err) {
-            console.warn('Failed to get from IndexedDB', err);
         }
 
-        // Fallback to Turso
-        if (this.tursoConfig) {
+        return Array.from(keys);
+    }
+
+    /**
+     * CLEAR - Remove every key from one collection, one driver, or all drivers
+     * (clearing the primary driver also empties the collections)
+     */
+    async clear({ driver, collection } = {}, { signal } = {}) {
+        if (collection !== undefined) {
+            await this._collection(collection).clear(signal);
+            return { cleared: true, drivers: [this.backend.name] };
+        }
+        if (driver !== undefined && !this.drivers.has(driver)) {
+            throw new Error(`Storage driver "${driver}" is not available`);
+        }
+
+        const names = driver !== undefined ? [driver] : this._readOrder();
+        for (const name of names) {
+            throwIfAborted(signal);
+            await this.drivers.get(name).clear(signal);
+        }
+
+        // Clearing the primary driver also dropped the index records and the keyring
+        const primaryCleared = names.includes(this.backend.name);
+        if (primaryCleared) await this.encryption.persist(signal);
+        for (const [key, entry] of Array.from(this.index.entries)) {
+            if (names.includes(entry.driver)) {
+                this.index.entries.delete(key);
+                this.index.dirty.delete(key);
+            } else if (primaryCleared) {
+                await this.index.set(key, entry, signal);
+            }
+        }
+
+        return { cleared: true, drivers: names };
+    }
+
+    /**
+     * SAVEMANY - Store several keys in one atomic batch
+     * @returns {Promise<Object[]>} One save result per item
+     */
+    async saveMany({ items }, context = {}) {
+        return this._batch(items.map(item => ({ ...item, op: 'save' })), context);
+    }
+
+    /**
+     * GETMANY - Read several keys in one transaction
+     * @returns {Promise<Object[]>} `{ key, found, data }` per key (missing keys do not fail)
+     */
+    async getMany({ keys, collection }, context = {}) {
+        return this._batch(keys.map(key => ({ op: 'get', key, collection })), context);
+    }
+
+    /**
+     * DELETEMANY - Remove several keys in one atomic batch
+     * @returns {Promise<Object[]>} `{ key, deleted }` per key
+     */
+    async deleteMany({ keys, collection }, context = {}) {
+        return this._batch(keys.map(key => ({ op: 'delete', key, collection })), context);
+    }
+
+    /**
+     * TRANSACTION - Run save, get and delete operations atomically, in order
+     * (a get sees the writes before it). Every operation must stay in one
+     * driver; a failure rolls all of them back.
+     * @returns {Promise<Object[]>} One result per operation, with its `op`
+     */
+    async transaction({ ops }, context = {}) {
+        return this._batch(ops, context);
+    }
+
+    /**
+     * QUERY - Find records of a collection by its indexes
+     * Resolves `{ items: [{ key, data }], cursor }` (cursor is null on the last
+     * page), or `{ count }` with `count: true`.
+     */
+    async query(payload, { signal } = {}) {
+        throwIfAborted(signal);
+        const store = this._collection(payload.collection);
+        return store.query(planQuery(payload, this.collections.get(payload.collection)), signal);
+    }
+
+    /**
+     * SWEEP - Remove expired keys
+     */
+    async sweep(payload = {}, { signal } = {}) {
+        const keys = this.index.expired();
+        for (const key of keys) {
+            throwIfAborted(signal);
+            await this._remove(key, signal);
+        }
+        await this.index.flush(signal);
+
+        if (keys.length > 0) this.logger.debug(`🧹 Removed ${keys.length} expired key(s)`);
+        return { removed: keys.length, keys };
+    }
+
+    /**
+     * Stop the sweep, save access statistics and close every driver
+     */
+    async destroy() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        if (this.backend) {
+            await this.index.flush().catch(error => this.logger.warn('⚠️ Storage index flush failed', error));
+        }
+
+        for (const [name, driver] of this.drivers) {
             try {
-                const data = await this._getCloud(key);
-                if (data !== null) {
-                    return data;
-                }
-            } catch (err) {
-                console.warn('Failed to get from Turso', err);
+                await driver.close();
+            } catch (error) {
+                this.logger.warn(`⚠️ Storage driver "${name}" failed to close`, error);
             }
         }
+        this.drivers.clear();
+        // Drivers that failed to open are tried again by the next init()
+        this.unavailable.clear();
+        this.driverListeners.forEach(remove => remove());
+        this.driverListeners = [];
+        this.backend = null;
+        this.remote = null;
+        this.logger.info('💾 Storage closed');
+    }
 
-        // Not found anywhere
-        const error = new Error(`Key "${key}" not found`);
-        error.code = 'KEY_NOT_FOUND';
-        throw error;
+    // === PRIVATE METHODS ===
+
+    /**
+     * Serialize a write and pick its driver
+     * @private
+     * @throws {Error} VALIDATION_FAILED on options a collection record cannot take,
+     *   or `encrypt: false` under an encryption prefix
+     */
+    _prepareWrite({ key, data, collection, options = {} }) {
+        const size = byteSize(data);
+        const write = { key, data, collection, size, pinned: Boolean(options.pin), encrypt: false, now: Date.now() };
+
+        if (collection !== undefined) {
+            const unsupported = ['ttl', 'expiresAt', 'pin', 'encrypt'].filter(option => options[option] !== undefined);
+            if (unsupported.length > 0) {
+                throw validationError(`Collection records do not support ${unsupported.join(', ')}`);
+            }
+            this._collection(collection);
+            write.candidates = [this.backend.name];
+            write.driver = this.backend.name;
+            return write;
+        }
+
+        write.expiresAt = options.expiresAt !== undefined
+            ? options.expiresAt
+            : options.ttl !== undefined ? write.now + options.ttl : undefined;
+        write.candidates = this._candidates(key, data, size);
+        write.driver = write.candidates.find(candidate => this.drivers.has(candidate));
+        write.encrypt = this._mustBeSealed(key) || Boolean(options.encrypt);
+        if (options.encrypt === false && write.encrypt) {
+            throw validationError(`"${key}" is under an encryption prefix and cannot be stored in clear`);
+        }
+        return write;
     }
 
     /**
-     * DELETE - Remove data
+     * Set the value a prepared write stores (encrypted when asked, its size
+     * then being the stored size)
+     * @private
+     * @throws {Error} STORAGE_LOCKED
      */
-    async delete({ key }) {
-        if (!key) {
-            throw new Error('Key is required');
+    async _seal(write) {
+        write.value = write.data;
+        if (write.encrypt) {
+            write.value = await this.encryption.seal(write.key, write.data);
+            write.size = byteSize(write.value);
+        }
+        return write;
+    }
+
+    /**
+     * Value of a stored one (decrypted when sealed)
+     * A value in clear under an encryption prefix was not written by this
+     * storage (unless `allowPlaintext` lets older values through): refused.
+     * @private
+     * @throws {Error} STORAGE_LOCKED, DECRYPTION_FAILED
+     */
+    async _unseal(key, value) {
+        if (this.encryption.isSealed(value)) return this.encryption.open(key, value);
+        if (this._mustBeSealed(key) && !this.allowPlaintext) {
+            const error = new Error(`"${key}" is under an encryption prefix but stored in clear`);
+            error.code = 'DECRYPTION_FAILED';
+            throw error;
         }
+        return value;
+    }
 
-        // Delete from IndexedDB
-        await this._deleteLocal(key);
+    /**
+     * Whether a key is under an encryption prefix
+     * @private
+     */
+    _mustBeSealed(key) {
+        return this.encryptPrefixes.some(prefix => key.startsWith(prefix));
+    }
 
-        // Delete from Turso if configured
-        if (this.tursoConfig) {
-            await this._deleteCloud(key);
+    /**
+     * Check the encryption config and load the keyring (without the config,
+     * unlock() loads it)
+     * @private
+     */
+    async _openEncryption(config) {
+        const { passphrase, key, prefixes = [], iterations, allowPlaintext = false } = config || {};
+        if (!Array.isArray(prefixes) || !prefixes.every(prefix => typeof prefix === 'string')) {
+            throw new TypeError('Storage encryption prefixes must be an array of strings');
+        }
+        if (passphrase !== undefined && key !== undefined) {
+            throw new TypeError('Storage encryption takes a passphrase or a key, not both');
         }
 
-        return { deleted: true, key };
+        this.encryptPrefixes = prefixes;
+        this.allowPlaintext = Boolean(allowPlaintext);
+        this.encryption = new Encryption({ driver: this.backend, iterations });
+        if (!config) return;
+
+        await this.encryption.load();
+        if (passphrase !== undefined || key !== undefined) {
+            await this.encryption.unlock(passphrase !== undefined ? passphrase : key);
+        } else {
+            this.logger.info('🔒 Storage is locked until unlock()');
+        }
+    }
+
+    /**
+     * Index entry of a prepared write
+     * @private
+     */
+    _indexEntry(write) {
+        const previous = this.index.get(write.key);
+        return {
+            size: write.size,
+            driver: write.driver,
+            expiresAt: write.expiresAt,
+            pinned: write.pinned,
+            createdAt: write.now,
+            lastAccess: write.now,
+            hits: previous ? previous.hits : 0
+        };
     }
 
     /**
-     * LIST - Get all keys (with optional prefix filter)
+     * Result of a prepared write, with its fallback or size warning
+     * @private
      */
-    async list({ prefix = '' } = {}) {
-        const keys = await this._listLocal();
-        
-        if (prefix) {
-            return keys.filter(k => k.startsWith(prefix));
+    _saveResult(write) {
+        const { key, collection, driver, size, candidates } = write;
+        const result = { key, driver, location: driver, size };
+        if (collection !== undefined) {
+            result.collection = collection;
+            return result;
         }
-        
-        return keys;
+        if (write.expiresAt !== undefined) result.expiresAt = write.expiresAt;
+        if (write.encrypt) result.encrypted = true;
+
+        if (driver !== candidates[0]) {
+            result.warning = `Driver "${candidates[0]}" unavailable, stored in "${driver}"`;
+            this.logger.warn(`⚠️ ${result.warning}`);
+        } else if (!this.remote && size >= this.maxLocalSize) {
+            result.warning = 'Large data stored locally';
+            this.logger.warn(`⚠️ Data size ${size} bytes exceeds threshold but Turso not configured. Storing locally.`);
+        }
+        return result;
     }
 
-    // === PRIVATE METHODS: IndexedDB ===
+    /**
+     * Drop copies of a key left in drivers other than `name` by earlier writes.
+     * Turso is only read after the local drivers, so small writes skip the
+     * round trip unless `remote` is set.
+     * @private
+     */
+    async _dropCopies(key, name, signal, remote = name === 'turso') {
+        for (const other of this._readOrder()) {
+            if (other === name || (other === 'turso' && !remote)) continue;
+            await this.drivers.get(other).delete(key, signal);
+        }
+    }
 
-    async _saveLocal(key, data) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.put(data, key);
+    /**
+     * Read a key from the first driver holding it (skipping `exclude`)
+     * A failing driver only matters if no other one has the key.
+     * @private
+     * @returns {Promise<*>} The data, or undefined when no driver has it
+     */
+    async _read(key, signal, exclude) {
+        let failure = null;
+        for (const name of this._readOrder()) {
+            if (name === exclude) continue;
+            throwIfAborted(signal);
+            try {
+                const data = await this.drivers.get(name).get(key, signal);
+                if (data !== undefined) return data;
+            } catch (err) {
+                if (err.code === 'ABORTED') throw err;
+                this.logger.warn(`Failed to get from ${name}`, err);
+                failure = err;
+            }
+        }
+        if (failure) throw failure;
+        return undefined;
+    }
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(new Error('Failed to save to IndexedDB'));
+    /**
+     * Run operations as one atomic batch in a single driver
+     * Index records are part of the batch when that driver is the primary
+     * one; copies in other drivers are dropped after the commit.
+     * @private
+     */
+    async _batch(ops, { signal } = {}) {
+        throwIfAborted(signal);
+
+        const steps = ops.map((op) => {
+            if (!op.key) {
+                throw new Error('Key is required');
+            }
+            if (op.op !== 'save') {
+                if (op.collection !== undefined) this._collection(op.collection);
+                return { op: op.op, key: op.key, collection: op.collection };
+            }
+            if (op.data === undefined) {
+                throw validationError(`Data is required to save "${op.key}"`);
+            }
+            return { ...this._prepareWrite(op), op: 'save' };
         });
+        for (const step of steps) {
+            if (step.op === 'save') await this._seal(step);
+        }
+
+        // Locked, a read could only fail after the writes commit
+        if (this.encryption.isConfigured() && this.isLocked() &&
+            steps.some(step => step.op === 'get' && step.collection === undefined) &&
+            steps.some(step => step.op !== 'get')) {
+            const error = new Error('Storage is locked: unlock it to read in a batch that writes');
+            error.code = 'STORAGE_LOCKED';
+            throw error;
+        }
+
+        // Atomicity needs every write in one driver
+        const names = new Set(steps
+            .filter(step => step.op === 'save' || step.collection !== undefined)
+            .map(step => step.driver || this.backend.name));
+        if (names.size > 1) {
+            throw validationError(`Atomic storage batches must stay in one driver (got ${Array.from(names).join(', ')})`);
+        }
+        const name = names.size > 0 ? Array.from(names)[0] : this.backend.name;
+        const driver = this.drivers.get(name);
+
+        const writes = steps.filter(step => step.op === 'save' && step.collection === undefined);
+        const size = writes.reduce((total, step) => total + step.size, 0);
+        const victims = writes.length > 0 && name !== 'turso'
+            ? this._victims(writes.map(step => step.key), size)
+            : [];
+
+        // Last change of each key wins
+        const indexChanges = new Map();
+        for (const step of steps) {
+            if (step.collection !== undefined || step.op === 'get') continue;
+            indexChanges.set(step.key, step.op === 'save' ? this._indexEntry(step) : null);
+        }
+
+        const driverOps = steps.map(step => step.op === 'save'
+            ? { type: 'put', key: step.key, value: step.value, collection: step.collection }
+            : { type: step.op, key: step.key, collection: step.collection });
+        const inBatch = driver === this.backend;
+        if (inBatch) {
+            for (const [key, entry] of indexChanges) driverOps.push(this.index.recordOp(key, entry));
+        }
+
+        let values;
+        try {
+            values = await runBatch(driver, driverOps, signal);
+        } catch (error) {
+            throw quotaError(error, { keys: writes.map(step => step.key), size, driver: name });
+        }
+        await this._evict(victims, writes.map(step => step.key));
+
+        for (const [key, entry] of indexChanges) {
+            if (inBatch) this.index.remember(key, entry);
+            else if (entry) await this.index.set(key, entry, signal);
+            else await this.index.remove(key, signal);
+        }
+        for (const step of steps) {
+            if (step.collection === undefined && step.op !== 'get') {
+                await this._dropCopies(step.key, name, signal, step.op === 'delete' || name === 'turso');
+            }
+        }
+
+        const results = [];
+        for (const [index, step] of steps.entries()) {
+            const result = { op: step.op, key: step.key };
+            if (step.collection !== undefined) result.collection = step.collection;
+
+            if (step.op === 'save') {
+                results.push({ op: 'save', ...this._saveResult(step) });
+            } else if (step.op === 'delete') {
+                results.push({ ...result, deleted: true });
+            } else {
+                let data = values[index];
+                if (step.collection === undefined) {
+                    if (this.index.isExpired(step.key)) data = undefined;
+                    else if (data === undefined) data = await this._read(step.key, signal, name);
+                    if (data !== undefined) {
+                        data = await this._unseal(step.key, data);
+                        this.index.touch(step.key);
+                    }
+                }
+                results.push(data === undefined ? { ...result, found: false } : { ...result, found: true, data });
+            }
+        }
+        return results;
     }
 
-    async _getLocal(key) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.get(key);
+    /**
+     * Set up the declared collections in the primary driver
+     * @private
+     */
+    async _openCollections() {
+        this.collectionStores.clear();
+        if (this.collections.size === 0) return;
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('Failed to get from IndexedDB'));
-        });
+        if (typeof this.backend.defineCollections === 'function') {
+            await this.backend.defineCollections(this.collections);
+        }
+        for (const name of this.collections.keys()) {
+            this.collectionStores.set(name, typeof this.backend.collection === 'function'
+                ? this.backend.collection(name)
+                : new KeyValueCollection(this.backend, name));
+        }
     }
 
-    async _deleteLocal(key) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(key);
+    /**
+     * Apply the pending migrations to the primary driver
+     * @private
+     * @returns {Promise<boolean>} Whether any migration ran
+     * @throws {Error} MIGRATION_FAILED
+     */
+    async _migrate() {
+        const applied = this.migrationsApplied;
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(new Error('Failed to delete from IndexedDB'));
-        });
+        if (typeof this.backend.migrate === 'function') {
+            this.schemaVersion = await this.backend.migrate(this.migrations);
+        } else if (this.migrations.length > 0) {
+            this.schemaVersion = await migrateDriver(this.backend, this.migrations, {
+                reserved: RESERVED,
+                collectionPrefix: name => `${COLLECTION_PREFIX}${name}:`,
+                report: event => this._reportSchemaEvent(event, this.backend.name)
+            });
+        }
+        return this.migrationsApplied > applied;
     }
 
-    async _listLocal() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.getAllKeys();
+    /**
+     * Drop index entries of primary driver keys a migration removed
+     * @private
+     */
+    async _pruneIndex() {
+        for (const [key, entry] of Array.from(this.index.entries)) {
+            if (entry.driver !== this.backend.name) continue;
+            if (await this.backend.get(key) === undefined) await this.index.remove(key);
+        }
+    }
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('Failed to list keys from IndexedDB'));
-        });
+    /**
+     * Log and forward migration progress and IndexedDB connection events
+     * (`blocked`: another tab holds the old version open; `versionchange`:
+     * another tab upgraded, the connection reopens on next use)
+     * @private
+     */
+    _reportSchemaEvent(event, driver) {
+        const data = { driver, ...event };
+
+        if (event.stage === 'start') {
+            this.logger.info(`🔧 Storage migration ${event.version} (${event.name}) started`);
+        } else if (event.stage === 'done') {
+            this.migrationsApplied++;
+            this.logger.info(`🔧 Storage migration ${event.version} (${event.name}) applied`);
+        } else if (event.stage === 'failed') {
+            this.logger.warn(`⚠️ Storage migration ${event.version} (${event.name}) failed: ${event.error}`);
+        } else if (event.stage === 'skipped') {
+            this.logger.warn(`⚠️ Storage migration ${event.version} (${event.name}) skipped ${event.count} encrypted value(s)`);
+        } else if (event.stage === 'blocked') {
+            this.logger.warn('⚠️ Storage upgrade blocked: close other tabs using this app');
+        } else {
+            this.logger.debug(`🔧 Storage ${event.stage}`, event);
+        }
+
+        if (this.onMigrationProgress) {
+            try {
+                this.onMigrationProgress(data);
+            } catch (error) {
+                this.logger.warn('⚠️ onMigrationProgress failed', error);
+            }
+        }
+        if (this.csop && this.csop.events) this.csop.events.emit('storage:migration', data);
+    }
+
+    /**
+     * @private
+     * @throws {Error} COLLECTION_NOT_FOUND
+     */
+    _collection(name) {
+        const store = this.collectionStores.get(name);
+        if (!store) {
+            const error = new Error(`Collection "${name}" is not declared`);
+            error.code = 'COLLECTION_NOT_FOUND';
+            throw error;
+        }
+        return store;
+    }
+
+    /**
+     * Remove a key from every driver and the index
+     * @private
+     */
+    async _remove(key, signal) {
+        for (const name of this._readOrder()) {
+            throwIfAborted(signal);
+            await this.drivers.get(name).delete(key, signal);
+        }
+        await this.index.remove(key, signal);
     }
 
-    // === PRIVATE METHODS: Turso (Cloud) ===
+    /**
+     * Local entries to evict so that `size` more bytes (written to `keys`)
+     * fit in the quota; they are evicted once the write succeeded, so a
+     * failed write loses nothing
+     * @private
+     * @returns {string[]} Keys to evict
+     * @throws {CSOPError} STORAGE_QUOTA_EXCEEDED
+     */
+    _victims(keys, size) {
+        if (!this.quota) return [];
 
-    async _saveCloud(key, data) {
-        // Note: This is a placeholder for Turso integration
-        // Users need to implement their Turso client or use fetch API
-        console.warn('⚠️ Turso save not fully implemented in v0.1.0');
-        
-        if (!this.tursoConfig.url || !this.tursoConfig.authToken) {
-            throw new Error('Turso configuration incomplete');
+        const { maxBytes, policy } = this.quota;
+        const local = (entry, other) => !keys.includes(other) && entry.driver !== 'turso';
+        const excess = this.index.usage(local) + size - maxBytes;
+        if (excess <= 0) return [];
+
+        const victims = size <= maxBytes ? this.index.victims(excess, policy, local) : null;
+        if (!victims) {
+            throw new CSOPError('STORAGE_QUOTA_EXCEEDED', {
+                keys,
+                size,
+                maxBytes,
+                used: this.index.usage(local)
+            });
         }
 
-        // Example implementation structure:
-        // const response = await fetch(`${this.tursoConfig.url}/execute`, {
-        //     method: 'POST',
-        //     headers: {
-        //         'Authorization': `Bearer ${this.tursoConfig.authToken}`,
-        //         'Content-Type': 'application/json'
-        //     },
-        //     body: JSON.stringify({
-        //         sql: 'INSERT OR REPLACE INTO storage (key, data) VALUES (?, ?)',
-        //         args: [key, JSON.stringify(data)]
-        //     })
-        // });
+        return victims;
     }
 
-    async _getCloud(key) {
-        console.warn('⚠️ Turso get not fully implemented in v0.1.0');
-        return null;
+    /**
+     * Evict after a write (not abortable: the write already happened)
+     * @private
+     */
+    async _evict(victims, keys) {
+        if (victims.length === 0) return;
+
+        for (const victim of victims) {
+            await this._remove(victim);
+        }
+        this.logger.debug(`🗑️ Evicted ${victims.length} key(s) (${this.quota.policy}) for ${keys.map(key => `"${key}"`).join(', ')}`);
     }
 
-    async _deleteCloud(key) {
-        console.warn('⚠️ Turso delete not fully implemented in v0.1.0');
+    /**
+     * Index keys of the local drivers written without an index record
+     * (they count towards the quota and are evicted first)
+     * @private
+     */
+    async _indexUntracked() {
+        for (const name of this._readOrder()) {
+            if (name === 'turso') continue;
+            const driver = this.drivers.get(name);
+
+            for (const key of await driver.keys()) {
+                if (key.startsWith(RESERVED) || this.index.has(key)) continue;
+                const data = await driver.get(key);
+                if (data === undefined) continue;
+                await this.index.set(key, {
+                    size: byteSize(data),
+                    driver: name,
+                    pinned: false,
+                    createdAt: 0,
+                    lastAccess: 0,
+                    hits: 0
+                });
+            }
+        }
+    }
+
+    /**
+     * Open a driver (by name or instance) unless already known
+     * @private
+     * @returns {Promise<string>} Driver name
+     */
+    async _addDriver(entry, settings) {
+        if (entry === 'turso' && !this.remote) {
+            this.unavailable.set('turso', 'Turso not configured');
+            return 'turso';
+        }
+
+        const name = typeof entry === 'string' ? entry : entry.name;
+        if (this.drivers.has(name) || this.unavailable.has(name)) return name;
+
+        const driver = typeof entry === 'string' ? createStorageDriver(entry, settings) : entry;
+        // Migration progress and connection events (IndexedDB)
+        if (typeof driver.listen === 'function') {
+            this.driverListeners.push(driver.listen(event => this._reportSchemaEvent(event, name)));
+        }
+        try {
+            await driver.open();
+            this.drivers.set(name, driver);
+        } catch (error) {
+            this.unavailable.set(name, error.message);
+            this.logger.warn(`⚠️ Storage driver "${name}" unavailable: ${error.message}`);
+        }
+        return name;
+    }
+
+    /**
+     * Drivers to try for a write, in order: the matching route's drivers,
+     * then the defaults. Turso takes data over `maxLocalSize` unless a
+     * configured route matched first.
+     * @private
+     */
+    _candidates(key, data, size) {
+        const type = valueType(data);
+        const routes = this.remote
+            ? [...this.routes, { minSize: this.maxLocalSize, types: null, drivers: ['turso'] }]
+            : this.routes;
+        const route = routes.find(candidate => matchesRoute(candidate, key, size, type));
+
+        return Array.from(new Set([...(route ? route.drivers : []), ...this.defaultDrivers]));
+    }
+
+    /**
+     * Available drivers in read order: defaults, the other drivers, Turso last
+     * @private
+     */
+    _readOrder() {
+        const names = [...this.defaultDrivers, ...this.drivers.keys()]
+            .filter(name => name !== 'turso' && this.drivers.has(name));
+        if (this.drivers.has('turso')) names.push('turso');
+        return Array.from(new Set(names));
     }
 }
\ No newline at end of file
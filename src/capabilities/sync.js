@@ -3,51 +3,159 @@
  * Handles real-time synchronization (Supabase Realtime or custom WebSocket)
  */
 
+import { throwIfAborted } from '../utils.js';
+import { consoleLogger } from '../logger.js';
+import { defaultBus } from '../adapters/sync.js';
+
+const CHANNEL = { type: 'string', minLength: 1 };
+
+/**
+ * Capability manifest: public operations, payload/result shapes and defaults.
+ * The router only dispatches listed operations and validates payloads against them.
+ */
+const MANIFEST = {
+    name: 'sync',
+    version: '0.2.0',
+    scope: 'channels',
+    defaults: { timeout: 5000, retry: 0 },
+    operations: {
+        broadcast: {
+            description: 'Send an event to every subscriber of a channel',
+            payload: {
+                type: 'object',
+                required: ['event'],
+                properties: {
+                    event: { type: 'string', minLength: 1 },
+                    channel: CHANNEL
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    sent: { type: 'boolean' },
+                    channel: { type: 'string' },
+                    event: { type: 'string' },
+                    mode: { enum: ['local'] }
+                }
+            }
+        },
+        subscribe: {
+            description: 'Call back on every event of a channel',
+            payload: {
+                type: 'object',
+                required: ['callback'],
+                properties: {
+                    channel: CHANNEL,
+                    callback: { type: 'function' }
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    subscribed: { type: 'boolean' },
+                    channel: { type: 'string' },
+                    mode: { enum: ['local'] }
+                }
+            }
+        },
+        presence: {
+            description: 'Track this user and list who is online (Supabase only)',
+            payload: {
+                type: 'object',
+                properties: {
+                    channel: CHANNEL,
+                    userId: { type: 'string' },
+                    metadata: { type: 'object' }
+                }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    online: { type: 'integer' },
+                    users: { type: 'array' }
+                }
+            }
+        },
+        unsubscribe: {
+            description: 'Stop listening to a channel',
+            payload: {
+                type: 'object',
+                properties: { channel: CHANNEL }
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    unsubscribed: { type: 'boolean' },
+                    channel: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
 export class SyncCapability {
     constructor() {
+        this.manifest = MANIFEST;
+        this.logger = consoleLogger;
         this.supabase = null;
+        this.bus = defaultBus;
         this.channels = new Map();
         this.callbacks = new Map();
+        this.localSubscriptions = new Map();
     }
 
     /**
      * Initialize sync capability
+     * @param {Object} config - Capability config (`supabase`, `bus` for local mode)
+     * @param {Object} context - `{ csop, logger, runtime }` from the router
      */
-    async init(config = {}) {
+    async init(config = {}, context = {}) {
+        if (context.logger) this.logger = context.logger;
+        if (config.bus) this.bus = config.bus;
         if (config.supabase) {
             await this.configureSupabase(config.supabase);
         } else {
-            console.log('🔄 Sync initialized (no backend configured)');
+            this.logger.info('🔄 Sync initialized (no backend configured)');
         }
     }
 
     /**
      * Configure Supabase for realtime sync
+     * Uses `client` if given, else `createClient` (e.g. imported from
+     * @supabase/supabase-js in Node.js), else the global SDK.
      */
-    async configureSupabase({ url, anonKey }) {
+    async configureSupabase({ url, anonKey, client, createClient }) {
+        if (client) {
+            this.supabase = client;
+            this.logger.info('☁️ Supabase Realtime configured');
+            return;
+        }
+
         if (!url || !anonKey) {
             throw new Error('Supabase url and anonKey are required');
         }
 
-        // Note: In v0.1.0, users need to include Supabase SDK separately
+        // Note: In browsers the Supabase SDK can be included separately
         // <script src="https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2"></script>
+        const create = createClient || (globalThis.supabase && globalThis.supabase.createClient);
         
-        if (typeof window.supabase === 'undefined') {
-            console.warn('⚠️ Supabase SDK not found. Include: <script src="https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2"></script>');
+        if (typeof create !== 'function') {
+            this.logger.warn('⚠️ Supabase SDK not found. Pass supabase.createClient or include: <script src="https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2"></script>');
             return;
         }
 
-        this.supabase = window.supabase.createClient(url, anonKey);
-        console.log('☁️ Supabase Realtime configured');
+        this.supabase = create(url, anonKey);
+        this.logger.info('☁️ Supabase Realtime configured');
     }
 
     /**
      * BROADCAST - Send message to all subscribers
      */
-    async broadcast({ event, data, channel = 'default' }) {
+    async broadcast({ event, data, channel = 'default' }, { signal } = {}) {
         if (!event) {
             throw new Error('Event name is required');
         }
+        throwIfAborted(signal);
 
         // Supabase backend
         if (this.supabase) {
@@ -60,7 +168,7 @@ export class SyncCapability {
             return { sent: true, channel, event };
         }
 
-        // Local fallback (same-page only)
+        // Local fallback (in-process bus)
         this._localBroadcast(channel, event, data);
         return { sent: true, channel, event, mode: 'local' };
     }
@@ -68,10 +176,11 @@ export class SyncCapability {
     /**
      * SUBSCRIBE - Listen to channel events
      */
-    async subscribe({ channel = 'default', callback }) {
+    async subscribe({ channel = 'default', callback }, { signal } = {}) {
         if (!callback || typeof callback !== 'function') {
             throw new Error('Callback function is required');
         }
+        throwIfAborted(signal);
 
         // Supabase backend
         if (this.supabase) {
@@ -104,9 +213,11 @@ export class SyncCapability {
     /**
      * PRESENCE - Track who's online
      */
-    async presence({ channel = 'default', userId, metadata = {} }) {
+    async presence({ channel = 'default', userId, metadata = {} }, { signal } = {}) {
+        throwIfAborted(signal);
+
         if (!this.supabase) {
-            console.warn('⚠️ Presence requires Supabase configuration');
+            this.logger.warn('⚠️ Presence requires Supabase configuration');
             return { online: 0, users: [] };
         }
 
@@ -144,6 +255,7 @@ export class SyncCapability {
         }
 
         this.callbacks.delete(channel);
+        this._localUnsubscribe(channel);
         return { unsubscribed: true, channel };
     }
 
@@ -162,29 +274,33 @@ export class SyncCapability {
     }
 
     /**
-     * Local broadcast (same-page only, fallback)
+     * Local broadcast (in-process bus, fallback)
      * @private
      */
     _localBroadcast(channel, event, data) {
-        const callbacks = this.callbacks.get(channel) || [];
-        callbacks.forEach(cb => {
-            try {
-                cb({ event, data, timestamp: Date.now() });
-            } catch (err) {
-                console.error('Callback error:', err);
-            }
+        this.bus.publish(channel, event, data, (err) => {
+            this.logger.error('Callback error:', err);
         });
     }
 
     /**
-     * Local subscribe (same-page only, fallback)
+     * Local subscribe (in-process bus, fallback)
      * @private
      */
     _localSubscribe(channel, callback) {
-        if (!this.callbacks.has(channel)) {
-            this.callbacks.set(channel, []);
+        if (!this.localSubscriptions.has(channel)) {
+            this.localSubscriptions.set(channel, []);
         }
-        this.callbacks.get(channel).push(callback);
+        this.localSubscriptions.get(channel).push(this.bus.subscribe(channel, callback));
+    }
+
+    /**
+     * Drop this instance's local subscriptions to a channel
+     * @private
+     */
+    _localUnsubscribe(channel) {
+        (this.localSubscriptions.get(channel) || []).forEach(unsubscribe => unsubscribe());
+        this.localSubscriptions.delete(channel);
     }
 
     /**
@@ -196,6 +312,9 @@ export class SyncCapability {
         }
         this.channels.clear();
         this.callbacks.clear();
-        console.log('🔄 Sync channels closed');
+        for (const channel of Array.from(this.localSubscriptions.keys())) {
+            this._localUnsubscribe(channel);
+        }
+        this.logger.info('🔄 Sync channels closed');
     }
 }
\ No newline at end of file
@@ -0,0 +1,614 @@
+/**
+ * CSOP Workflow Capability
+ * Runs declarative DAGs of CSOP actions, checkpointing run state to storage
+ */
+
+import { generateId, deepClone, throwIfAborted } from '../utils.js';
+import { consoleLogger } from '../logger.js';
+import { resolveReferences } from '../saga.js';
+
+// Checkpoints are the storage capability's records of this namespace
+const RECORDS = 'workflow';
+
+const OPERATORS = {
+    eq: (value, expected) => value === expected,
+    ne: (value, expected) => value !== expected,
+    gt: (value, expected) => value > expected,
+    gte: (value, expected) => value >= expected,
+    lt: (value, expected) => value < expected,
+    lte: (value, expected) => value <= expected,
+    in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+    exists: (value, expected) => (value !== undefined && value !== null) === expected
+};
+
+const DEFINITION = {
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        nodes: { type: 'object' },
+        edges: { type: 'array', items: { type: 'object', required: ['from', 'to'] } }
+    }
+};
+
+const RUN_STATE = {
+    type: 'object',
+    properties: {
+        runId: { type: 'string' },
+        workflow: { type: 'string' },
+        status: { enum: ['running', 'completed', 'failed', 'aborted'] },
+        nodes: { type: 'object' },
+        output: {}
+    }
+};
+
+/**
+ * Capability manifest: public operations, payload/result shapes and defaults.
+ * The router only dispatches listed operations and validates payloads against them.
+ */
+const MANIFEST = {
+    name: 'workflow',
+    version: '0.2.0',
+    scope: 'none', // Nodes are checked as calls of their own
+    defaults: { timeout: 300000, retry: 0 },
+    operations: {
+        define: {
+            description: 'Register a reusable workflow (nodes, edges, output mapping)',
+            payload: {
+                ...DEFINITION,
+                required: ['name', 'nodes']
+            },
+            result: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    nodes: { type: 'integer' }
+                }
+            }
+        },
+        run: {
+            description: 'Run a defined (or inline) workflow; fails with WORKFLOW_FAILED',
+            payload: {
+                type: 'object',
+                required: ['workflow'],
+                properties: {
+                    workflow: { type: ['string', 'object'] },
+                    input: {},
+                    detach: { type: 'boolean' }
+                }
+            },
+            result: RUN_STATE
+        },
+        status: {
+            description: 'Current state of a run (from memory or its checkpoint)',
+            payload: {
+                type: 'object',
+                required: ['runId'],
+                properties: { runId: { type: 'string', minLength: 1 } }
+            },
+            result: RUN_STATE
+        },
+        resume: {
+            description: 'Resume one interrupted run, or every checkpointed run that did not complete',
+            payload: {
+                type: 'object',
+                properties: {
+                    runId: { type: 'string', minLength: 1 },
+                    detach: { type: 'boolean' }
+                }
+            },
+            result: {
+                type: 'object',
+                properties: { runs: { type: 'array', items: RUN_STATE } }
+            }
+        }
+    }
+};
+
+function workflowError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// Runs started by a principal belong to it; trusted callers see every run
+function ownsRun(run, principal) {
+    return principal === undefined || run.principal === principal;
+}
+
+/**
+ * Check a definition: known nodes, no reserved names, no cycles
+ * @private
+ */
+function validateDefinition(definition) {
+    const names = Object.keys(definition.nodes || {});
+    if (names.length === 0) {
+        throw workflowError('VALIDATION_FAILED', 'Workflow needs at least one node');
+    }
+
+    for (const name of names) {
+        if (name === 'input') {
+            throw workflowError('VALIDATION_FAILED', '"input" is reserved for the run input');
+        }
+        const node = definition.nodes[name];
+        if (!node || typeof node.action !== 'string') {
+            throw workflowError('VALIDATION_FAILED', `Node "${name}" needs an action`);
+        }
+        if (node.join !== undefined && node.join !== 'all' && node.join !== 'any') {
+            throw workflowError('VALIDATION_FAILED', `Node "${name}" join must be "all" or "any"`);
+        }
+    }
+
+    const edges = definition.edges || [];
+    for (const edge of edges) {
+        for (const end of [edge.from, edge.to]) {
+            if (!names.includes(end)) {
+                throw workflowError('VALIDATION_FAILED', `Edge references unknown node "${end}"`);
+            }
+        }
+
+        if (edge.when) {
+            const unknown = Object.keys(edge.when).find(key => key !== 'ref' && !OPERATORS[key]);
+            if (typeof edge.when.ref !== 'string' || unknown) {
+                throw workflowError('VALIDATION_FAILED',
+                    `Edge ${edge.from} → ${edge.to} has an invalid condition${unknown ? ` ("${unknown}")` : ''}`);
+            }
+        }
+    }
+
+    // Kahn's algorithm: every node must be reachable in topological order
+    const incoming = new Map(names.map(name => [name, 0]));
+    edges.forEach(edge => incoming.set(edge.to, incoming.get(edge.to) + 1));
+    const queue = names.filter(name => incoming.get(name) === 0);
+    let visited = 0;
+
+    while (queue.length > 0) {
+        const name = queue.shift();
+        visited++;
+        for (const edge of edges.filter(e => e.from === name)) {
+            incoming.set(edge.to, incoming.get(edge.to) - 1);
+            if (incoming.get(edge.to) === 0) queue.push(edge.to);
+        }
+    }
+
+    if (visited !== names.length) {
+        throw workflowError('VALIDATION_FAILED', 'Workflow edges contain a cycle');
+    }
+}
+
+/**
+ * Evaluate an edge condition: `{ ref, eq | ne | gt | gte | lt | lte | in | exists }`
+ * (a bare `{ ref }` tests truthiness; an unresolvable ref is false)
+ * @private
+ */
+function evaluate(when, results) {
+    let value;
+    try {
+        value = resolveReferences({ $ref: when.ref }, results);
+    } catch (error) {
+        return false;
+    }
+
+    const operators = Object.keys(when).filter(key => key !== 'ref');
+    if (operators.length === 0) return Boolean(value);
+
+    return operators.every(operator => OPERATORS[operator](value, when[operator]));
+}
+
+export class WorkflowCapability {
+    constructor() {
+        this.manifest = MANIFEST;
+        this.dependsOn = ['storage'];
+        this.logger = consoleLogger;
+        this.csop = null;
+        this.storage = 'storage';
+        this.definitions = new Map();
+        this.runs = new Map();
+        this.saving = new Map();
+    }
+
+    /**
+     * Keep the router to dispatch node actions and checkpoints
+     * @param {Object} config - `storage`: capability keeping checkpoints, with `records()`
+     *   (default: "storage", false disables)
+     * @param {Object} context - `{ csop, logger }` from the router
+     */
+    async init(config = {}, context = {}) {
+        if (context.logger) this.logger = context.logger;
+        this.csop = context.csop;
+        if (config.storage !== undefined) this.storage = config.storage;
+
+        if (!this.csop) {
+            throw new Error('Workflow capability must be initialized by CSOP (register with initialize: true)');
+        }
+
+        this.logger.info('🧭 Workflow engine initialized');
+    }
+
+    /**
+     * DEFINE - Register a reusable workflow
+     */
+    async define(definition) {
+        validateDefinition(definition);
+        this.definitions.set(definition.name, deepClone(definition));
+
+        return { name: definition.name, nodes: Object.keys(definition.nodes).length };
+    }
+
+    /**
+     * RUN - Start a run and wait for it (or return at once with `detach`)
+     * Independent nodes run in parallel; progress reports each finished node.
+     * Nodes are dispatched as the caller's principal (kept across resumes).
+     */
+    async run({ workflow, input = {}, detach = false }, { signal, onProgress, principal } = {}) {
+        const definition = typeof workflow === 'string'
+            ? this.definitions.get(workflow)
+            : workflow;
+
+        if (!definition) {
+            throw workflowError('WORKFLOW_NOT_FOUND', `Workflow "${workflow}" is not defined`);
+        }
+        if (typeof workflow !== 'string') validateDefinition(definition);
+
+        const run = {
+            runId: generateId(),
+            workflow: definition.name || 'inline',
+            definition: deepClone(definition),
+            input,
+            status: 'running',
+            nodes: Object.fromEntries(Object.keys(definition.nodes).map(name => [name, { status: 'pending' }])),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        if (principal !== undefined) run.principal = principal;
+
+        this.runs.set(run.runId, run);
+        await this._checkpoint(run);
+
+        return this._start(run, { detach, signal, onProgress });
+    }
+
+    /**
+     * STATUS - Current state of a run
+     * A caller with a principal only sees its own runs.
+     */
+    async status({ runId }, { principal } = {}) {
+        const run = this.runs.get(runId) || await this._load(runId);
+        if (!run || !ownsRun(run, principal)) {
+            throw workflowError('WORKFLOW_NOT_FOUND', `Run "${runId}" not found`);
+        }
+        return this._summary(run);
+    }
+
+    /**
+     * RESUME - Continue interrupted runs from their last completed nodes
+     * Nodes that were running when the page went away run again.
+     * A caller with a principal only resumes its own runs.
+     */
+    async resume({ runId, detach = false } = {}, { signal, onProgress, principal } = {}) {
+        const ids = runId ? [runId] : await this._checkpointedRuns();
+        const runs = [];
+
+        for (const id of ids) {
+            if (this.runs.has(id) && this.runs.get(id).active) continue;
+
+            const run = this.runs.get(id) || await this._load(id);
+            if (!run || !ownsRun(run, principal)) {
+                if (runId) throw workflowError('WORKFLOW_NOT_FOUND', `Run "${id}" not found`);
+                continue;
+            }
+            if (run.status === 'completed') continue;
+
+            for (const node of Object.values(run.nodes)) {
+                if (node.status === 'running' || node.status === 'failed') {
+                    node.status = 'pending';
+                    delete node.error;
+                }
+            }
+            run.status = 'running';
+            delete run.error;
+            this.runs.set(id, run);
+
+            this.logger.info(`🧭 Resuming workflow run ${id}`);
+            runs.push(this._start(run, { detach, signal, onProgress }).catch(error => {
+                if (error.code !== 'WORKFLOW_FAILED') throw error;
+                return this._summary(run);
+            }));
+        }
+
+        return { runs: await Promise.all(runs) };
+    }
+
+    /**
+     * Forget in-memory runs once pending checkpoints are written (they stay in storage)
+     */
+    async destroy() {
+        await Promise.all(this.saving.values());
+        this.runs.clear();
+        this.definitions.clear();
+    }
+
+    // === PRIVATE METHODS ===
+
+    /**
+     * @private
+     */
+    async _start(run, options) {
+        const done = this._execute(run, options);
+
+        if (options.detach) {
+            done.catch(error => this.logger.error(`❌ Workflow run ${run.runId} crashed`, error));
+            return this._summary(run);
+        }
+
+        await done;
+        if (run.status !== 'completed') {
+            const failed = Object.entries(run.nodes).find(([, node]) => node.status === 'failed');
+            throw workflowError('WORKFLOW_FAILED',
+                failed
+                    ? `Workflow "${run.workflow}" failed at node "${failed[0]}": ${failed[1].error.message}`
+                    : `Workflow "${run.workflow}" ${run.status}`,
+                this._summary(run));
+        }
+        return this._summary(run);
+    }
+
+    /**
+     * Schedule nodes as their incoming edges resolve
+     * @private
+     */
+    async _execute(run, { signal, onProgress }) {
+        const { definition } = run;
+        const running = new Map();
+        run.active = true;
+
+        try {
+            while (true) {
+                if (run.status === 'running' && signal && signal.aborted) {
+                    run.status = 'aborted';
+                }
+
+                if (run.status === 'running') {
+                    for (const name of this._readyNodes(run)) {
+                        run.nodes[name] = { status: 'running', startedAt: Date.now() };
+                        running.set(name, this._runNode(run, name, signal).then(() => {
+                            running.delete(name);
+                            this._report(run, name, onProgress);
+                        }));
+                    }
+                }
+
+                if (running.size === 0) break;
+                await Promise.race(running.values());
+            }
+
+            if (run.status === 'running') {
+                run.status = 'completed';
+                run.output = this._output(run);
+            }
+        } finally {
+            run.active = false;
+            run.updatedAt = Date.now();
+            // A completed run has nothing left to resume
+            await (run.status === 'completed' ? this._forget(run) : this._checkpoint(run));
+        }
+
+        this.logger.info(`🧭 Workflow "${run.workflow}" ${run.status}`);
+        return run;
+    }
+
+    /**
+     * Mark skipped nodes and return the nodes ready to run
+     * A node runs when all incoming edges are active ("any" join: at least one);
+     * an edge is active when its source completed and its condition holds.
+     * @private
+     */
+    _readyNodes(run) {
+        const { nodes, edges = [] } = run.definition;
+        const results = this._results(run);
+        const ready = [];
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+
+            for (const name of Object.keys(nodes)) {
+                if (run.nodes[name].status !== 'pending' || ready.includes(name)) continue;
+
+                const states = edges.filter(edge => edge.to === name).map(edge => {
+                    const source = run.nodes[edge.from].status;
+                    if (source === 'completed') return !edge.when || evaluate(edge.when, results);
+                    if (source === 'skipped') return false;
+                    return null;
+                });
+
+                if (states.includes(null)) continue;
+
+                const runs = nodes[name].join === 'any'
+                    ? states.length === 0 || states.includes(true)
+                    : states.every(Boolean);
+
+                if (runs) {
+                    ready.push(name);
+                } else {
+                    run.nodes[name] = { status: 'skipped' };
+                    changed = true;
+                }
+            }
+        }
+
+        return ready;
+    }
+
+    /**
+     * @private
+     */
+    async _runNode(run, name, signal) {
+        const node = run.definition.nodes[name];
+        const state = run.nodes[name];
+
+        try {
+            throwIfAborted(signal);
+            const input = resolveReferences(node.input === undefined ? {} : node.input, this._results(run));
+            const options = { ...node.options, signal };
+            if (run.principal !== undefined) options.principal = run.principal;
+            const response = await this.csop.dispatch(node.action, input, options);
+
+            if (response.status === 'ok') {
+                state.status = 'completed';
+                state.data = response.data;
+            } else {
+                state.status = 'failed';
+                state.error = response.error;
+            }
+        } catch (error) {
+            state.status = 'failed';
+            state.error = { code: error.code || 'EXECUTION_FAILED', message: error.message };
+        }
+
+        state.finishedAt = Date.now();
+        if (state.status === 'failed' && run.status === 'running') {
+            run.status = state.error.code === 'ABORTED' ? 'aborted' : 'failed';
+        }
+
+        run.updatedAt = Date.now();
+        await this._checkpoint(run);
+    }
+
+    /**
+     * @private
+     */
+    _report(run, name, onProgress) {
+        if (!onProgress) return;
+
+        const states = Object.values(run.nodes);
+        onProgress({
+            runId: run.runId,
+            node: name,
+            status: run.nodes[name].status,
+            completed: states.filter(node => node.status === 'completed').length,
+            total: states.length
+        });
+    }
+
+    /**
+     * Values references resolve against: `input` and completed node results
+     * @private
+     */
+    _results(run) {
+        const results = { input: run.input };
+        for (const [name, node] of Object.entries(run.nodes)) {
+            if (node.status === 'completed') results[name] = node.data;
+        }
+        return results;
+    }
+
+    /**
+     * `definition.output` mapping, else the results of the completed leaf nodes
+     * @private
+     */
+    _output(run) {
+        const { output, edges = [] } = run.definition;
+        const results = this._results(run);
+
+        if (output !== undefined) {
+            return resolveReferences(output, results);
+        }
+
+        const leaves = {};
+        for (const name of Object.keys(run.nodes)) {
+            if (run.nodes[name].status === 'completed' && !edges.some(edge => edge.from === name)) {
+                leaves[name] = results[name];
+            }
+        }
+        return leaves;
+    }
+
+    /**
+     * @private
+     */
+    _summary(run) {
+        const { definition, active, ...state } = run;
+        return deepClone(state);
+    }
+
+    /**
+     * Save a snapshot of the run
+     * @private
+     */
+    _checkpoint(run) {
+        const { active, ...state } = run;
+        const snapshot = deepClone(state);
+        return this._write(run.runId, records => records.put(run.runId, snapshot));
+    }
+
+    /**
+     * Delete the checkpoint of a run
+     * @private
+     */
+    _forget(run) {
+        return this._write(run.runId, records => records.delete(run.runId));
+    }
+
+    /**
+     * Queue a checkpoint write after the run's previous ones; the queue is
+     * dropped once it drains
+     * @private
+     */
+    _write(runId, write) {
+        const records = this._records();
+        if (!records) return Promise.resolve();
+
+        const previous = this.saving.get(runId) || Promise.resolve();
+        const saving = previous.then(() => write(records)).catch((error) => {
+            this.logger.warn(`⚠️ Workflow checkpoint failed: ${runId}`, error);
+        }).then(() => {
+            if (this.saving.get(runId) === saving) this.saving.delete(runId);
+        });
+
+        this.saving.set(runId, saving);
+        return saving;
+    }
+
+    /**
+     * @private
+     */
+    async _load(runId) {
+        const records = this._records();
+        if (!records) return null;
+
+        try {
+            return (await records.get(runId)) || null;
+        } catch (error) {
+            this.logger.warn(`⚠️ Workflow checkpoint unreadable: ${runId}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _checkpointedRuns() {
+        const records = this._records();
+        if (!records) {
+            return Array.from(this.runs.keys());
+        }
+
+        try {
+            return await records.ids();
+        } catch (error) {
+            this.logger.warn('⚠️ Workflow checkpoints unreadable', error);
+            return [];
+        }
+    }
+
+    /**
+     * Checkpoint records of the storage capability, or null (memory only)
+     * @private
+     */
+    _records() {
+        const storage = this.storage ? this.csop.getCapability(this.storage) : null;
+        return storage && typeof storage.records === 'function' ? storage.records(RECORDS) : null;
+    }
+}
@@ -1,6 +1,3 @@
-import { CSPValidator } from './validation.js';
-import { ErrorCodes, CSOPError } from './errors.js';
-
 /**
  * CSOP - Client-Side Orchestration Protocol
  * Version: 0.1.0
@@ -11,10 +8,107 @@ import { ErrorCodes, CSOPError } from './errors.js';
 import { StorageCapability } from './capabilities/storage.js';
 import { ComputeCapability } from './capabilities/compute.js';
 import { SyncCapability } from './capabilities/sync.js';
-import { generateId, delay } from './utils.js';
-import { validatePayload, ValidationError } from './validation.js';
-import { CSOPError, ErrorCodes, createErrorResponse } from './errors.js';
+import { WorkflowCapability } from './capabilities/workflow.js';
+import { CSPValidator } from './validation.js';
+import { ResponseCache } from './cache.js';
+import { EventEmitter } from './events.js';
+import { createLogger, consoleLogger } from './logger.js';
+import { Metrics } from './metrics.js';
+import { CircuitBreaker, normalizeRetryPolicy, backoffDelay, isRetryable } from './resilience.js';
+import { TabCoordinator } from './leader.js';
+import { serve, CSOPClient } from './transport.js';
+import { Outbox } from './outbox.js';
+import { Limiter, resolvePriority } from './scheduler.js';
+import { normalizeSteps, resolveReferences } from './saga.js';
+import { normalizePolicy, checkPolicy } from './policy.js';
+import { generateId, delay, createAbortError, throwIfAborted, detectRuntime, parseAction } from './utils.js';
+
+// Capabilities created by init() unless disabled in its config
+const BUILT_IN_CAPABILITIES = {
+    storage: StorageCapability,
+    compute: ComputeCapability,
+    sync: SyncCapability,
+    workflow: WorkflowCapability
+};
 
+// Used when neither the caller nor the capability manifest sets them
+const DEFAULT_OPTIONS = {
+    timeout: 5000,
+    retry: 0
+};
+
+// Never exposed as operations of a manifest-less capability
+const LIFECYCLE_METHODS = ['constructor', 'init', 'destroy'];
+
+/**
+ * Build a manifest for a capability that does not publish one:
+ * every public method except lifecycle hooks and `_private` helpers.
+ */
+function deriveManifest(name, capability) {
+    const operations = {};
+
+    for (let proto = capability; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        for (const key of Object.getOwnPropertyNames(proto)) {
+            if (key.startsWith('_') || LIFECYCLE_METHODS.includes(key) || operations[key]) continue;
+            if (typeof capability[key] === 'function') {
+                operations[key] = { description: '' };
+            }
+        }
+    }
+
+    return {
+        name,
+        version: capability.version || '0.0.0',
+        scope: capability.scope,
+        defaults: {},
+        operations
+    };
+}
+
+function pickDefaults(spec) {
+    const defaults = {};
+    if (spec.timeout !== undefined) defaults.timeout = spec.timeout;
+    if (spec.retry !== undefined) defaults.retry = spec.retry;
+    return defaults;
+}
+
+// Error codes that retrying cannot fix
+const NON_RETRYABLE = [
+    'INVALID_ACTION',
+    'CAPABILITY_NOT_FOUND',
+    'OPERATION_NOT_FOUND',
+    'VALIDATION_FAILED',
+    'KEY_NOT_FOUND',
+    'WORKFLOW_NOT_FOUND',
+    'WORKFLOW_FAILED',
+    'REPLAY_MISS',
+    'FORBIDDEN',
+    'TURSO_REQUEST_FAILED',
+    'STORAGE_QUOTA_EXCEEDED',
+    'COLLECTION_NOT_FOUND',
+    'INDEX_NOT_FOUND',
+    'STORAGE_LOCKED',
+    'DECRYPTION_FAILED',
+    'ABORTED',
+    // DOMException names: a value that cannot be cloned or stored stays so
+    'DataCloneError',
+    'DataError'
+];
+
+// Transaction option carried to every step
+function principalOf(options) {
+    return options.principal !== undefined ? { principal: options.principal } : {};
+}
+
+// String error code of a thrown error (CSOPError carries it in errorCode);
+// DOMException codes are legacy numbers, its name says what failed
+function errorCodeOf(error, fallback = 'EXECUTION_FAILED') {
+    if (!error) return fallback;
+    if (typeof error.errorCode === 'string') return error.errorCode;
+    if (typeof error.code === 'string' && error.code) return error.code;
+    if (typeof DOMException !== 'undefined' && error instanceof DOMException) return error.name;
+    return fallback;
+}
 
 /**
  * Main CSOP Class - Protocol Router
@@ -23,47 +117,347 @@ export class CSOP {
     constructor() {
         this.version = '0.2.0';
         this.capabilities = new Map();
+        this.registry = new Map();
+        this.initOrder = [];
         this.pending = new Map();
+        this.middleware = [];
+        this.cache = new ResponseCache();
+        this.logger = consoleLogger;
+        this.events = new EventEmitter(this.logger);
+        this.metrics = new Metrics({ version: this.version });
+        this.metrics.attach(this.events);
+        this.retryPolicies = new Map();
+        this.breakers = new Map();
+        this.limits = new Map();
+        this.policies = new Map();
+        this.outbox = null;
+        this.runtime = detectRuntime();
         this.initialized = false;
+
+        // Multi-tab mode (see init config.multiTab)
+        this.tabs = null;
+        this.tabServer = null;
+        this.tabClient = null;
+        this.tabSubscriptions = [];
     }
 
     /**
      * Initialize CSOP with default capabilities
+     * @param {Object} config - Per-capability config (`config.storage`, ...);
+     *   `false` disables a built-in. `config.capabilities` adds custom classes:
+     *   `{ name: Class | { class, config, dependsOn } }`.
+     *   `config.lazy` defers each capability init to its first dispatch.
+     *   `config.multiTab` (true or `{ name, heartbeat, timeout }`) elects one
+     *   leader tab to own the capabilities; other tabs forward to it.
+     *   `config.cachePolicies` overrides cache policies per action.
+     *   `config.retryPolicies` and `config.circuitBreakers` are applied with
+     *   setRetryPolicy() and setCircuitBreaker().
+     *   `config.limits` (`{ target: options }`) is applied with setLimit().
+     *   `config.policies` (`{ principal: rules }`) is applied with setPolicy().
+     *   `config.logger` and `config.logLevel` are applied with setLogger().
+     *   `config.outbox` (true or options) enables the offline queue (see Outbox).
      */
     async init(config = {}) {
         if (this.initialized) {
-            console.warn('CSOP already initialized');
+            this.logger.warn('CSOP already initialized');
             return;
         }
 
-        console.log(`🚀 CSOP v${this.version} initializing...`);
+        if (config.logger !== undefined || config.logLevel) {
+            this.setLogger(config.logger, config.logLevel);
+        }
+
+        this.logger.info(`🚀 CSOP v${this.version} initializing...`);
+
+        if (config.cachePolicies) {
+            this.cache.configure(config.cachePolicies);
+        }
+        for (const [target, policy] of Object.entries(config.retryPolicies || {})) {
+            this.setRetryPolicy(target, policy);
+        }
+        for (const [domain, options] of Object.entries(config.circuitBreakers || {})) {
+            this.setCircuitBreaker(domain, options);
+        }
+        for (const [target, options] of Object.entries(config.limits || {})) {
+            this.setLimit(target, options);
+        }
+        for (const [principal, rules] of Object.entries(config.policies || {})) {
+            this.setPolicy(principal, rules);
+        }
+
+        const definitions = {
+            ...BUILT_IN_CAPABILITIES,
+            ...(config.capabilities || {})
+        };
+
+        // Register capabilities (capabilities registered before init() win)
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (!definition || config[name] === false || this.capabilities.has(name)) {
+                continue;
+            }
+
+            const { class: CapabilityClass, ...options } = typeof definition === 'function'
+                ? { class: definition }
+                : definition;
 
-        // Initialize capabilities
-        const storage = new StorageCapability();
-        const compute = new ComputeCapability();
-        const sync = new SyncCapability();
+            // Dependencies the config turned off are dropped (workflow without storage)
+            const capability = new CapabilityClass();
+            const dependsOn = options.dependsOn || capability.dependsOn;
+            this.register(name, capability, {
+                initialize: true,
+                config: options.config !== undefined ? options.config : config[name],
+                dependsOn: dependsOn && dependsOn.filter(dependency => config[dependency] !== false)
+            });
+        }
 
-        await storage.init(config.storage);
-        await compute.init(config.compute);
-        await sync.init(config.sync);
+        if (config.outbox) {
+            this.outbox = new Outbox(this, config.outbox === true ? {} : config.outbox);
+        }
 
-        // Register capabilities
-        this.register('storage', storage);
-        this.register('compute', compute);
-        this.register('sync', sync);
+        if (config.multiTab) {
+            await this._startMultiTab(config.multiTab === true ? {} : config.multiTab, config.lazy);
+            await this._startOutbox();
+            this.logger.info('✅ CSOP Ready');
+            return;
+        }
+
+        // Initialize capabilities in dependency order
+        if (!config.lazy) {
+            await this._initAll();
+        }
 
         this.initialized = true;
-        console.log('✅ CSOP Ready');
+        await this._startOutbox();
+        this.logger.info('✅ CSOP Ready');
     }
 
     /**
      * Register a capability
      * @param {string} name - Capability name (domain)
      * @param {Object} capability - Capability instance
+     * @param {Object} options - Registration options
+     * @param {boolean} options.initialize - Let CSOP call `capability.init(config, { csop, logger, runtime })`
+     *   before its first use (default: false, the instance is already initialized)
+     * @param {Object} options.config - Config passed to `init()`
+     * @param {string[]} options.dependsOn - Capabilities to initialize first
+     *   (default: `capability.dependsOn`)
      */
-    register(name, capability) {
+    register(name, capability, options = {}) {
+        CSPValidator.validateCapability(name);
+
+        if (this.capabilities.has(name)) {
+            throw new Error(`Capability "${name}" already registered. Call unregister() first.`);
+        }
+
         this.capabilities.set(name, capability);
-        console.log(`📦 Capability registered: ${name}`);
+        this.registry.set(name, {
+            manifest: capability.manifest || deriveManifest(name, capability),
+            config: options.config,
+            dependsOn: options.dependsOn || capability.dependsOn || [],
+            managed: Boolean(options.initialize),
+            ready: !options.initialize,
+            promise: null
+        });
+
+        if (!options.initialize) {
+            this.initOrder.push(name);
+        }
+
+        this.logger.info(`📦 Capability registered: ${name}`);
+        this.events.emit('capability:registered', { name, manifest: this.registry.get(name).manifest });
+    }
+
+    /**
+     * Unregister a capability, destroying it if it was initialized
+     * @param {string} name - Capability name
+     * @returns {Promise<boolean>} False if nothing was registered under that name
+     */
+    async unregister(name) {
+        if (!this.capabilities.has(name)) {
+            return false;
+        }
+
+        const dependents = Array.from(this.registry.entries())
+            .filter(([other, entry]) => other !== name && entry.dependsOn.includes(name))
+            .map(([other]) => other);
+
+        if (dependents.length > 0) {
+            throw new Error(`Cannot unregister "${name}": required by ${dependents.join(', ')}`);
+        }
+
+        await this._destroyCapability(name);
+        this.capabilities.delete(name);
+        this.registry.delete(name);
+
+        this.logger.info(`📦 Capability unregistered: ${name}`);
+        this.events.emit('capability:unregistered', { name });
+        return true;
+    }
+
+    /**
+     * Destroy all capabilities in reverse initialization order
+     * The instance can be initialized again afterwards.
+     */
+    async destroy() {
+        if (this.tabs) {
+            this.tabs.close();
+            this._stopServing();
+            this._disconnectFromLeader();
+            this.tabs = null;
+            this.tabSubscriptions = [];
+        }
+
+        if (this.outbox) {
+            this.outbox.stop();
+            this.outbox = null;
+        }
+
+        await this._teardown(() => true);
+
+        this.capabilities.clear();
+        this.registry.clear();
+        this.initOrder = [];
+        this.initialized = false;
+
+        this.logger.info('🛑 CSOP destroyed');
+    }
+
+    /**
+     * Register a middleware around every dispatch
+     *
+     * Middleware runs in registration order as `async (message, next) => response`.
+     * It may rewrite `message.action`, `message.payload` or `message.options`
+     * before calling `next()`, return its own response without calling `next()`
+     * to short-circuit, or alter the response returned by `next()`.
+     * Errors thrown by a middleware are converted into an error response.
+     * @param {Function} fn - Middleware function
+     * @returns {CSOP} This instance (chainable)
+     */
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Route CSOP, capability and transport output to another logger
+     * @param {Object|Function|false} sink - Console-like object (debug/info/warn/error),
+     *   `(level, message, ...data) => void`, null for console, or false to silence
+     * @param {string} level - Minimum level: "debug" | "info" | "warn" | "error" | "silent" (default: "info")
+     */
+    setLogger(sink, level = 'info') {
+        this.logger = createLogger({
+            sink: sink || undefined,
+            level: sink === false ? 'silent' : level
+        });
+        this.events.logger = this.logger;
+    }
+
+    /**
+     * Listen to router events
+     * @param {string} event - Event name, or "*" for every event
+     * @param {Function} fn - Listener
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, fn) {
+        return this.events.on(event, fn);
+    }
+
+    /**
+     * Remove an event listener
+     */
+    off(event, fn) {
+        this.events.off(event, fn);
+    }
+
+    /**
+     * Set the retry policy of a capability ("storage") or an action ("storage.save")
+     * Used when the caller passes no `retry` option; action policies win.
+     * @param {string} target - Domain or action
+     * @param {number|Object|null} policy - Retry count, or `{ maxAttempts, baseDelay,
+     *   factor, maxDelay, jitter, retryOn }`; null removes it
+     */
+    setRetryPolicy(target, policy) {
+        if (policy === null || policy === undefined) {
+            this.retryPolicies.delete(target);
+        } else {
+            this.retryPolicies.set(target, policy);
+        }
+    }
+
+    /**
+     * Guard a capability domain with a circuit breaker
+     * @param {string} domain - Capability name
+     * @param {Object|false} options - `{ failureThreshold, cooldown, isFailure }`, false removes it
+     */
+    setCircuitBreaker(domain, options = {}) {
+        if (options === false) {
+            this.breakers.delete(domain);
+            return;
+        }
+
+        this.breakers.set(domain, new CircuitBreaker({
+            ...options,
+            onChange: (change) => {
+                this.logger.warn(`⚡ Circuit ${domain}: ${change.previous} → ${change.state}`);
+                this.events.emit('circuit:change', { domain, ...change });
+            }
+        }));
+    }
+
+    /**
+     * Get the circuit breaker of a domain (state, failures, remaining())
+     * @param {string} domain - Capability name
+     * @returns {CircuitBreaker|undefined}
+     */
+    getCircuitBreaker(domain) {
+        return this.breakers.get(domain);
+    }
+
+    /**
+     * Limit how many calls of a capability ("storage") or an action
+     * ("storage.save") run at once and how fast they start
+     * Calls over the limit wait in a priority queue (`options.priority`);
+     * the wait counts toward their timeout.
+     * @param {string} target - Domain or action
+     * @param {Object|false} options - `{ concurrency, rate, interval, burst }`, false removes it
+     */
+    setLimit(target, options) {
+        if (options === false) {
+            this.limits.delete(target);
+            return;
+        }
+        this.limits.set(target, new Limiter(options));
+    }
+
+    /**
+     * Current load of every limit
+     * @returns {Object} `{ target: { active, queued, concurrency, rate, tokens } }`
+     */
+    getQueueStats() {
+        const stats = {};
+        for (const [target, limiter] of this.limits) {
+            stats[target] = limiter.stats();
+        }
+        return stats;
+    }
+
+    /**
+     * Restrict what a principal may dispatch
+     * Calls made with `options.principal` are checked against its policy
+     * (unknown principals are refused); calls without one are not checked.
+     * @param {string} principal - Caller name (e.g. "widget:weather")
+     * @param {Object|false} rules - `{ allow, deny, keyPrefixes, channels, tasks }`
+     *   (see policy.js), false removes the policy
+     */
+    setPolicy(principal, rules) {
+        if (rules === false || rules === null) {
+            this.policies.delete(principal);
+            return;
+        }
+        this.policies.set(principal, normalizePolicy(rules));
     }
 
     /**
@@ -79,7 +473,7 @@ export class CSOP {
      * Main dispatch method - Routes messages to capabilities
      * @param {string} action - Action in format "domain.operation"
      * @param {Object} payload - Action payload
-     * @param {Object} options - Execution options (retry, timeout)
+     * @param {Object} options - Execution options (retry, timeout, signal, onProgress)
      * @returns {Promise<Object>} Response object
      */
     async dispatch(action, payload = {}, options = {}) {
@@ -92,22 +486,309 @@ export class CSOP {
             id: generateId(),
             action,
             payload,
-            options: {
-                timeout: 5000,
-                retry: 0,
-                ...options
+            options: { ...options }
+        };
+
+        this.logger.debug(`📤 Dispatching: ${action}`, message.id);
+
+        const startTime = Date.now();
+        this.events.emit('dispatch:start', { id: message.id, action, payload, time: startTime });
+
+        const response = await this._runMiddleware(message);
+
+        const end = { id: message.id, action, duration: Date.now() - startTime, time: Date.now() };
+        if (response.status === 'error') {
+            this.events.emit('dispatch:error', { ...end, error: response.error });
+        } else {
+            this.events.emit('dispatch:success', { ...end, status: response.status, cached: Boolean(response.cached) });
+        }
+
+        return response;
+    }
+
+    /**
+     * Streaming dispatch - yields progress events, then the final response
+     * @param {string} action - Action in format "domain.operation"
+     * @param {Object} payload - Action payload
+     * @param {Object} options - Execution options (same as dispatch)
+     * @returns {AsyncGenerator<Object>} `{ id, status: 'progress', data }` events,
+     *   ending with the normal `{ id, status, data, duration }` response
+     */
+    async *stream(action, payload = {}, options = {}) {
+        const events = [];
+        let notify = null;
+        let outcome = null;
+
+        const onProgress = (event) => {
+            if (options.onProgress) options.onProgress(event);
+            events.push(event);
+            if (notify) notify();
+        };
+
+        this.dispatch(action, payload, { ...options, onProgress })
+            .then(response => { outcome = { response }; }, error => { outcome = { error }; })
+            .finally(() => { if (notify) notify(); });
+
+        while (true) {
+            if (events.length > 0) {
+                yield events.shift();
+                continue;
             }
+            if (outcome) break;
+            await new Promise(resolve => { notify = resolve; });
+            notify = null;
+        }
+
+        if (outcome.error) throw outcome.error;
+        yield outcome.response;
+    }
+
+    /**
+     * Run several actions as a unit (saga)
+     * Steps run in order through dispatch(). When one fails, the completed
+     * steps are undone by running their compensating actions in reverse order.
+     * @param {Object[]} steps - `{ name, action, payload, options, compensate }`.
+     *   A payload may be a function of the earlier results or hold
+     *   `{ $ref: "stepName.path" }` values. `compensate` is an action or
+     *   `{ action, payload, options }` (payload defaults to the step's payload).
+     * @param {Object} options - `signal` stops the transaction before its next step;
+     *   `principal` is applied to every step and compensation
+     * @returns {Promise<Object>} One response whose `data.steps` (or `error.details.steps`)
+     *   lists `{ name, action, status, data, error, compensation }` per step
+     */
+    async transaction(steps, options = {}) {
+        if (!this.initialized) {
+            throw new Error('CSOP not initialized. Call csop.init() first.');
+        }
+
+        const id = generateId();
+        const startTime = Date.now();
+
+        let plan;
+        try {
+            plan = normalizeSteps(steps);
+        } catch (error) {
+            return this._errorResponse(id, 'VALIDATION_FAILED', error.message);
+        }
+
+        const results = {};
+        const payloads = [];
+        const report = plan.map(step => ({ name: step.name, action: step.action, status: 'pending' }));
+        let failed = -1;
+
+        for (let i = 0; i < plan.length; i++) {
+            const step = plan[i];
+            let response;
+
+            try {
+                throwIfAborted(options.signal);
+                payloads[i] = resolveReferences(step.payload, results);
+
+                // Steps must run now: queueing one offline would break the unit
+                const { queueIfOffline, ...stepOptions } = step.options;
+                response = await this.dispatch(step.action, payloads[i], {
+                    signal: options.signal,
+                    ...stepOptions,
+                    ...principalOf(options)
+                });
+            } catch (error) {
+                response = this._errorResponse(id, errorCodeOf(error), error.message);
+            }
+
+            if (response.status !== 'ok') {
+                report[i].status = 'failed';
+                report[i].error = response.error;
+                failed = i;
+                break;
+            }
+
+            report[i].status = 'ok';
+            report[i].data = response.data;
+            results[step.name] = response.data;
+        }
+
+        if (failed === -1) {
+            this.logger.debug(`✅ Transaction committed (${plan.length} steps)`);
+            return { id, status: 'ok', data: { steps: report }, duration: Date.now() - startTime };
+        }
+
+        report.slice(failed + 1).forEach(entry => { entry.status = 'skipped'; });
+        this.logger.warn(`⚠️ Transaction failed at "${report[failed].name}", compensating`);
+
+        let compensated = true;
+        for (let i = failed - 1; i >= 0; i--) {
+            const { compensate } = plan[i];
+            if (!compensate) continue;
+
+            let response;
+            try {
+                const payload = compensate.payload === undefined
+                    ? payloads[i]
+                    : resolveReferences(compensate.payload, results);
+                response = await this.dispatch(compensate.action, payload, {
+                    ...(compensate.options || {}),
+                    ...principalOf(options)
+                });
+            } catch (error) {
+                response = this._errorResponse(id, errorCodeOf(error), error.message);
+            }
+
+            report[i].compensation = { action: compensate.action, status: response.status };
+            if (response.status === 'ok') {
+                report[i].status = 'compensated';
+            } else {
+                report[i].status = 'compensation_failed';
+                report[i].compensation.error = response.error;
+                compensated = false;
+                this.logger.error(`❌ Compensation failed: ${compensate.action}`, response.error);
+            }
+        }
+
+        const cause = report[failed];
+        const response = this._errorResponse(id,
+            compensated ? 'TRANSACTION_FAILED' : 'COMPENSATION_FAILED',
+            `Step "${cause.name}" (${cause.action}) failed: ${cause.error.message}`,
+            { steps: report, failedStep: cause.name });
+
+        // Safe to retry only when every completed step was undone
+        response.error.retry = compensated && cause.error.retry;
+        response.duration = Date.now() - startTime;
+        return response;
+    }
+
+    /**
+     * Run the middleware chain, ending with the router itself
+     * @private
+     */
+    async _runMiddleware(message) {
+        const stack = this.middleware.slice();
+        let lastIndex = -1;
+
+        const next = async (index) => {
+            if (index <= lastIndex) {
+                throw new Error('next() called multiple times');
+            }
+            lastIndex = index;
+
+            if (index === stack.length) {
+                return this._route(message);
+            }
+            return stack[index](message, () => next(index + 1));
         };
 
-        console.log(`📤 Dispatching: ${action}`, message.id);
+        try {
+            return await next(0);
+        } catch (error) {
+            const code = errorCodeOf(error, 'MIDDLEWARE_FAILED');
+            // A coded error fails the call on purpose (e.g. UNAUTHORIZED, REPLAY_MISS)
+            if (code === 'MIDDLEWARE_FAILED') {
+                this.logger.error(`❌ Middleware failed: ${message.action}`, error);
+            } else {
+                this.logger.warn(`⚠️ Middleware rejected ${message.action}: ${code}`, error.message);
+            }
+            return this._errorResponse(message.id, code, (error && error.message) || 'Unknown error');
+        }
+    }
 
-        // Parse action
-        const [domain, operation] = action.split('.');
-        
-        if (!domain || !operation) {
-            return this._errorResponse(message.id, 'INVALID_ACTION', 
-                `Action must be in format "domain.operation", got "${action}"`);
+    /**
+     * Route a message (through the leader tab in multi-tab mode)
+     * @private
+     */
+    async _route(message) {
+        // Checked before the policy: extra segments must not slip past its patterns
+        if (!parseAction(message.action)) return this._invalidAction(message);
+
+        const forbidden = this._checkPolicy(message);
+        if (forbidden) return forbidden;
+
+        const queueable = Boolean(message.options.queueIfOffline && this.outbox);
+
+        // Behind a backlog too, so a call never overtakes earlier queued ones
+        if (queueable && (!this.outbox.isOnline() || this.outbox.hasBacklog())) {
+            return this._enqueue(message);
+        }
+
+        const response = this.tabs
+            ? await this._routeMultiTab(message)
+            : await this._routeLocal(message);
+
+        // Connectivity dropped while the call was running
+        if (queueable && response.status === 'error' && response.error.retry && !this.outbox.isOnline()) {
+            return this._enqueue(message);
+        }
+        return response;
+    }
+
+    /**
+     * @private
+     */
+    _invalidAction(message) {
+        return this._errorResponse(message.id, 'INVALID_ACTION',
+            `Action must be in format "domain.operation", got "${message.action}"`);
+    }
+
+    /**
+     * Refuse a call its principal's policy does not allow
+     * @private
+     * @returns {Object|null} FORBIDDEN response, or null when allowed
+     */
+    _checkPolicy(message) {
+        const { principal } = message.options;
+        if (principal === undefined) return null;
+
+        const policy = this.policies.get(principal);
+        const entry = this.registry.get(parseAction(message.action).domain);
+        const reason = policy
+            ? checkPolicy(policy, message.action, message.payload, entry && entry.manifest.scope)
+            : `Unknown principal "${principal}"`;
+        if (!reason) return null;
+
+        this.logger.warn(`🚫 Forbidden: ${message.action} (${principal})`);
+        return this._errorResponse(message.id, 'FORBIDDEN', reason, { principal, action: message.action });
+    }
+
+    /**
+     * Persist a message to the outbox for replay on reconnect
+     * @private
+     */
+    async _enqueue(message) {
+        try {
+            const seq = await this.outbox.enqueue(message);
+            return {
+                id: message.id,
+                status: 'queued',
+                data: { seq, pending: this.outbox.state.pending }
+            };
+        } catch (error) {
+            return this._errorResponse(message.id, 'OUTBOX_FAILED', error.message);
         }
+    }
+
+    /**
+     * Load the outbox and replay what a previous session left queued
+     * @private
+     */
+    async _startOutbox() {
+        if (!this.outbox) return;
+
+        try {
+            await this.outbox.start();
+        } catch (error) {
+            this.logger.error('❌ Failed to load offline queue', error);
+        }
+    }
+
+    /**
+     * Route a message to a capability of this instance
+     * @private
+     */
+    async _routeLocal(message) {
+        const { action } = message;
+
+        // Parse action
+        const parsed = parseAction(action);
+        if (!parsed) return this._invalidAction(message);
+        const { domain, operation } = parsed;
 
         // Get capability
         const capability = this.capabilities.get(domain);
@@ -117,35 +798,389 @@ export class CSOP {
                 `No capability registered for domain "${domain}"`);
         }
 
-        // Check if operation exists
-        if (typeof capability[operation] !== 'function') {
+        // Check the operation is public (listed in the manifest)
+        const { manifest } = this.registry.get(domain);
+        const spec = Object.prototype.hasOwnProperty.call(manifest.operations, operation)
+            ? manifest.operations[operation]
+            : null;
+
+        if (!spec || typeof capability[operation] !== 'function') {
             return this._errorResponse(message.id, 'OPERATION_NOT_FOUND', 
                 `Operation "${operation}" not found in capability "${domain}"`);
         }
 
-        // Execute with retry
-        return await this._executeWithRetry(message, capability, operation);
+        // Caller options > operation defaults > capability defaults > router defaults
+        const callerRetry = message.options.retry;
+        message.options = {
+            ...DEFAULT_OPTIONS,
+            ...manifest.defaults,
+            ...pickDefaults(spec),
+            ...message.options
+        };
+
+        // Configured retry policies beat manifest defaults, not the caller
+        if (callerRetry === undefined) {
+            const retryPolicy = this.retryPolicies.get(action) || this.retryPolicies.get(domain);
+            if (retryPolicy !== undefined) message.options.retry = retryPolicy;
+        }
+
+        // Initialize on first use (lazy capabilities and their dependencies)
+        try {
+            await this._ensureReady(domain);
+        } catch (error) {
+            return this._errorResponse(message.id, 'CAPABILITY_INIT_FAILED', error.message);
+        }
+
+        // Validate payload against the operation schema
+        const schema = spec.payload;
+        if (schema) {
+            const errors = CSPValidator.validateSchema(message.payload, schema, 'payload');
+            if (errors.length > 0) {
+                return this._errorResponse(message.id, 'VALIDATION_FAILED',
+                    `Invalid payload for "${action}": ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+                    { errors });
+            }
+        }
+
+        const execute = () => this._schedule(message, domain,
+            (waited) => this._executeWithBreaker(message, capability, domain, operation, waited));
+        let response;
+
+        // Dedupe / serve idempotent calls (not when the caller needs its own signal or progress)
+        const policy = this.cache.policyFor(action, spec);
+        const { signal, onProgress, cache } = message.options;
+
+        if (policy && !signal && !onProgress && cache !== false) {
+            response = { ...await this.cache.run(action, message.payload, policy, execute), id: message.id };
+        } else {
+            // Execute with retry
+            response = await execute();
+        }
+
+        // Mutations drop the cached responses they make stale
+        if (spec.invalidates) {
+            this.cache.invalidate(spec.invalidates.map(rule => ({
+                ...rule,
+                action: rule.action.includes('.') ? rule.action : `${domain}.${rule.action}`
+            })), message.payload);
+        }
+
+        return response;
+    }
+
+    /**
+     * Initialize every registered capability in dependency order
+     * @private
+     */
+    async _initAll() {
+        for (const name of this.capabilities.keys()) {
+            await this._ensureReady(name);
+        }
+    }
+
+    /**
+     * Destroy initialized capabilities in reverse order
+     * Entries matching `filter` that CSOP initialized can be initialized again.
+     * @private
+     */
+    async _teardown(filter) {
+        for (const name of this.initOrder.slice().reverse()) {
+            const entry = this.registry.get(name);
+            if (!filter(entry)) continue;
+
+            try {
+                await this._destroyCapability(name);
+            } catch (error) {
+                this.logger.error(`❌ Failed to destroy capability: ${name}`, error);
+            }
+
+            if (entry.managed) {
+                entry.ready = false;
+                entry.promise = null;
+            }
+        }
+    }
+
+    // === MULTI-TAB MODE ===
+
+    /**
+     * Join the leader election; resolves once a leader is known
+     * @private
+     */
+    async _startMultiTab(options, lazy) {
+        const rpcName = `${options.name || 'csop'}:rpc`;
+
+        this.tabs = new TabCoordinator({
+            logger: this.logger,
+            ...options,
+            onElected: () => this._onElected(rpcName, lazy),
+            onDemoted: () => this._onDemoted(),
+            onChange: () => {
+                if (!this.tabs.isLeader) this._connectToLeader(rpcName);
+            }
+        });
+
+        this.initialized = true;
+        this.tabs.start();
+        await this.tabs.whenLeaderKnown();
+    }
+
+    /**
+     * Leader: route locally; follower: forward to the leader tab
+     * Calls passing callbacks (subscriptions) are remembered and replayed
+     * whenever the leader changes, so they keep reaching this tab.
+     * @private
+     */
+    async _routeMultiTab(message) {
+        const response = this.tabs.isLeader
+            ? await this._routeLocal(message)
+            : await this._forward(message);
+
+        if (response.status === 'ok') {
+            this._trackSubscription(message);
+        }
+        return response;
+    }
+
+    /**
+     * @private
+     */
+    async _forward(message) {
+        await this.tabs.whenLeaderKnown();
+        if (this.tabs.isLeader) {
+            return this._routeLocal(message);
+        }
+
+        try {
+            const response = await this.tabClient.dispatch(message.action, message.payload, message.options);
+            return { ...response, id: message.id };
+        } catch (error) {
+            if (error.code === 'TRANSPORT_CLOSED') {
+                return this._errorResponse(message.id, 'LEADER_CHANGED',
+                    'Leader tab changed before responding');
+            }
+            return this._errorResponse(message.id, errorCodeOf(error), error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _onElected(rpcName, lazy) {
+        this._disconnectFromLeader();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.tabServerChannel = new BroadcastChannel(rpcName);
+            // Followers forward the principal of each call
+            this.tabServer = serve(this, this.tabServerChannel, { logger: this.logger, trustPrincipal: true });
+        }
+
+        if (!lazy) {
+            try {
+                await this._initAll();
+            } catch (error) {
+                this.logger.error('❌ Leader failed to initialize capabilities', error);
+            }
+        }
+
+        this._replaySubscriptions();
+
+        // The leader replays the outbox shared by every tab
+        if (this.outbox) this.outbox._replayInBackground();
+    }
+
+    /**
+     * Another tab took over: release everything this tab initialized
+     * @private
+     */
+    async _onDemoted() {
+        this._stopServing();
+        await this._teardown(entry => entry.managed);
+    }
+
+    /**
+     * @private
+     */
+    _connectToLeader(rpcName) {
+        this._disconnectFromLeader();
+        this.tabChannel = new BroadcastChannel(rpcName);
+        this.tabClient = new CSOPClient(this.tabChannel, { logger: this.logger });
+        this._replaySubscriptions();
+    }
+
+    /**
+     * @private
+     */
+    _disconnectFromLeader() {
+        if (!this.tabClient) return;
+
+        this.tabClient.close();
+        this.tabChannel.close();
+        this.tabClient = null;
+        this.tabChannel = null;
+    }
+
+    /**
+     * @private
+     */
+    _stopServing() {
+        if (!this.tabServer) return;
+
+        this.tabServer.close();
+        this.tabServerChannel.close();
+        this.tabServer = null;
+        this.tabServerChannel = null;
+    }
+
+    /**
+     * Remember subscriptions; an `unsubscribe` forgets those of its channel
+     * @private
+     */
+    _trackSubscription(message) {
+        const payload = message.payload || {};
+        const { domain, operation } = parseAction(message.action) || {};
+
+        if (operation === 'unsubscribe') {
+            const channel = payload.channel || 'default';
+            this.tabSubscriptions = this.tabSubscriptions.filter(record =>
+                record.domain !== domain || (record.payload.channel || 'default') !== channel);
+            return;
+        }
+
+        if (Object.values(payload).some(value => typeof value === 'function')) {
+            const { signal, onProgress, ...options } = message.options;
+            this.tabSubscriptions.push({ domain, action: message.action, payload, options });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _replaySubscriptions() {
+        const records = this.tabSubscriptions;
+        this.tabSubscriptions = [];
+
+        for (const record of records) {
+            this.dispatch(record.action, record.payload, record.options).then(response => {
+                if (response.status !== 'ok') {
+                    this.logger.warn(`⚠️ Failed to restore subscription: ${record.action}`, response.error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize a capability after its dependencies
+     * @private
+     */
+    async _ensureReady(name) {
+        for (const dependency of this._dependencyOrder(name)) {
+            const entry = this.registry.get(dependency);
+            if (entry.ready) continue;
+
+            if (!entry.promise) {
+                entry.promise = this._initCapability(dependency, entry)
+                    .catch(error => {
+                        entry.promise = null;
+                        throw error;
+                    });
+            }
+            await entry.promise;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _initCapability(name, entry) {
+        const capability = this.capabilities.get(name);
+
+        if (typeof capability.init === 'function') {
+            await capability.init(entry.config, { csop: this, logger: this.logger, runtime: this.runtime });
+        }
+
+        entry.ready = true;
+        this.initOrder.push(name);
+    }
+
+    /**
+     * Resolve a capability and its dependencies into initialization order
+     * @private
+     */
+    _dependencyOrder(name, order = [], visiting = []) {
+        if (order.includes(name)) return order;
+
+        if (visiting.includes(name)) {
+            throw new Error(`Circular capability dependency: ${[...visiting, name].join(' → ')}`);
+        }
+
+        const entry = this.registry.get(name);
+        if (!entry) {
+            throw new Error(`Capability "${visiting[visiting.length - 1]}" depends on unregistered "${name}"`);
+        }
+
+        visiting.push(name);
+        for (const dependency of entry.dependsOn) {
+            this._dependencyOrder(dependency, order, visiting);
+        }
+        visiting.pop();
+
+        order.push(name);
+        return order;
+    }
+
+    /**
+     * Call a capability's destroy() if CSOP considers it initialized
+     * @private
+     */
+    async _destroyCapability(name) {
+        const index = this.initOrder.indexOf(name);
+        if (index === -1) return;
+
+        this.initOrder.splice(index, 1);
+        const capability = this.capabilities.get(name);
+        if (typeof capability.destroy === 'function') {
+            await capability.destroy();
+        }
     }
 
     /**
      * Execute message with automatic retry and timeout
      * @private
      */
-    async _executeWithRetry(message, capability, operation) {
-        const maxRetries = message.options.retry;
+    async _executeWithRetry(message, capability, operation, waited = 0) {
+        const policy = normalizeRetryPolicy(message.options.retry);
+        const { signal } = message.options;
         let lastError;
 
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+            if (signal && signal.aborted) {
+                lastError = createAbortError(signal);
+                break;
+            }
+
+            // Per-attempt controller: aborted by the caller's signal or by the timeout
+            const controller = new AbortController();
+            const onAbort = () => controller.abort(signal.reason);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
             try {
                 // Execute with timeout
                 const startTime = Date.now();
                 const result = await this._withTimeout(
-                    capability[operation](message.payload),
-                    message.options.timeout
+                    capability[operation](message.payload, {
+                        id: message.id,
+                        principal: message.options.principal,
+                        signal: controller.signal,
+                        onProgress: (data) => this._emitProgress(message, data)
+                    }),
+                    // Time spent queued counts toward the first attempt
+                    attempt === 1 ? Math.max(1, message.options.timeout - waited) : message.options.timeout,
+                    controller
                 );
                 const duration = Date.now() - startTime;
 
-                console.log(`✅ Success: ${message.action} (${duration}ms)`);
+                this.logger.debug(`✅ Success: ${message.action} (${duration}ms)`);
 
                 return {
                     id: message.id,
@@ -156,64 +1191,209 @@ export class CSOP {
 
             } catch (error) {
                 lastError = error;
+
+                if (signal && signal.aborted) {
+                    lastError = createAbortError(signal);
+                    break;
+                }
                 
+                const code = errorCodeOf(error);
+                if (attempt >= policy.maxAttempts ||
+                    !isRetryable(policy, error, code, !NON_RETRYABLE.includes(code))) {
+                    break;
+                }
+
                 // Log retry attempt
-                if (attempt < maxRetries) {
-                    const waitTime = Math.pow(2, attempt) * 100; // Exponential backoff
-                    console.warn(`⚠️ Retry ${attempt + 1}/${maxRetries} for ${message.action} after ${waitTime}ms`);
-                    await delay(waitTime);
+                const waitTime = backoffDelay(policy, attempt - 1);
+                this.logger.warn(`⚠️ Retry ${attempt}/${policy.maxAttempts - 1} for ${message.action} after ${waitTime}ms`);
+                this.events.emit('dispatch:retry', {
+                    id: message.id,
+                    action: message.action,
+                    attempt,
+                    delay: waitTime,
+                    error: { code, message: error.message },
+                    time: Date.now()
+                });
+                try {
+                    await delay(waitTime, signal);
+                } catch (abortError) {
+                    lastError = abortError;
+                    break;
                 }
+            } finally {
+                if (signal) signal.removeEventListener('abort', onAbort);
             }
         }
 
         // All retries failed
-        console.error(`❌ Failed: ${message.action}`, lastError);
+        this.logger.error(`❌ Failed: ${message.action}`, lastError);
         
         return this._errorResponse(
             message.id, 
-            lastError.code || 'EXECUTION_FAILED',
-            lastError.message || 'Unknown error'
+            errorCodeOf(lastError),
+            lastError.message || 'Unknown error',
+            lastError.details
         );
     }
 
     /**
-     * Wrap promise with timeout
+     * Wait for the action and domain limits, then run
+     * The action limit is taken first so a call never holds a domain slot
+     * while waiting on its narrower limit.
      * @private
      */
-    _withTimeout(promise, ms) {
+    async _schedule(message, domain, run) {
+        const limiters = [this.limits.get(message.action), this.limits.get(domain)].filter(Boolean);
+        if (limiters.length === 0) {
+            return run(0);
+        }
+
+        const { signal, timeout, priority } = message.options;
+        const startTime = Date.now();
+
+        // Stop waiting when the caller aborts or the timeout expires in the queue
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        const releases = [];
+        try {
+            for (const limiter of limiters) {
+                releases.push(await limiter.acquire(resolvePriority(priority), controller.signal));
+            }
+        } catch (error) {
+            releases.forEach(release => release());
+
+            if (signal && signal.aborted) {
+                return this._errorResponse(message.id, 'ABORTED', createAbortError(signal).message);
+            }
+            return this._errorResponse(message.id, 'QUEUE_TIMEOUT',
+                `"${message.action}" still queued after ${timeout}ms`);
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        try {
+            return await run(Date.now() - startTime);
+        } finally {
+            releases.forEach(release => release());
+        }
+    }
+
+    /**
+     * Fail fast while the domain's circuit is open
+     * @private
+     */
+    async _executeWithBreaker(message, capability, domain, operation, waited) {
+        const breaker = this.breakers.get(domain);
+        if (!breaker) {
+            return this._executeWithRetry(message, capability, operation, waited);
+        }
+
+        if (!breaker.allow()) {
+            return this._errorResponse(message.id, 'CIRCUIT_OPEN',
+                `Circuit open for "${domain}", retry in ${breaker.remaining()}ms`);
+        }
+
+        const response = await this._executeWithRetry(message, capability, operation, waited);
+        breaker.record(response);
+        return response;
+    }
+
+    /**
+     * Forward a capability progress report to the caller
+     * @private
+     */
+    _emitProgress(message, data) {
+        if (typeof message.options.onProgress !== 'function') return;
+
+        try {
+            message.options.onProgress({ id: message.id, status: 'progress', data });
+        } catch (err) {
+            this.logger.error('Progress callback error:', err);
+        }
+    }
+
+    /**
+     * Wrap promise with timeout and cancellation
+     * On timeout the controller is aborted so the capability can stop its work.
+     * @private
+     */
+    _withTimeout(promise, ms, controller) {
+        let timer;
+        let onAbort;
+
         return Promise.race([
             promise,
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('TIMEOUT')), ms)
-            )
-        ]);
+            new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    reject(new Error('TIMEOUT'));
+                    if (controller) controller.abort(new Error('TIMEOUT'));
+                }, ms);
+
+                if (controller) {
+                    onAbort = () => reject(createAbortError(controller.signal));
+                    controller.signal.addEventListener('abort', onAbort, { once: true });
+                }
+            })
+        ]).finally(() => {
+            clearTimeout(timer);
+            if (onAbort) controller.signal.removeEventListener('abort', onAbort);
+        });
     }
 
     /**
      * Create error response
      * @private
      */
-    _errorResponse(id, code, message) {
+    _errorResponse(id, code, message, details) {
+        const error = {
+            code,
+            message,
+            retry: !NON_RETRYABLE.includes(code)
+        };
+        if (details) error.details = details;
+
         return {
             id,
             status: 'error',
-            error: {
-                code,
-                message,
-                retry: !['INVALID_ACTION', 'CAPABILITY_NOT_FOUND', 'OPERATION_NOT_FOUND'].includes(code)
-            }
+            error
         };
     }
 
     /**
-     * Get CSOP info
+     * Get CSOP info, including the manifest of every capability
      */
     info() {
-        return {
+        const catalogue = {};
+        for (const [name, entry] of this.registry) {
+            catalogue[name] = {
+                ...entry.manifest,
+                ready: entry.ready,
+                dependsOn: entry.dependsOn
+            };
+        }
+
+        const info = {
             version: this.version,
             initialized: this.initialized,
-            capabilities: Array.from(this.capabilities.keys())
+            runtime: this.runtime,
+            capabilities: Array.from(this.capabilities.keys()),
+            catalogue,
+            queues: this.getQueueStats()
         };
+
+        if (this.tabs) {
+            info.tab = {
+                id: this.tabs.id,
+                leader: this.tabs.isLeader,
+                leaderId: this.tabs.leaderId
+            };
+        }
+
+        return info;
     }
 }
 
@@ -0,0 +1,275 @@
+/**
+ * CSOP Encryption
+ * AES-GCM encryption of stored values (WebCrypto). A sealed value is a JSON
+ * envelope `{ __csop_encrypted__: 1, kid, iv, data }`, so every driver (Turso
+ * included) stores it like any other value. The storage key is authenticated
+ * with the ciphertext: a record edited, or copied under another key, fails to
+ * decrypt.
+ *
+ * Keys are derived from a passphrase (PBKDF2, SHA-256) or supplied as an
+ * AES-GCM CryptoKey. The keyring record (KEYRING_KEY) keeps each key's id,
+ * salt and a check value that tells a wrong key from a right one, never the
+ * key itself.
+ */
+
+import { toBase64, fromBase64 } from './utils.js';
+
+export const KEYRING_KEY = '__csop_keyring__';
+
+export const DEFAULT_ITERATIONS = 310000;
+
+const ENVELOPE = '__csop_encrypted__';
+const CHECK = 'csop-key-check';
+
+/**
+ * Whether a stored value is sealed (an envelope, whatever its key)
+ */
+export function isSealed(value) {
+    return Boolean(value && typeof value === 'object' && value[ENVELOPE] === 1);
+}
+
+export class Encryption {
+    /**
+     * @param {Object} options
+     * @param {Object} options.driver - Opened driver holding the keyring
+     * @param {number} options.iterations - PBKDF2 iterations of new passphrase keys (default: 310000)
+     */
+    constructor({ driver = null, iterations = DEFAULT_ITERATIONS } = {}) {
+        this.driver = driver;
+        this.iterations = iterations;
+        this.keyring = null;    // { current, next } as persisted
+        this.loaded = false;
+        this.keys = new Map();  // kid → CryptoKey
+        this.current = null;    // kid sealing new values (null while locked)
+    }
+
+    /**
+     * Read the keyring (once; unlock() does it when needed)
+     */
+    async load(signal) {
+        if (this.loaded) return;
+        this.keyring = (await this.driver.get(KEYRING_KEY, signal)) || null;
+        this.loaded = true;
+    }
+
+    /**
+     * Whether a loaded keyring exists (values may be sealed)
+     */
+    isConfigured() {
+        return this.keyring !== null;
+    }
+
+    isLocked() {
+        return this.current === null;
+    }
+
+    /**
+     * Load the key (the first unlock sets up the keyring with it)
+     * @param {string|CryptoKey} secret - Passphrase or AES-GCM key
+     * @throws {Error} ENCRYPTION_KEY_INVALID
+     */
+    async unlock(secret, signal) {
+        await this.load(signal);
+        if (!this.keyring) {
+            const { record, key } = await this._createKey(secret);
+            await this._saveKeyring({ current: record }, signal);
+            this.keys.set(record.kid, key);
+            this.current = record.kid;
+            return;
+        }
+
+        const { current } = this.keyring;
+        this.keys.set(current.kid, await this._openKey(current, secret));
+        this.current = current.kid;
+    }
+
+    /**
+     * Forget every key
+     */
+    lock() {
+        this.keys.clear();
+        this.current = null;
+    }
+
+    /**
+     * Switch to a new key; values are resealed by the caller, then
+     * finishRotation() retires the old key. A rotation left unfinished is
+     * resumed by starting it again with the same secret.
+     * @param {string|CryptoKey} secret - New passphrase or key
+     * @returns {Promise<string>} Id of the new key
+     * @throws {Error} STORAGE_LOCKED, ENCRYPTION_KEY_INVALID
+     */
+    async startRotation(secret, signal) {
+        this._requireUnlocked();
+
+        let next = this.keyring.next;
+        let key;
+        if (next) {
+            key = await this._openKey(next, secret);
+        } else {
+            ({ record: next, key } = await this._createKey(secret));
+            await this._saveKeyring({ ...this.keyring, next }, signal);
+        }
+
+        this.keys.set(next.kid, key);
+        this.current = next.kid;
+        return next.kid;
+    }
+
+    async finishRotation(signal) {
+        const { current, next } = this.keyring;
+        await this._saveKeyring({ current: next }, signal);
+        this.keys.delete(current.kid);
+    }
+
+    /**
+     * Write the keyring back (after its driver was cleared)
+     */
+    async persist(signal) {
+        if (this.keyring) await this.driver.put(KEYRING_KEY, this.keyring, signal);
+    }
+
+    /**
+     * Whether a stored value is sealed
+     */
+    isSealed(value) {
+        return isSealed(value);
+    }
+
+    /**
+     * Seal a value with the current key
+     * @param {string} key - Storage key (authenticated, not encrypted)
+     * @param {*} value - JSON-serializable value
+     * @throws {Error} STORAGE_LOCKED
+     */
+    async seal(key, value) {
+        this._requireUnlocked();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: encode(key) },
+            this.keys.get(this.current),
+            encode(JSON.stringify(value))
+        );
+        return { [ENVELOPE]: 1, kid: this.current, iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    /**
+     * Open a sealed value
+     * @throws {Error} STORAGE_LOCKED without its key, DECRYPTION_FAILED when tampered with
+     */
+    async open(key, envelope) {
+        const cryptoKey = this.keys.get(envelope.kid);
+        if (!cryptoKey) {
+            throw encryptionError('STORAGE_LOCKED', this.isLocked()
+                ? `Storage is locked: unlock it to read "${key}"`
+                : `"${key}" is encrypted with a key that is not loaded (finish the key rotation)`);
+        }
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: encode(key) },
+                cryptoKey,
+                fromBase64(envelope.data)
+            );
+        } catch (error) {
+            throw encryptionError('DECRYPTION_FAILED', `"${key}" failed authentication: it was modified or moved`);
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * @private
+     */
+    _requireUnlocked() {
+        if (this.isLocked()) {
+            throw encryptionError('STORAGE_LOCKED', 'Storage is locked: unlock it with the encryption key');
+        }
+    }
+
+    /**
+     * New keyring record and its key
+     * @private
+     */
+    async _createKey(secret) {
+        const record = { kid: crypto.randomUUID(), salt: null, iterations: null };
+        if (typeof secret === 'string') {
+            record.salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            record.iterations = this.iterations;
+        }
+
+        const key = await toCryptoKey(secret, record);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        try {
+            const check = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encode(CHECK));
+            record.check = { iv: toBase64(iv), data: toBase64(check) };
+        } catch (error) {
+            throw encryptionError('ENCRYPTION_KEY_INVALID', `Unusable encryption key: ${error.message}`);
+        }
+        return { record, key };
+    }
+
+    /**
+     * Key of a keyring record, verified against its check value
+     * @private
+     */
+    async _openKey(record, secret) {
+        const key = await toCryptoKey(secret, record);
+        try {
+            const check = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(record.check.iv) },
+                key,
+                fromBase64(record.check.data)
+            );
+            if (new TextDecoder().decode(check) === CHECK) return key;
+        } catch (error) {
+            // Wrong key
+        }
+        throw encryptionError('ENCRYPTION_KEY_INVALID', 'Wrong encryption passphrase or key');
+    }
+
+    /**
+     * @private
+     */
+    async _saveKeyring(keyring, signal) {
+        await this.driver.put(KEYRING_KEY, keyring, signal);
+        this.keyring = keyring;
+    }
+}
+
+/**
+ * AES-GCM key from a passphrase (derived with the record's salt) or a CryptoKey
+ * @private
+ */
+async function toCryptoKey(secret, record) {
+    if (typeof secret !== 'string') {
+        if (!secret || typeof secret !== 'object' || !secret.algorithm) {
+            throw encryptionError('ENCRYPTION_KEY_INVALID', 'Encryption key must be a passphrase or a CryptoKey');
+        }
+        return secret;
+    }
+    if (secret.length === 0 || record.salt === null) {
+        throw encryptionError('ENCRYPTION_KEY_INVALID', secret.length === 0
+            ? 'Encryption passphrase is empty'
+            : 'This storage is encrypted with a CryptoKey, not a passphrase');
+    }
+
+    const material = await crypto.subtle.importKey('raw', encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(record.salt), iterations: record.iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function encode(text) {
+    return new TextEncoder().encode(text);
+}
+
+function encryptionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
@@ -0,0 +1,121 @@
+/**
+ * CSOP Events
+ * Minimal event emitter used by the router
+ */
+
+import { consoleLogger } from './logger.js';
+
+/**
+ * @typedef {Object} DispatchStartEvent - `dispatch:start`
+ * @property {string} id - Message id
+ * @property {string} action - Action as dispatched
+ * @property {Object} payload - Action payload
+ * @property {number} time - Epoch ms
+ */
+
+/**
+ * @typedef {Object} DispatchSuccessEvent - `dispatch:success`
+ * @property {string} id
+ * @property {string} action
+ * @property {string} status - "ok", or "queued" (offline outbox)
+ * @property {number} duration - Ms since dispatch:start, queueing and retries included
+ * @property {boolean} cached - Served from the cache or a joined in-flight call
+ * @property {number} time - Epoch ms
+ */
+
+/**
+ * @typedef {Object} DispatchErrorEvent - `dispatch:error`
+ * @property {string} id
+ * @property {string} action
+ * @property {{code: string, message: string, retry: boolean}} error
+ * @property {number} duration
+ * @property {number} time
+ */
+
+/**
+ * @typedef {Object} DispatchRetryEvent - `dispatch:retry`
+ * @property {string} id
+ * @property {string} action
+ * @property {number} attempt - Attempt that failed (1 = first)
+ * @property {number} delay - Wait before the next attempt (ms)
+ * @property {{code: string, message: string}} error
+ * @property {number} time
+ */
+
+/**
+ * @typedef {Object} CapabilityRegisteredEvent - `capability:registered`
+ * @property {string} name - Capability name
+ * @property {Object} manifest - Capability manifest
+ */
+
+/**
+ * @typedef {Object} StorageMigrationEvent - `storage:migration`
+ * @property {string} driver - Primary storage driver
+ * @property {string} stage - "start", "progress", "done", "failed", or for
+ *   IndexedDB "blocked" (another tab holds the old version) and "versionchange"
+ * @property {number} [version] - Migration version (new database version for IndexedDB stages)
+ * @property {string} [name] - Migration name
+ * @property {number} [index] - Position among the pending migrations
+ * @property {number} [total] - Pending migrations
+ * @property {*} [detail] - From `context.progress()`
+ * @property {string} [error] - Failure message
+ */
+
+export class EventEmitter {
+    /**
+     * @param {Object} logger - Receives listener errors (default: console)
+     */
+    constructor(logger = consoleLogger) {
+        this.listeners = new Map();
+        this.logger = logger;
+    }
+
+    /**
+     * Listen to an event ("*" receives every event as `(name, data)`)
+     * @param {string} event - Event name
+     * @param {Function} fn - Listener
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, fn) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(fn);
+        return () => this.off(event, fn);
+    }
+
+    /**
+     * Listen to the next occurrence of an event only
+     */
+    once(event, fn) {
+        const off = this.on(event, (...args) => {
+            off();
+            fn(...args);
+        });
+        return off;
+    }
+
+    /**
+     * Remove a listener
+     */
+    off(event, fn) {
+        const listeners = this.listeners.get(event);
+        if (listeners) listeners.delete(fn);
+    }
+
+    /**
+     * Call every listener; a throwing listener does not affect the others
+     */
+    emit(event, data) {
+        const call = (fn, args) => {
+            try {
+                fn(...args);
+            } catch (err) {
+                this.logger.error(`Event listener error (${event}):`, err);
+            }
+        };
+
+        (this.listeners.get(event) || []).forEach(fn => call(fn, [data]));
+        (this.listeners.get('*') || []).forEach(fn => call(fn, [event, data]));
+    }
+}
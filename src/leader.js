@@ -0,0 +1,222 @@
+/**
+ * CSOP Leader Election
+ * Elects one tab (per origin and name) to own the capabilities.
+ * Uses Web Locks when available, otherwise BroadcastChannel heartbeats.
+ */
+
+import { generateId } from './utils.js';
+import { consoleLogger } from './logger.js';
+
+export class TabCoordinator {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Election name, tabs with the same name compete (default: "csop")
+     * @param {number} options.heartbeat - Leader heartbeat interval in ms (default: 1000)
+     * @param {number} options.timeout - Silence after which the leader is presumed gone (default: 3 heartbeats)
+     * @param {Object} options.locks - LockManager to use (default: navigator.locks, `null` to disable)
+     * @param {Function} options.onElected - Called when this tab becomes leader
+     * @param {Function} options.onDemoted - Called when this tab loses leadership while still open
+     * @param {Function} options.onChange - Called with the new leader id whenever it changes
+     * @param {Object} options.logger - Logger (default: console)
+     */
+    constructor(options = {}) {
+        this.id = generateId();
+        this.name = options.name || 'csop';
+        this.heartbeat = options.heartbeat || 1000;
+        this.timeout = options.timeout || this.heartbeat * 3;
+        this.locks = options.locks !== undefined
+            ? options.locks
+            : (typeof navigator !== 'undefined' && navigator.locks) || null;
+
+        this.onElected = options.onElected || (() => {});
+        this.onDemoted = options.onDemoted || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.logger = options.logger || consoleLogger;
+
+        this.isLeader = false;
+        this.leaderId = null;
+        this.channel = null;
+
+        this._lastSeen = 0;
+        this._claiming = false;
+        this._claimLost = false;
+        this._monitor = null;
+        this._lockController = null;
+        this._releaseLock = null;
+        this._waiters = [];
+    }
+
+    /**
+     * Join the election
+     */
+    start() {
+        // Single context (no BroadcastChannel): nobody to compete with
+        if (typeof BroadcastChannel === 'undefined') {
+            this._becomeLeader();
+            return;
+        }
+
+        this.channel = new BroadcastChannel(`${this.name}:election`);
+        this.channel.onmessage = (e) => this._handleMessage(e.data);
+
+        if (this.locks) {
+            this._electWithLocks();
+        } else {
+            this._monitor = setInterval(() => this._tick(), this.heartbeat);
+        }
+
+        this._post({ type: 'query' });
+        this.logger.info(`👑 Leader election started (${this.locks ? 'Web Locks' : 'heartbeat'})`);
+    }
+
+    /**
+     * Resolve once a leader (this tab or another) is known
+     * @returns {Promise<string>} Leader id
+     */
+    whenLeaderKnown() {
+        if (this.leaderId) return Promise.resolve(this.leaderId);
+        return new Promise(resolve => this._waiters.push(resolve));
+    }
+
+    /**
+     * Leave the election, handing leadership over if held
+     */
+    close() {
+        if (this.isLeader) {
+            this._post({ type: 'resign' });
+        }
+
+        clearInterval(this._monitor);
+        if (this._releaseLock) this._releaseLock();
+        if (this._lockController) this._lockController.abort();
+        if (this.channel) this.channel.close();
+
+        this.isLeader = false;
+        this.channel = null;
+    }
+
+    // === PRIVATE METHODS ===
+
+    /**
+     * Queue on an exclusive lock; the browser hands it to the next tab when we close
+     * @private
+     */
+    _electWithLocks() {
+        this._lockController = new AbortController();
+
+        this.locks.request(`${this.name}:leader`, { signal: this._lockController.signal }, () => {
+            this._becomeLeader();
+            return new Promise(resolve => { this._releaseLock = resolve; });
+        }).catch(() => {
+            // Aborted by close()
+        });
+    }
+
+    /**
+     * Heartbeat mode: lead, or claim leadership when the leader went silent
+     * @private
+     */
+    _tick() {
+        if (this.isLeader) {
+            this._post({ type: 'leader' });
+        } else if (!this.leaderId || Date.now() - this._lastSeen > this.timeout) {
+            this._claim();
+        }
+    }
+
+    /**
+     * Announce a claim; the lowest id among simultaneous claimants wins
+     * @private
+     */
+    _claim() {
+        if (this._claiming || this.locks) return;
+
+        this._claiming = true;
+        this._claimLost = false;
+        this._post({ type: 'claim' });
+
+        setTimeout(() => {
+            this._claiming = false;
+            if (!this._claimLost && this.channel && !this.isLeader) {
+                this._becomeLeader();
+            }
+        }, this.heartbeat);
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(message) {
+        if (!message || message.id === this.id) return;
+
+        switch (message.type) {
+            case 'query':
+                if (this.isLeader) this._post({ type: 'leader' });
+                break;
+
+            case 'leader':
+                if (this.isLeader) {
+                    // Split brain (heartbeat mode only): the lowest id keeps leading
+                    if (message.id > this.id) {
+                        this._post({ type: 'leader' });
+                        break;
+                    }
+                    this.isLeader = false;
+                    this.onDemoted();
+                }
+                this._claimLost = true;
+                this._lastSeen = Date.now();
+                this._setLeader(message.id);
+                break;
+
+            case 'claim':
+                if (this.isLeader) {
+                    this._post({ type: 'leader' });
+                } else if (this._claiming && message.id < this.id) {
+                    this._claimLost = true;
+                }
+                break;
+
+            case 'resign':
+                if (message.id === this.leaderId) {
+                    this.leaderId = null;
+                    this._claim();
+                }
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _becomeLeader() {
+        this.isLeader = true;
+        this._post({ type: 'leader' });
+        this.logger.info('👑 This tab is now the leader');
+        this.onElected();
+        this._setLeader(this.id);
+    }
+
+    /**
+     * @private
+     */
+    _setLeader(id) {
+        if (this.leaderId === id) return;
+
+        this.leaderId = id;
+        this.onChange(id);
+
+        const waiters = this._waiters;
+        this._waiters = [];
+        waiters.forEach(resolve => resolve(id));
+    }
+
+    /**
+     * @private
+     */
+    _post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, id: this.id });
+        }
+    }
+}
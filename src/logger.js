@@ -0,0 +1,49 @@
+/**
+ * CSOP Logger
+ * Leveled logging routed to a console-like sink
+ */
+
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Create a logger
+ * Messages below `level` are dropped; the others go to `sink`.
+ * @param {Object} options
+ * @param {string} options.level - "debug" | "info" | "warn" | "error" | "silent" (default: "info")
+ * @param {Object|Function} options.sink - Console-like object (debug/info/warn/error),
+ *   or `(level, message, ...data) => void` (default: console)
+ * @returns {{level: string, debug: Function, info: Function, warn: Function, error: Function}}
+ */
+export function createLogger(options = {}) {
+    const level = options.level || 'info';
+    const sink = options.sink || console;
+
+    if (!(level in LOG_LEVELS)) {
+        throw new TypeError(`Unknown log level "${level}"`);
+    }
+
+    const write = typeof sink === 'function'
+        ? (method, args) => sink(method, ...args)
+        : (method, args) => (sink[method] || sink.log).apply(sink, args);
+
+    const logger = { level };
+    for (const method of METHODS) {
+        logger[method] = LOG_LEVELS[method] >= LOG_LEVELS[level]
+            ? (...args) => write(method, args)
+            : () => {};
+    }
+    return logger;
+}
+
+/**
+ * Logger used until one is configured
+ */
+export const consoleLogger = createLogger();
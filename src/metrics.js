@@ -0,0 +1,193 @@
+/**
+ * CSOP Metrics
+ * Per-action counters, latency percentiles and trace spans built from router events
+ */
+
+// OpenTelemetry span kind and status codes
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+function randomHex(bytes) {
+    const values = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+function unixNano(ms) {
+    return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+function attribute(key, value) {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (typeof value === 'number') return { key, value: { intValue: String(value) } };
+    return { key, value: { stringValue: String(value) } };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+export class Metrics {
+    /**
+     * @param {Object} options
+     * @param {string} options.version - Reported as the instrumentation scope version
+     * @param {number} options.maxSamples - Latencies kept per action (default: 1000)
+     * @param {number} options.maxSpans - Finished spans kept for export (default: 1000)
+     */
+    constructor(options = {}) {
+        this.version = options.version;
+        this.maxSamples = options.maxSamples || 1000;
+        this.maxSpans = options.maxSpans || 1000;
+
+        this.actions = new Map();
+        this.open = new Map();
+        this.spans = [];
+    }
+
+    /**
+     * Subscribe to the dispatch events of an emitter
+     * @param {EventEmitter} events - Router event emitter
+     * @returns {Function} Unsubscribe function
+     */
+    attach(events) {
+        const offs = [
+            events.on('dispatch:start', event => this._start(event)),
+            events.on('dispatch:retry', event => this._retry(event)),
+            events.on('dispatch:success', event => this._end(event, null)),
+            events.on('dispatch:error', event => this._end(event, event.error))
+        ];
+        return () => offs.forEach(off => off());
+    }
+
+    /**
+     * Counts, error rates and latency percentiles per action
+     * @param {string} [action] - Only this action
+     * @returns {Object} `{ action: { count, errors, errorRate, retries, p50, p95, p99 } }`
+     */
+    snapshot(action) {
+        const result = {};
+
+        for (const [name, stats] of this.actions) {
+            if (action && name !== action) continue;
+
+            const sorted = [...stats.latencies].sort((a, b) => a - b);
+            result[name] = {
+                count: stats.count,
+                errors: stats.errors,
+                errorRate: stats.count > 0 ? stats.errors / stats.count : 0,
+                retries: stats.retries,
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99)
+            };
+        }
+        return action ? result[action] : result;
+    }
+
+    /**
+     * Finished spans as an OTLP/JSON `ExportTraceServiceRequest`
+     * (POST it to a collector's /v1/traces endpoint)
+     * @param {Object} options
+     * @param {boolean} options.clear - Drop the exported spans (default: false)
+     * @param {string} options.serviceName - `service.name` resource attribute (default: "csop")
+     */
+    exportSpans(options = {}) {
+        const spans = this.spans;
+        if (options.clear) this.spans = [];
+
+        return {
+            resourceSpans: [{
+                resource: { attributes: [attribute('service.name', options.serviceName || 'csop')] },
+                scopeSpans: [{
+                    scope: { name: 'csop', version: this.version },
+                    spans
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Drop every counter and span
+     */
+    reset() {
+        this.actions.clear();
+        this.open.clear();
+        this.spans = [];
+    }
+
+    /**
+     * @private
+     */
+    _stats(action) {
+        if (!this.actions.has(action)) {
+            this.actions.set(action, { count: 0, errors: 0, retries: 0, latencies: [] });
+        }
+        return this.actions.get(action);
+    }
+
+    /**
+     * @private
+     */
+    _start({ id, action, time }) {
+        this.open.set(id, {
+            traceId: randomHex(16),
+            spanId: randomHex(8),
+            name: action,
+            kind: SPAN_KIND_INTERNAL,
+            startTimeUnixNano: unixNano(time),
+            attributes: [attribute('csop.action', action), attribute('csop.message_id', id)],
+            events: []
+        });
+    }
+
+    /**
+     * @private
+     */
+    _retry({ id, action, attempt, delay, error, time }) {
+        this._stats(action).retries++;
+
+        const span = this.open.get(id);
+        if (span) {
+            span.events.push({
+                timeUnixNano: unixNano(time),
+                name: 'retry',
+                attributes: [
+                    attribute('csop.attempt', attempt),
+                    attribute('csop.delay_ms', delay),
+                    attribute('csop.error.code', error.code)
+                ]
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _end({ id, action, duration, cached, time }, error) {
+        const stats = this._stats(action);
+        stats.count++;
+        if (error) stats.errors++;
+
+        stats.latencies.push(duration);
+        if (stats.latencies.length > this.maxSamples) stats.latencies.shift();
+
+        const span = this.open.get(id);
+        if (!span) return;
+        this.open.delete(id);
+
+        span.endTimeUnixNano = unixNano(time);
+        if (cached) span.attributes.push(attribute('csop.cached', true));
+        if (error) span.attributes.push(attribute('csop.error.code', error.code));
+        span.status = error
+            ? { code: STATUS_ERROR, message: error.message }
+            : { code: STATUS_OK };
+
+        this.spans.push(span);
+        if (this.spans.length > this.maxSpans) this.spans.shift();
+    }
+}
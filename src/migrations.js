@@ -0,0 +1,156 @@
+/**
+ * CSOP Migrations
+ * Versioned changes to stored data, applied once, in version order.
+ *
+ * A migration is `{ version, name, migrate(context) }`. Versions are positive
+ * integers; the highest applied one is kept with the data, so a migration
+ * runs again only if it is added with a higher version. IndexedDB runs them in
+ * its upgrade transaction (see IndexedDBBackend.migrate()); other drivers use
+ * migrateDriver().
+ *
+ * The context has:
+ * - `version`, `name` - The migration being applied
+ * - `db`, `transaction` - The IndexedDB database and upgrade transaction (null elsewhere)
+ * - `updateRecords(fn, { collection })` - Rewrite every record: `fn(value, key)`
+ *   (synchronous, so IndexedDB can run it inside a cursor)
+ *   returns the new value, undefined to keep it, or `context.REMOVE` to delete it.
+ *   Encrypted values are skipped: migrations run before any key is loaded, and
+ *   a rewrite would replace the ciphertext with plaintext
+ * - `createIndex(collection, field)` / `deleteIndex(collection, field)`
+ * - `progress(detail)` - Report progress (e.g. records done)
+ *
+ * In IndexedDB a migration may only await the context's own work: waiting on
+ * anything else (timers, fetch) lets the upgrade transaction commit early.
+ */
+
+import { isSealed } from './encryption.js';
+
+export const REMOVE = Symbol('csop.migration.remove');
+
+// Key holding the applied version in drivers without a schema of their own
+export const SCHEMA_KEY = '__csop_schema__';
+
+/**
+ * Check and sort migrations
+ * @param {Object[]} migrations - `{ version, name, migrate }`
+ * @returns {Object[]} Sorted by version
+ * @throws {TypeError} On a malformed list or a repeated version
+ */
+export function normalizeMigrations(migrations = []) {
+    if (!Array.isArray(migrations)) {
+        throw new TypeError('Storage migrations must be an array');
+    }
+
+    const sorted = migrations.map((migration, index) => {
+        if (!migration || !Number.isInteger(migration.version) || migration.version < 1) {
+            throw new TypeError(`Storage migration ${index} needs a positive integer version`);
+        }
+        if (typeof migration.migrate !== 'function') {
+            throw new TypeError(`Storage migration ${migration.version} needs a migrate function`);
+        }
+        return { name: `v${migration.version}`, ...migration };
+    }).sort((a, b) => a.version - b.version);
+
+    sorted.forEach((migration, index) => {
+        if (index > 0 && sorted[index - 1].version === migration.version) {
+            throw new TypeError(`Storage migration version ${migration.version} is repeated`);
+        }
+    });
+    return sorted;
+}
+
+/**
+ * Apply pending migrations one after the other
+ * @param {Object[]} pending - Normalized migrations to apply
+ * @param {Object} hooks
+ * @param {Function} hooks.createContext - `(migration, { skipped(count) }) => context`
+ *   (`skipped` reports encrypted values updateRecords() left as they were)
+ * @param {Function} hooks.applied - `async (migration)`, records it as applied
+ * @param {Function} [hooks.report] - Receives `{ stage, version, name, index, total, ... }`
+ * @throws {Error} MIGRATION_FAILED (with `cause` and `details.version`)
+ */
+export async function applyMigrations(pending, { createContext, applied, report = () => {} }) {
+    for (const [index, migration] of pending.entries()) {
+        const step = { version: migration.version, name: migration.name, index, total: pending.length };
+        report({ stage: 'start', ...step });
+
+        const context = {
+            ...createContext(migration, {
+                skipped: (count) => report({ stage: 'skipped', ...step, count })
+            }),
+            version: migration.version,
+            name: migration.name,
+            REMOVE,
+            progress: (detail) => report({ stage: 'progress', ...step, detail })
+        };
+
+        try {
+            await migration.migrate(context);
+            await applied(migration);
+        } catch (cause) {
+            report({ stage: 'failed', ...step, error: cause && cause.message });
+            throw migrationError(migration, cause);
+        }
+        report({ stage: 'done', ...step });
+    }
+}
+
+/**
+ * Migrate a key/value driver (the applied version is kept under SCHEMA_KEY)
+ * Records are rewritten one at a time, so a failure can leave a migration
+ * half applied; it is retried on the next start, and should tolerate that.
+ * @param {Object} driver - Opened driver
+ * @param {Object[]} migrations - Normalized migrations
+ * @param {Object} options - `reserved` (prefix of internal keys to skip),
+ *   `collectionPrefix(name)` (key prefix of a collection's records), `report`
+ * @returns {Promise<number>} Applied version
+ */
+export async function migrateDriver(driver, migrations, { reserved, collectionPrefix, report } = {}) {
+    const applied = (await driver.get(SCHEMA_KEY)) || 0;
+    const pending = migrations.filter(migration => migration.version > applied);
+    if (pending.length === 0) return applied;
+
+    await applyMigrations(pending, {
+        createContext: (migration, { skipped }) => ({
+            db: null,
+            transaction: null,
+            createIndex: () => {},
+            deleteIndex: () => {},
+            updateRecords: async (fn, { collection } = {}) => {
+                const prefix = collection === undefined ? '' : collectionPrefix(collection);
+                let updated = 0;
+                let sealed = 0;
+
+                for (const key of await driver.keys(undefined, prefix)) {
+                    if (collection === undefined ? key.startsWith(reserved) : !key.startsWith(prefix)) continue;
+                    const value = await driver.get(key);
+                    if (value === undefined) continue;
+                    if (isSealed(value)) {
+                        sealed++;
+                        continue;
+                    }
+
+                    const next = await fn(value, key.slice(prefix.length));
+                    if (next === undefined) continue;
+                    if (next === REMOVE) await driver.delete(key);
+                    else await driver.put(key, next);
+                    updated++;
+                }
+                if (sealed > 0) skipped(sealed);
+                return updated;
+            }
+        }),
+        applied: migration => driver.put(SCHEMA_KEY, migration.version),
+        report
+    });
+
+    return pending[pending.length - 1].version;
+}
+
+function migrationError(migration, cause) {
+    const error = new Error(`Storage migration ${migration.version} (${migration.name}) failed: ${cause && cause.message}`);
+    error.code = 'MIGRATION_FAILED';
+    error.cause = cause;
+    error.details = { version: migration.version, name: migration.name };
+    return error;
+}
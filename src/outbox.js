@@ -0,0 +1,426 @@
+/**
+ * CSOP Outbox
+ * Durable queue of dispatches made while offline, replayed in order on reconnect.
+ * In multi-tab mode the queue is shared: followers tell the leader when they
+ * queue a call, and the leader tells them when a replay has drained it.
+ */
+
+const PENDING = 'pending';
+const DEAD = 'dead';
+
+let warnedNotDurable = false;
+
+/**
+ * IndexedDB-backed outbox store (survives reloads)
+ */
+export class IndexedDBOutboxStore {
+    constructor(dbName = 'csop-outbox') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    async add(list, record) {
+        return this._request(list, 'readwrite', store => store.add(record));
+    }
+
+    async put(list, record) {
+        await this._request(list, 'readwrite', store => store.put(record));
+    }
+
+    async delete(list, seq) {
+        await this._request(list, 'readwrite', store => store.delete(seq));
+    }
+
+    async all(list) {
+        return this._request(list, 'readonly', store => store.getAll());
+    }
+
+    async clear(list) {
+        await this._request(list, 'readwrite', store => store.clear());
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = () => reject(new Error('Failed to open outbox database'));
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                db.createObjectStore(PENDING, { keyPath: 'seq', autoIncrement: true });
+                db.createObjectStore(DEAD, { keyPath: 'seq' });
+            };
+        });
+        return this.db;
+    }
+
+    /**
+     * Resolve once the transaction is committed
+     * @private
+     */
+    async _request(list, mode, makeRequest) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([list], mode);
+            const request = makeRequest(transaction.objectStore(list));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Outbox ${list} operation failed`));
+            transaction.onabort = () => reject(new Error(`Outbox ${list} operation aborted`));
+        });
+    }
+}
+
+/**
+ * In-memory outbox store (not durable; used when IndexedDB is unavailable)
+ */
+export class MemoryOutboxStore {
+    constructor() {
+        this.lists = { [PENDING]: new Map(), [DEAD]: new Map() };
+        this.nextSeq = 1;
+    }
+
+    async add(list, record) {
+        const seq = this.nextSeq++;
+        this.lists[list].set(seq, { ...record, seq });
+        return seq;
+    }
+
+    async put(list, record) {
+        this.lists[list].set(record.seq, { ...record });
+    }
+
+    async delete(list, seq) {
+        this.lists[list].delete(seq);
+    }
+
+    async all(list) {
+        return Array.from(this.lists[list].values()).sort((a, b) => a.seq - b.seq);
+    }
+
+    async clear(list) {
+        this.lists[list].clear();
+    }
+
+    close() {}
+}
+
+/**
+ * Connectivity from navigator.onLine and window online events
+ * (always online where those do not exist)
+ */
+export function browserNetwork() {
+    return {
+        isOnline() {
+            return typeof navigator === 'undefined' || navigator.onLine !== false;
+        },
+
+        onOnline(fn) {
+            if (typeof window === 'undefined' || !window.addEventListener) {
+                return () => {};
+            }
+            window.addEventListener('online', fn);
+            return () => window.removeEventListener('online', fn);
+        }
+    };
+}
+
+export class Outbox {
+    /**
+     * @param {CSOP} csop - Router used to replay messages
+     * @param {Object} options
+     * @param {Object} options.store - Outbox store (default: IndexedDB, else memory)
+     * @param {Object} options.network - `{ isOnline(), onOnline(fn) }` (default: browserNetwork())
+     * @param {number} options.maxAttempts - Replay attempts before dead-lettering (default: 5)
+     * @param {number} options.retryDelay - Delay before replaying again after a failure (ms, default: 1000, doubled per attempt)
+     */
+    constructor(csop, options = {}) {
+        this.csop = csop;
+        this.store = options.store || defaultStore(options.dbName, csop.logger);
+        this.network = options.network || browserNetwork();
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryDelay = options.retryDelay || 1000;
+
+        this.state = {
+            pending: 0,
+            deadLetters: 0,
+            replaying: false,
+            progress: null,
+            lastError: null
+        };
+
+        this._replayPromise = null;
+        this._replayAgain = false;
+        this._retryTimer = null;
+        this._enqueuing = 0;
+        this._stopListening = () => {};
+        this._channel = null;
+    }
+
+    /**
+     * Load the persisted queue and replay it when (or as soon as) online
+     */
+    async start() {
+        await this._refresh();
+        this._stopListening = this.network.onOnline(() => this._replayInBackground());
+
+        if (this.csop.tabs && typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(`${this.csop.tabs.name}:outbox`);
+            this._channel.onmessage = (e) => this._handleTabMessage(e.data);
+        }
+        if (this.network.isOnline()) {
+            this._replayInBackground();
+        }
+    }
+
+    /**
+     * Stop listening for connectivity changes
+     */
+    stop() {
+        this._stopListening();
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        }
+        if (this.store.close) this.store.close();
+    }
+
+    isOnline() {
+        return this.network.isOnline();
+    }
+
+    /**
+     * Whether calls are waiting or being replayed: new ones must queue behind them
+     */
+    hasBacklog() {
+        return this._enqueuing > 0 || this._replayPromise !== null || this.state.pending > 0;
+    }
+
+    /**
+     * Persist a dispatch message for later replay
+     * @param {Object} message - `{ id, action, payload, options }`
+     * @returns {Promise<number>} Sequence number in the queue
+     */
+    async enqueue(message) {
+        const { signal, onProgress, queueIfOffline, ...options } = message.options;
+
+        this._enqueuing++;
+        let seq;
+        try {
+            seq = await this.store.add(PENDING, {
+                messageId: message.id,
+                action: message.action,
+                payload: message.payload,
+                options,
+                attempts: 0,
+                queuedAt: Date.now()
+            });
+            await this._refresh();
+        } finally {
+            this._enqueuing--;
+        }
+
+        this.csop.logger.info(`📮 Queued: ${message.action}`);
+        this._replaySoon();
+        this._post('queued');
+        return seq;
+    }
+
+    /**
+     * Replay pending messages in order
+     * Stops at the first retryable failure (to keep the order) and tries again later;
+     * messages out of attempts or failing for good go to the dead-letter list.
+     * @returns {Promise<void>} Resolves when this replay run ends
+     */
+    replay() {
+        if (!this._replayPromise) {
+            this._replayPromise = this._replay().finally(() => {
+                this._replayPromise = null;
+                if (this._replayAgain) {
+                    this._replayAgain = false;
+                    if (!this._retryTimer) this._replayInBackground();
+                }
+            });
+        }
+        return this._replayPromise;
+    }
+
+    /**
+     * Messages waiting for replay
+     */
+    async pending() {
+        return this.store.all(PENDING);
+    }
+
+    /**
+     * Messages given up on, with their last error
+     */
+    async deadLetters() {
+        return this.store.all(DEAD);
+    }
+
+    /**
+     * Drop every dead letter
+     */
+    async clearDeadLetters() {
+        await this.store.clear(DEAD);
+        await this._refresh();
+    }
+
+    /**
+     * Current queue state (also emitted as `outbox:change`)
+     */
+    getState() {
+        return { ...this.state };
+    }
+
+    /**
+     * @private
+     */
+    async _replay() {
+        // In multi-tab mode only the leader replays the shared queue
+        if (!this.network.isOnline() || (this.csop.tabs && !this.csop.tabs.isLeader)) {
+            return;
+        }
+
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        const records = await this.store.all(PENDING);
+        if (records.length === 0) return;
+
+        let done = 0;
+        this._update({ replaying: true, progress: { done, total: records.length } });
+        this.csop.logger.info(`📮 Replaying ${records.length} queued message(s)`);
+
+        try {
+            for (const record of records) {
+                if (!this.network.isOnline()) break;
+
+                const response = await this.csop.dispatch(record.action, record.payload, record.options);
+
+                if (response.status === 'ok') {
+                    await this.store.delete(PENDING, record.seq);
+                } else {
+                    record.attempts++;
+                    record.lastError = response.error;
+                    this._update({ lastError: { action: record.action, ...response.error } });
+
+                    if (response.error.retry && record.attempts < this.maxAttempts) {
+                        await this.store.put(PENDING, record);
+                        this._scheduleRetry(record.attempts);
+                        break;
+                    }
+
+                    this.csop.logger.warn(`⚠️ Dead-lettered: ${record.action}`, response.error);
+                    await this.store.delete(PENDING, record.seq);
+                    await this.store.put(DEAD, record);
+                }
+
+                done++;
+                this._update({ progress: { done, total: records.length } });
+            }
+        } finally {
+            await this._refresh({ replaying: false, progress: null });
+            this._post('replayed');
+        }
+    }
+
+    /**
+     * Queued behind a backlog while online: the running replay goes
+     * again for it, a scheduled retry picks it up, else replay now
+     * @private
+     */
+    _replaySoon() {
+        if (this._replayPromise) {
+            this._replayAgain = true;
+        } else if (this.network.isOnline() && !this._retryTimer) {
+            this._replayInBackground();
+        }
+    }
+
+    /**
+     * Another tab queued a call (the leader replays it) or replayed the
+     * queue (followers recount it, so they stop queueing behind it)
+     * @private
+     */
+    _handleTabMessage(message) {
+        if (!message) return;
+
+        if (message.type === 'queued') {
+            this._replaySoon();
+        } else if (message.type === 'replayed') {
+            this._refresh().catch(error => this.csop.logger.error('❌ Failed to read offline queue', error));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _post(type) {
+        if (this._channel) this._channel.postMessage({ type });
+    }
+
+    /**
+     * @private
+     */
+    _replayInBackground() {
+        this.replay().catch(error => this.csop.logger.error('❌ Offline queue replay failed', error));
+    }
+
+    /**
+     * @private
+     */
+    _scheduleRetry(attempts) {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this._replayInBackground();
+        }, this.retryDelay * Math.pow(2, attempts - 1));
+    }
+
+    /**
+     * Recount both lists and publish the state
+     * @private
+     */
+    async _refresh(changes = {}) {
+        const [pending, dead] = await Promise.all([
+            this.store.all(PENDING),
+            this.store.all(DEAD)
+        ]);
+        this._update({ ...changes, pending: pending.length, deadLetters: dead.length });
+    }
+
+    /**
+     * @private
+     */
+    _update(changes) {
+        this.state = { ...this.state, ...changes };
+        this.csop.events.emit('outbox:change', this.getState());
+    }
+}
+
+function defaultStore(dbName, logger) {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBOutboxStore(dbName);
+    }
+    if (!warnedNotDurable) {
+        warnedNotDurable = true;
+        logger.warn('⚠️ IndexedDB unavailable, offline queue kept in memory only');
+    }
+    return new MemoryOutboxStore();
+}
@@ -0,0 +1,155 @@
+/**
+ * CSOP Policy
+ * Access rules for named principals (callers such as embedded widgets)
+ *
+ * A policy is `{ allow, deny, keyPrefixes, collections, channels, tasks }`:
+ * - `allow` / `deny` - "domain.operation" patterns ("*" matches anything,
+ *   e.g. "storage.*" or "*.get"); deny wins, and with `allow` set only
+ *   matching actions pass
+ * - `keyPrefixes` - storage keys (and list prefixes) must start with one of these
+ * - `collections` - storage collection patterns (with only `keyPrefixes`
+ *   set, collections are off limits)
+ * - `channels` - sync channel patterns
+ * - `tasks` - compute task patterns (leave out "custom" to forbid evaluated code)
+ *
+ * Which resource rule applies to a call is named by the `scope` of its
+ * capability manifest: "storage" (keys and collections), "channels",
+ * "tasks", or "none" for capabilities holding no resources of their own.
+ * A policy restricting resources refuses calls to a capability without a
+ * scope, since nothing would check what they touch.
+ */
+
+import { parseAction } from './utils.js';
+
+const SCOPES = ['keyPrefixes', 'collections', 'channels', 'tasks'];
+
+// Manifest scopes and the policy rules they are checked against
+const RESOURCE_SCOPES = ['storage', 'channels', 'tasks', 'none'];
+
+/**
+ * Check and normalize a policy
+ * @param {Object} rules - Policy rules
+ * @returns {Object} Policy with compiled patterns
+ * @throws {TypeError} On a malformed rule
+ */
+export function normalizePolicy(rules) {
+    if (!rules || typeof rules !== 'object') {
+        throw new TypeError('Policy must be an object');
+    }
+
+    for (const field of ['allow', 'deny', ...SCOPES]) {
+        if (rules[field] !== undefined && !isStringArray(rules[field])) {
+            throw new TypeError(`Policy ${field} must be an array of strings`);
+        }
+    }
+
+    return {
+        allow: rules.allow ? rules.allow.map(compilePattern) : null,
+        deny: (rules.deny || []).map(compilePattern),
+        keyPrefixes: rules.keyPrefixes ? rules.keyPrefixes.slice() : null,
+        collections: rules.collections ? rules.collections.map(compilePattern) : null,
+        channels: rules.channels ? rules.channels.map(compilePattern) : null,
+        tasks: rules.tasks ? rules.tasks.map(compilePattern) : null
+    };
+}
+
+/**
+ * Find why a policy refuses a call
+ * @param {Object} policy - Normalized policy
+ * @param {string} action - "domain.operation"
+ * @param {*} payload - Call payload
+ * @param {string} [scope] - `scope` of the capability manifest
+ * @returns {string|null} Reason, or null when the call is allowed
+ */
+export function checkPolicy(policy, action, payload, scope) {
+    // Patterns match the parsed action, never extra segments
+    const parsed = parseAction(action);
+    if (!parsed) {
+        return `Action "${action}" is not in "domain.operation" format`;
+    }
+    const { domain, operation } = parsed;
+    const name = `${domain}.${operation}`;
+
+    if (policy.deny.some(pattern => pattern.test(name))) {
+        return `Action "${name}" is denied`;
+    }
+    if (policy.allow && !policy.allow.some(pattern => pattern.test(name))) {
+        return `Action "${name}" is not allowed`;
+    }
+
+    const data = payload && typeof payload === 'object' ? payload : {};
+
+    if (!RESOURCE_SCOPES.includes(scope)) {
+        const restricted = SCOPES.find(field => policy[field]);
+        return restricted
+            ? `Action "${name}" has no resource scope, and ${restricted} are restricted`
+            : null;
+    }
+
+    if (scope === 'storage' && (policy.keyPrefixes || policy.collections)) {
+        for (const { collection, key } of storageTargets(operation, data)) {
+            if (collection !== undefined) {
+                const name = String(collection);
+                if (policy.collections
+                    ? !policy.collections.some(pattern => pattern.test(name))
+                    : policy.keyPrefixes) {
+                    return `Collection "${name}" is not allowed`;
+                }
+            } else if (policy.keyPrefixes && !policy.keyPrefixes.some(prefix => String(key).startsWith(prefix))) {
+                return `Storage key "${key}" is outside the allowed prefixes`;
+            }
+        }
+    }
+
+    if (scope === 'channels' && policy.channels) {
+        const channel = data.channel === undefined ? 'default' : String(data.channel);
+        if (!policy.channels.some(pattern => pattern.test(channel))) {
+            return `Channel "${channel}" is not allowed`;
+        }
+    }
+
+    if (scope === 'tasks' && policy.tasks) {
+        const tasks = Array.isArray(data.tasks) ? data.tasks.map(item => item && item.task) : [data.task];
+        for (const task of tasks) {
+            if (task !== undefined && !policy.tasks.some(pattern => pattern.test(String(task)))) {
+                return `Task "${task}" is not allowed`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * `{ collection, key }` a storage call reads or writes, batch items and
+ * operations included (a list prefix counts as a key, and clearing,
+ * querying or sweeping counts as the empty prefix)
+ * @private
+ */
+function storageTargets(operation, data) {
+    const targets = [];
+    const add = (collection, key) => targets.push({ collection, key });
+
+    if (data.key !== undefined) add(data.collection, data.key);
+    if (Array.isArray(data.keys)) data.keys.forEach(key => add(data.collection, key));
+    for (const item of [...asArray(data.items), ...asArray(data.ops)]) {
+        if (item && typeof item === 'object') add(item.collection, item.key);
+    }
+    if (data.prefix !== undefined || ['list', 'clear', 'query', 'sweep'].includes(operation)) {
+        add(data.collection, data.prefix || '');
+    }
+    return targets;
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function compilePattern(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
@@ -0,0 +1,272 @@
+/**
+ * CSOP Query
+ * Collections with declared secondary indexes, and queries over them.
+ *
+ * A query is `{ where, orderBy, direction, limit, offset, cursor, count }`:
+ * - `where` - `{ field: value }` or `{ field: { eq, gt, gte, lt, lte } }`
+ * - `orderBy` - Index to sort by (default: the first `where` field, else the key)
+ * - `cursor` - From a previous page, to continue after its last item
+ *
+ * Every field must be a declared index. Values are ordered like IndexedDB
+ * keys (numbers < dates < strings < arrays); records whose field holds
+ * anything else (booleans, null, objects, missing) are not in that index.
+ */
+
+const OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+const NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check collection declarations
+ * @param {Object} collections - `{ name: { indexes: ['field', 'nested.field'] } }`
+ * @returns {Map<string, {name: string, indexes: string[]}>}
+ * @throws {TypeError} On a malformed declaration
+ */
+export function normalizeCollections(collections = {}) {
+    const result = new Map();
+
+    for (const [name, spec] of Object.entries(collections)) {
+        if (!NAME.test(name)) {
+            throw new TypeError(`Invalid collection name "${name}"`);
+        }
+        const indexes = (spec && spec.indexes) || [];
+        if (!Array.isArray(indexes) || !indexes.every(field => typeof field === 'string' && field.length > 0)) {
+            throw new TypeError(`Collection "${name}" indexes must be an array of field paths`);
+        }
+        result.set(name, { name, indexes: Array.from(new Set(indexes)) });
+    }
+    return result;
+}
+
+/**
+ * Check a query against a collection and resolve its defaults
+ * @param {Object} query - Query payload
+ * @param {Object} collection - Normalized collection
+ * @returns {Object} Plan: `{ orderBy, direction, conditions, offset, limit, cursor, count }`
+ *   where `conditions` are `{ field, eq, lower, lowerOpen, upper, upperOpen }`
+ * @throws {Error} INDEX_NOT_FOUND or VALIDATION_FAILED
+ */
+export function planQuery(query, collection) {
+    const { where = {}, direction = 'asc', offset = 0, limit, cursor, count = false } = query;
+
+    const conditions = Object.entries(where).map(([field, condition]) => {
+        requireIndex(collection, field);
+        return toCondition(field, condition);
+    });
+
+    const orderBy = query.orderBy !== undefined
+        ? query.orderBy
+        : conditions.length > 0 ? conditions[0].field : null;
+    if (orderBy !== null) requireIndex(collection, orderBy);
+
+    return {
+        orderBy,
+        direction,
+        conditions,
+        offset,
+        limit: limit === undefined ? Infinity : limit,
+        cursor: cursor === undefined ? null : decodeCursor(cursor),
+        count
+    };
+}
+
+/**
+ * Run a plan over records in memory (drivers without native indexes)
+ * @param {Array<{key: string, data: *}>} records - Every record of the collection
+ * @param {Object} plan - From planQuery()
+ * @returns {{items: Array<{key: string, data: *}>, cursor: string|null}|{count: number}}
+ */
+export function queryRecords(records, plan) {
+    const rows = records
+        .map(({ key, data }) => ({ key, data, value: plan.orderBy ? valueAt(data, plan.orderBy) : key }))
+        .filter(row => isKey(row.value) &&
+            plan.conditions.every(condition => matchesCondition(valueAt(row.data, condition.field), condition)))
+        .sort((a, b) => compareKeys(a.value, b.value) || compareKeys(a.key, b.key));
+    if (plan.direction === 'desc') rows.reverse();
+
+    if (plan.count) {
+        return { count: plan.cursor ? rows.filter(row => isAfter(row, plan)).length : rows.length };
+    }
+
+    const page = [];
+    let skipped = 0;
+    let more = false;
+    for (const row of rows) {
+        if (plan.cursor && !isAfter(row, plan)) continue;
+        if (skipped < plan.offset) {
+            skipped++;
+            continue;
+        }
+        if (page.length === plan.limit) {
+            more = true;
+            break;
+        }
+        page.push(row);
+    }
+
+    return toPage(page, more);
+}
+
+/**
+ * Build a query result page
+ * @param {Array<{key, data, value}>} rows - Page rows with their sort value
+ * @param {boolean} more - Whether rows remain after the page
+ */
+export function toPage(rows, more) {
+    const last = rows[rows.length - 1];
+    return {
+        items: rows.map(({ key, data }) => ({ key, data })),
+        cursor: more && last ? encodeCursor(last.value, last.key) : null
+    };
+}
+
+/**
+ * Whether a row comes after the plan's cursor in its direction
+ */
+export function isAfter(row, plan, compare = compareKeys) {
+    const order = compare(row.value, plan.cursor.value) || compare(row.key, plan.cursor.key);
+    return plan.direction === 'desc' ? order < 0 : order > 0;
+}
+
+/**
+ * Whether a value passes a condition
+ */
+export function matchesCondition(value, condition, compare = compareKeys) {
+    if (!isKey(value)) return false;
+    if (condition.eq !== undefined) return compare(value, condition.eq) === 0;
+    if (condition.lower !== undefined) {
+        const order = compare(value, condition.lower);
+        if (order < 0 || (order === 0 && condition.lowerOpen)) return false;
+    }
+    if (condition.upper !== undefined) {
+        const order = compare(value, condition.upper);
+        if (order > 0 || (order === 0 && condition.upperOpen)) return false;
+    }
+    return true;
+}
+
+/**
+ * Order two keys like indexedDB.cmp()
+ * @returns {number} -1, 0 or 1
+ */
+export function compareKeys(a, b) {
+    const rankA = keyRank(a);
+    const rankB = keyRank(b);
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+    if (rankA === 4) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = compareKeys(a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return a.length === b.length ? 0 : a.length < b.length ? -1 : 1;
+    }
+
+    const valueA = rankA === 2 ? a.getTime() : a;
+    const valueB = rankB === 2 ? b.getTime() : b;
+    return valueA === valueB ? 0 : valueA < valueB ? -1 : 1;
+}
+
+/**
+ * Whether a value can be an index key
+ */
+export function isKey(value) {
+    return keyRank(value) > 0;
+}
+
+/**
+ * Value at a dotted path ("address.city")
+ */
+export function valueAt(data, path) {
+    let value = data;
+    for (const part of path.split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+export function encodeCursor(value, key) {
+    return JSON.stringify([toJSONKey(value), key]);
+}
+
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse(cursor);
+    } catch (error) {
+        position = null;
+    }
+    if (!Array.isArray(position) || position.length !== 2 || typeof position[1] !== 'string') {
+        throw queryError('VALIDATION_FAILED', 'Invalid query cursor');
+    }
+    return { value: fromJSONKey(position[0]), key: position[1] };
+}
+
+function toCondition(field, condition) {
+    if (!isOperators(condition)) {
+        return checkValues(field, { field, eq: condition });
+    }
+
+    const unknown = Object.keys(condition).filter(op => !OPERATORS.includes(op));
+    if (unknown.length > 0) {
+        throw queryError('VALIDATION_FAILED', `Unknown operator(s) for "${field}": ${unknown.join(', ')}`);
+    }
+
+    const lower = condition.gt !== undefined ? condition.gt : condition.gte;
+    const upper = condition.lt !== undefined ? condition.lt : condition.lte;
+    return checkValues(field, {
+        field,
+        eq: condition.eq,
+        lower,
+        lowerOpen: condition.gt !== undefined,
+        upper,
+        upperOpen: condition.lt !== undefined
+    });
+}
+
+function checkValues(field, condition) {
+    for (const value of [condition.eq, condition.lower, condition.upper]) {
+        if (value !== undefined && !isKey(value)) {
+            throw queryError('VALIDATION_FAILED', `Value for "${field}" must be a number, string, date or array`);
+        }
+    }
+    return condition;
+}
+
+function isOperators(condition) {
+    return condition !== null && typeof condition === 'object' &&
+        !Array.isArray(condition) && !(condition instanceof Date);
+}
+
+function requireIndex(collection, field) {
+    if (!collection.indexes.includes(field)) {
+        throw queryError('INDEX_NOT_FOUND', `Collection "${collection.name}" has no index on "${field}"`);
+    }
+}
+
+// 0 = not a key, then numbers, dates, strings, arrays
+function keyRank(value) {
+    if (typeof value === 'number') return Number.isNaN(value) ? 0 : 1;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? 0 : 2;
+    if (typeof value === 'string') return 3;
+    if (Array.isArray(value)) return value.every(isKey) ? 4 : 0;
+    return 0;
+}
+
+function toJSONKey(value) {
+    if (value instanceof Date) return { date: value.getTime() };
+    if (Array.isArray(value)) return value.map(toJSONKey);
+    return value;
+}
+
+function fromJSONKey(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return new Date(value.date);
+    if (Array.isArray(value)) return value.map(fromJSONKey);
+    return value;
+}
+
+function queryError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
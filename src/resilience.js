@@ -0,0 +1,152 @@
+/**
+ * CSOP Resilience
+ * Retry policies and circuit breakers
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,     // First attempt included
+    baseDelay: 100,     // Delay before the first retry (ms)
+    factor: 2,          // Exponential growth per retry
+    maxDelay: 30000,    // Upper bound of a single delay (ms)
+    jitter: 0,          // 0 = none, 1 = full jitter (random between 0 and the delay)
+    retryOn: null       // Function (error, code) => boolean, or array of error codes
+};
+
+/**
+ * Turn a `retry` option into a full policy
+ * A number keeps its historical meaning: how many retries after the first attempt.
+ * @param {number|Object} retry - Retry count or partial policy
+ * @returns {Object} Retry policy
+ */
+export function normalizeRetryPolicy(retry) {
+    if (typeof retry === 'number') {
+        return { ...DEFAULT_RETRY_POLICY, maxAttempts: retry + 1 };
+    }
+    return { ...DEFAULT_RETRY_POLICY, ...(retry || {}) };
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} retryIndex - 0 for the first retry
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(policy, retryIndex) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, retryIndex));
+    return Math.round(delay - Math.random() * delay * policy.jitter);
+}
+
+/**
+ * Longest total wait between the attempts of a policy (jitter only shortens it)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Milliseconds
+ */
+export function maxBackoff(policy) {
+    let total = 0;
+    for (let i = 0; i < policy.maxAttempts - 1; i++) {
+        total += Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, i));
+    }
+    return total;
+}
+
+/**
+ * Whether the policy allows retrying this error
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Failure
+ * @param {string} code - Error code
+ * @param {boolean} fallback - Answer when the policy has no `retryOn`
+ */
+export function isRetryable(policy, error, code, fallback) {
+    if (typeof policy.retryOn === 'function') return Boolean(policy.retryOn(error, code));
+    if (Array.isArray(policy.retryOn)) return policy.retryOn.includes(code);
+    return fallback;
+}
+
+/**
+ * Circuit breaker for one capability domain
+ * closed → (failureThreshold consecutive failures) → open → (cooldown) →
+ * half-open → one trial call → closed on success, open again on failure
+ * (a trial ending in another error, e.g. aborted, proves nothing: the next
+ * call is a trial again)
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+     * @param {number} options.cooldown - Time open before a trial call (ms, default: 30000)
+     * @param {Function} options.isFailure - `(error) => boolean` for error responses (default: retryable errors)
+     * @param {Function} options.onChange - Called with `{ state, previous, failures }`
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.cooldown = options.cooldown ?? 30000;
+        this.isFailure = options.isFailure || (error => error.retry);
+        this.onChange = options.onChange || (() => {});
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a call may go through now
+     */
+    allow() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+            this._transition('half-open');
+        }
+
+        if (this.state === 'closed') return true;
+
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Record the response of an allowed call
+     */
+    record(response) {
+        this.trialInFlight = false;
+
+        if (response.status === 'ok') {
+            this.failures = 0;
+            if (this.state !== 'closed') this._transition('closed');
+            return;
+        }
+
+        if (!this.isFailure(response.error)) {
+            // No verdict on a trial; outside one, not a failure in a row
+            if (this.state === 'closed') this.failures = 0;
+            return;
+        }
+
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            if (this.state !== 'open') this._transition('open');
+        }
+    }
+
+    /**
+     * Milliseconds until a trial call is allowed (0 unless open)
+     */
+    remaining() {
+        return this.state === 'open'
+            ? Math.max(0, this.cooldown - (Date.now() - this.openedAt))
+            : 0;
+    }
+
+    /**
+     * @private
+     */
+    _transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.onChange({ state, previous, failures: this.failures });
+    }
+}
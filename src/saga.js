@@ -0,0 +1,105 @@
+/**
+ * CSOP Saga
+ * Step normalization and result references for csop.transaction()
+ */
+
+/**
+ * Check and normalize transaction steps
+ * Steps without a name are named by their index ("0", "1", ...).
+ * @param {Object[]} steps - `{ name, action, payload, options, compensate }`
+ * @returns {Object[]} Normalized steps
+ * @throws {TypeError} On a malformed step or a duplicate name
+ */
+export function normalizeSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new TypeError('Transaction needs a non-empty array of steps');
+    }
+
+    const names = new Set();
+
+    return steps.map((step, index) => {
+        if (!step || typeof step.action !== 'string') {
+            throw new TypeError(`Step ${index} needs an action`);
+        }
+
+        const name = step.name !== undefined ? String(step.name) : String(index);
+        if (names.has(name)) {
+            throw new TypeError(`Duplicate step name "${name}"`);
+        }
+        names.add(name);
+
+        const compensate = typeof step.compensate === 'string'
+            ? { action: step.compensate }
+            : step.compensate || null;
+
+        if (compensate && typeof compensate.action !== 'string') {
+            throw new TypeError(`Compensation of step "${name}" needs an action`);
+        }
+
+        return {
+            name,
+            action: step.action,
+            payload: step.payload === undefined ? {} : step.payload,
+            options: step.options || {},
+            compensate
+        };
+    });
+}
+
+/**
+ * Resolve a payload against the results of earlier steps
+ * A function is called with the results; `{ $ref: "step.path.to.value" }`
+ * objects anywhere in the payload are replaced by that value.
+ * @param {*} payload - Step payload
+ * @param {Object} results - `{ stepName: data }`
+ * @returns {*} Resolved payload
+ * @throws {Error} With code INVALID_REFERENCE when a reference does not resolve
+ */
+export function resolveReferences(payload, results) {
+    if (typeof payload === 'function') {
+        return payload(results);
+    }
+    return resolveValue(payload, results);
+}
+
+function resolveValue(value, results) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveValue(item, results));
+    }
+
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+        return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$ref') {
+        return lookup(value.$ref, results);
+    }
+
+    const output = {};
+    for (const key of keys) {
+        output[key] = resolveValue(value[key], results);
+    }
+    return output;
+}
+
+function lookup(ref, results) {
+    const [step, ...path] = String(ref).split('.');
+
+    if (!Object.prototype.hasOwnProperty.call(results, step)) {
+        const error = new Error(`Reference "${ref}" points to no completed step`);
+        error.code = 'INVALID_REFERENCE';
+        throw error;
+    }
+
+    let value = results[step];
+    for (const key of path) {
+        if (value === null || value === undefined) {
+            const error = new Error(`Reference "${ref}" does not resolve`);
+            error.code = 'INVALID_REFERENCE';
+            throw error;
+        }
+        value = value[key];
+    }
+    return value;
+}
@@ -0,0 +1,143 @@
+/**
+ * CSOP Scheduler
+ * Concurrency limits, token-bucket rate limits and priority queues
+ */
+
+import { createAbortError } from './utils.js';
+
+export const PRIORITIES = {
+    high: 1,
+    normal: 0,
+    low: -1
+};
+
+/**
+ * Turn a `priority` option into a number (higher runs first)
+ * @param {number|string} priority - Number, or "high" | "normal" | "low"
+ * @returns {number}
+ */
+export function resolvePriority(priority) {
+    if (typeof priority === 'number') return priority;
+    return PRIORITIES[priority] || 0;
+}
+
+/**
+ * Concurrency and rate limit for one domain or action
+ * Waiting calls are served by priority, then in arrival order.
+ */
+export class Limiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Calls running at once (default: unlimited)
+     * @param {number} options.rate - Calls started per interval (default: unlimited)
+     * @param {number} options.interval - Rate window (ms, default: 1000)
+     * @param {number} options.burst - Bucket size, calls that may start at once (default: rate)
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || Infinity;
+        this.rate = options.rate || Infinity;
+        this.interval = options.interval || 1000;
+        this.burst = options.burst || this.rate;
+
+        this.tokens = this.burst;
+        this.refilledAt = Date.now();
+        this.active = 0;
+        this.waiters = [];
+
+        this._seq = 0;
+        this._timer = null;
+    }
+
+    /**
+     * Wait for a slot (and a token)
+     * @param {number} priority - Higher runs first
+     * @param {AbortSignal} [signal] - Gives up waiting (rejects with ABORTED)
+     * @returns {Promise<Function>} Resolves with the release function
+     */
+    acquire(priority = 0, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const waiter = { priority, seq: this._seq++, resolve, signal, onAbort: null };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.waiters = this.waiters.filter(other => other !== waiter);
+                    reject(createAbortError(signal));
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            const index = this.waiters.findIndex(other => other.priority < priority);
+            if (index === -1) {
+                this.waiters.push(waiter);
+            } else {
+                this.waiters.splice(index, 0, waiter);
+            }
+
+            this._pump();
+        });
+    }
+
+    /**
+     * Current load
+     */
+    stats() {
+        this._refill();
+        return {
+            active: this.active,
+            queued: this.waiters.length,
+            concurrency: this.concurrency,
+            rate: this.rate,
+            tokens: Math.floor(this.tokens)
+        };
+    }
+
+    /**
+     * Start as many waiting calls as the limits allow
+     * @private
+     */
+    _pump() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        while (this.waiters.length > 0 && this.active < this.concurrency) {
+            this._refill();
+
+            if (this.tokens < 1) {
+                // Wake up when the next token is in the bucket
+                const wait = Math.ceil((1 - this.tokens) * this.interval / this.rate);
+                this._timer = setTimeout(() => this._pump(), wait);
+                return;
+            }
+
+            const waiter = this.waiters.shift();
+            if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+
+            this.tokens--;
+            this.active++;
+
+            let released = false;
+            waiter.resolve(() => {
+                if (released) return;
+                released = true;
+                this.active--;
+                this._pump();
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _refill() {
+        if (this.rate === Infinity) return;
+
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.rate / this.interval);
+        this.refilledAt = now;
+    }
+}
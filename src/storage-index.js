@@ -0,0 +1,158 @@
+/**
+ * CSOP Storage Index
+ * Per-key metadata for StorageCapability: size, driver, expiry and access
+ * statistics (for LRU / LFU eviction). Each entry is persisted as its own
+ * record in a driver under META_PREFIX; access statistics are written back
+ * lazily by flush().
+ */
+
+export const META_PREFIX = '__csop_meta__:';
+
+export const EVICTION_POLICIES = ['lru', 'lfu'];
+
+export class StorageIndex {
+    constructor() {
+        this.entries = new Map();
+        this.dirty = new Set();
+        this.driver = null;
+    }
+
+    /**
+     * Load the persisted entries
+     * @param {Object} driver - Opened driver holding the records
+     * @param {AbortSignal} [signal]
+     */
+    async load(driver, signal) {
+        this.driver = driver;
+        this.entries.clear();
+        this.dirty.clear();
+
+        for (const record of await driver.keys(signal, META_PREFIX)) {
+            if (!record.startsWith(META_PREFIX)) continue;
+            const entry = await driver.get(record, signal);
+            if (entry) this.entries.set(record.slice(META_PREFIX.length), entry);
+        }
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Store an entry (and persist it now)
+     * @param {string} key - Data key
+     * @param {Object} entry - `{ size, driver, expiresAt, pinned, createdAt, lastAccess, hits }`
+     */
+    async set(key, entry, signal) {
+        this.entries.set(key, entry);
+        this.dirty.delete(key);
+        await this.driver.put(META_PREFIX + key, entry, signal);
+    }
+
+    async remove(key, signal) {
+        this.dirty.delete(key);
+        if (this.entries.delete(key)) {
+            await this.driver.delete(META_PREFIX + key, signal);
+        }
+    }
+
+    /**
+     * Driver operation persisting an entry (null removes it), for a batch
+     * that also writes the data; call remember() once it commits
+     * @returns {Object} `{ type, key, value }` for runBatch()
+     */
+    recordOp(key, entry) {
+        return entry
+            ? { type: 'put', key: META_PREFIX + key, value: entry }
+            : { type: 'delete', key: META_PREFIX + key };
+    }
+
+    /**
+     * Update the in-memory entry only (null removes it)
+     */
+    remember(key, entry) {
+        this.dirty.delete(key);
+        if (entry) this.entries.set(key, entry);
+        else this.entries.delete(key);
+    }
+
+    /**
+     * Record a read (persisted by the next flush())
+     */
+    touch(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        entry.lastAccess = now;
+        entry.hits = (entry.hits || 0) + 1;
+        this.dirty.add(key);
+    }
+
+    /**
+     * Write back the access statistics of touched entries
+     */
+    async flush(signal) {
+        for (const key of Array.from(this.dirty)) {
+            this.dirty.delete(key);
+            const entry = this.entries.get(key);
+            if (entry) await this.driver.put(META_PREFIX + key, entry, signal);
+        }
+    }
+
+    isExpired(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        return Boolean(entry && entry.expiresAt !== undefined && entry.expiresAt <= now);
+    }
+
+    /**
+     * Keys whose expiry has passed
+     */
+    expired(now = Date.now()) {
+        return Array.from(this.entries.keys()).filter(key => this.isExpired(key, now));
+    }
+
+    /**
+     * Bytes used by the entries passing `filter(entry, key)`
+     */
+    usage(filter = () => true) {
+        let bytes = 0;
+        for (const [key, entry] of this.entries) {
+            if (filter(entry, key)) bytes += entry.size || 0;
+        }
+        return bytes;
+    }
+
+    /**
+     * Pick entries to evict to free `bytes`: expired entries first, then by
+     * policy (least recently or least frequently used). Pinned entries stay.
+     * @param {number} bytes - Bytes to free
+     * @param {string} policy - "lru" | "lfu"
+     * @param {Function} filter - `(entry, key) => boolean`, entries that may go
+     * @returns {string[]|null} Keys, or null when evicting everything allowed is not enough
+     */
+    victims(bytes, policy, filter) {
+        const now = Date.now();
+        const candidates = Array.from(this.entries)
+            .filter(([key, entry]) => !entry.pinned && filter(entry, key))
+            .sort(([keyA, a], [keyB, b]) => {
+                const expired = Number(this.isExpired(keyB, now)) - Number(this.isExpired(keyA, now));
+                if (expired !== 0) return expired;
+                if (policy === 'lfu' && (a.hits || 0) !== (b.hits || 0)) {
+                    return (a.hits || 0) - (b.hits || 0);
+                }
+                return (a.lastAccess || 0) - (b.lastAccess || 0);
+            });
+
+        const keys = [];
+        let freed = 0;
+        for (const [key, entry] of candidates) {
+            if (freed >= bytes) break;
+            keys.push(key);
+            freed += entry.size || 0;
+        }
+        return freed >= bytes ? keys : null;
+    }
+}
@@ -0,0 +1,356 @@
+/**
+ * CSOP Testing
+ * In-memory fakes of the built-in capabilities, a dispatch recorder with
+ * assertion helpers, and replay of recorded responses from a JSON fixture.
+ */
+
+import { CSOP } from './csop.js';
+import { StorageCapability } from './capabilities/storage.js';
+import { ComputeCapability } from './capabilities/compute.js';
+import { SyncCapability } from './capabilities/sync.js';
+import { InProcessBus } from './adapters/sync.js';
+import { stableStringify, throwIfAborted } from './utils.js';
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Storage backed by memory (`config.data` seeds `{ key: value }`)
+ */
+export class FakeStorage extends StorageCapability {
+    async init(config = {}, context = {}) {
+        await super.init({ ...config, backend: config.backend || 'memory' }, context);
+
+        for (const [key, value] of Object.entries(config.data || {})) {
+            await this.backend.put(key, value);
+        }
+    }
+}
+
+/**
+ * Compute running the worker script on the calling thread
+ * `stub(task, fn)` replaces a task (or adds one) with `fn(data, progress)`.
+ */
+export class FakeCompute extends ComputeCapability {
+    constructor() {
+        super();
+        this.numWorkers = 1;
+        this.stubs = new Map();
+    }
+
+    stub(task, fn) {
+        this.stubs.set(task, fn);
+        return this;
+    }
+
+    async init(config = {}, context = {}) {
+        const source = this._createWorkerScript();
+        const factory = {
+            name: 'inline',
+            spawn: () => new InlineWorker(source, this.stubs),
+            close: () => {}
+        };
+        await super.init({ ...config, workers: factory }, context);
+    }
+}
+
+/**
+ * Worker stand-in that evaluates the worker script in-process
+ * Messages are delivered on a later tick, like a real worker.
+ * @private
+ */
+class InlineWorker {
+    constructor(source, stubs) {
+        this.stubs = stubs;
+        this.listeners = new Set();
+        this.terminated = false;
+        this.scope = {
+            onmessage: null,
+            postMessage: (data) => {
+                if (this.terminated) return;
+                Array.from(this.listeners).forEach(fn => fn({ data }));
+            }
+        };
+        new Function('self', source)(this.scope);
+    }
+
+    addEventListener(type, fn) {
+        if (type === 'message') this.listeners.add(fn);
+    }
+
+    removeEventListener(type, fn) {
+        this.listeners.delete(fn);
+    }
+
+    postMessage(message) {
+        setTimeout(() => this._handle(message), 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+        this.listeners.clear();
+    }
+
+    async _handle(message) {
+        if (this.terminated) return;
+
+        const stub = this.stubs.get(message.task);
+        if (!stub) {
+            this.scope.onmessage({ data: message });
+            return;
+        }
+
+        const { id } = message;
+        const progress = (value) => this.scope.postMessage({ id, type: 'progress', progress: value });
+        try {
+            const result = await stub(message.data, progress);
+            this.scope.postMessage({ id, success: true, result });
+        } catch (error) {
+            this.scope.postMessage({ id, success: false, error: error.message });
+        }
+    }
+}
+
+/**
+ * Sync on a private in-process bus, with presence tracked in memory
+ */
+export class FakeSync extends SyncCapability {
+    constructor() {
+        super();
+        this.bus = new InProcessBus();
+        this.present = new Map();
+    }
+
+    async presence({ channel = 'default', userId, metadata = {} }, { signal } = {}) {
+        throwIfAborted(signal);
+
+        if (!this.present.has(channel)) {
+            this.present.set(channel, new Map());
+        }
+        const users = this.present.get(channel);
+        const id = userId || `user_${users.size + 1}`;
+        users.set(id, { userId: id, onlineAt: new Date().toISOString(), ...metadata });
+
+        return { online: users.size, users: Array.from(users.values()) };
+    }
+}
+
+/**
+ * Create an initialized CSOP whose built-ins are the in-memory fakes
+ * Logging and the offline outbox are off unless `config` turns them on.
+ * @param {Object} config - Same as `csop.init()`
+ * @returns {Promise<CSOP>}
+ */
+export async function createTestCSOP(config = {}) {
+    const csop = new CSOP();
+    await csop.init({
+        logger: false,
+        outbox: false,
+        ...config,
+        capabilities: {
+            storage: FakeStorage,
+            compute: FakeCompute,
+            sync: FakeSync,
+            ...(config.capabilities || {})
+        }
+    });
+    return csop;
+}
+
+/**
+ * Records every dispatch (request and response) of a router
+ */
+export class DispatchRecorder {
+    constructor(csop) {
+        this.entries = [];
+        this.recording = true;
+
+        csop.use(async (message, next) => {
+            if (!this.recording) return next();
+
+            const entry = { action: message.action, payload: message.payload, response: null };
+            this.entries.push(entry);
+            entry.response = await next();
+            return entry.response;
+        });
+    }
+
+    /**
+     * Recorded calls, optionally only those of one action
+     * @param {string} [action] - "domain.operation"
+     * @returns {Object[]} `{ action, payload, response }`
+     */
+    calls(action) {
+        return action ? this.entries.filter(entry => entry.action === action) : this.entries.slice();
+    }
+
+    /**
+     * Assert that an action was dispatched
+     * `payload` matches when each of its fields (recursively) equals the
+     * dispatched one; a function field is used as a predicate.
+     * @param {string} action - "domain.operation"
+     * @param {Object} [payload] - Expected payload fields
+     * @param {Object} [options] - `times`: exact number of matching calls
+     * @returns {Object[]} Matching calls
+     * @throws {Error} With code ASSERTION_FAILED
+     */
+    expectDispatched(action, payload, { times } = {}) {
+        const matching = this.calls(action).filter(entry => matches(entry.payload, payload));
+
+        if (matching.length === 0 || (times !== undefined && matching.length !== times)) {
+            const expected = times !== undefined ? `${times} time(s)` : 'at least once';
+            const dispatched = this.entries.map(entry => `${entry.action} ${stableStringify(entry.payload)}`);
+            throw assertionError(
+                `Expected ${action}${payload !== undefined ? ` with ${stableStringify(payload)}` : ''} ` +
+                `to be dispatched ${expected}, matched ${matching.length}. ` +
+                `Dispatched: ${dispatched.length ? dispatched.join('; ') : 'nothing'}`
+            );
+        }
+        return matching;
+    }
+
+    /**
+     * Assert that an action was not dispatched (with a matching payload)
+     * @param {string} action - "domain.operation"
+     * @param {Object} [payload] - Payload fields
+     * @throws {Error} With code ASSERTION_FAILED
+     */
+    expectNotDispatched(action, payload) {
+        const matching = this.calls(action).filter(entry => matches(entry.payload, payload));
+        if (matching.length > 0) {
+            throw assertionError(`Expected ${action} not to be dispatched, matched ${matching.length}`);
+        }
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * JSON fixture for replay() (function-valued fields are dropped)
+     * @returns {{version: number, calls: Object[]}}
+     */
+    toJSON() {
+        return {
+            version: FIXTURE_VERSION,
+            calls: this.entries.map(({ action, payload, response }) => ({
+                action,
+                payload: toJSONValue(payload),
+                response: toJSONValue(withoutId(response))
+            }))
+        };
+    }
+}
+
+/**
+ * Start recording the dispatches of a router
+ * @param {CSOP} csop - Router
+ * @returns {DispatchRecorder}
+ */
+export function record(csop) {
+    return new DispatchRecorder(csop);
+}
+
+/**
+ * Serves recorded responses instead of executing dispatches
+ * Calls match on action and payload; identical calls get their responses
+ * in recorded order.
+ */
+export class DispatchReplayer {
+    constructor(csop, fixture, { passthrough = false } = {}) {
+        const data = typeof fixture === 'string' ? JSON.parse(fixture) : fixture;
+        if (!data || !Array.isArray(data.calls)) {
+            throw new TypeError('Replay fixture needs a calls array');
+        }
+
+        this.passthrough = passthrough;
+        this.queues = new Map();
+        for (const call of data.calls) {
+            const key = replayKey(call.action, call.payload);
+            if (!this.queues.has(key)) this.queues.set(key, []);
+            this.queues.get(key).push(call);
+        }
+
+        csop.use(async (message, next) => {
+            const queue = this.queues.get(replayKey(message.action, message.payload));
+
+            if (queue && queue.length > 0) {
+                const { response } = queue.shift();
+                return { ...structuredClone(response), id: message.id };
+            }
+            if (this.passthrough) return next();
+
+            const error = new Error(`No recorded response for ${message.action} ${stableStringify(message.payload)}`);
+            error.code = 'REPLAY_MISS';
+            throw error;
+        });
+    }
+
+    /**
+     * Recorded calls not served yet
+     * @returns {Object[]}
+     */
+    remaining() {
+        return Array.from(this.queues.values()).flat();
+    }
+
+    /**
+     * Assert that every recorded call was served
+     * @throws {Error} With code ASSERTION_FAILED
+     */
+    expectAllReplayed() {
+        const remaining = this.remaining();
+        if (remaining.length > 0) {
+            throw assertionError(`${remaining.length} recorded call(s) not replayed: ` +
+                remaining.map(call => call.action).join(', '));
+        }
+    }
+}
+
+/**
+ * Serve a router's dispatches from a fixture written by DispatchRecorder
+ * @param {CSOP} csop - Router
+ * @param {Object|string} fixture - Fixture object or its JSON
+ * @param {Object} [options] - `passthrough`: execute unmatched calls
+ *   instead of failing them with REPLAY_MISS
+ * @returns {DispatchReplayer}
+ */
+export function replay(csop, fixture, options) {
+    return new DispatchReplayer(csop, fixture, options);
+}
+
+function replayKey(action, payload) {
+    return `${action} ${stableStringify(payload)}`;
+}
+
+function matches(actual, expected) {
+    if (expected === undefined) return true;
+    if (typeof expected === 'function') return Boolean(expected(actual));
+    if (expected === null || typeof expected !== 'object') return Object.is(actual, expected);
+    if (!actual || typeof actual !== 'object') return false;
+
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length &&
+            expected.every((item, index) => matches(actual[index], item));
+    }
+    return Object.keys(expected).every(key => matches(actual[key], expected[key]));
+}
+
+function toJSONValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function withoutId(response) {
+    if (!response) return response;
+    const { id, ...rest } = response;
+    return rest;
+}
+
+function assertionError(message) {
+    const error = new Error(message);
+    error.code = 'ASSERTION_FAILED';
+    return error;
+}
@@ -0,0 +1,353 @@
+/**
+ * CSOP Transport
+ * Serves a CSOP instance over any postMessage-style port
+ * (MessagePort, Worker, iframe window) and drives it from the other side.
+ */
+
+import { generateId } from './utils.js';
+import { normalizeRetryPolicy, maxBackoff } from './resilience.js';
+import { consoleLogger } from './logger.js';
+
+const PREFIX = 'csop:';
+
+// Extra time the client waits beyond the remote timeout and retries
+const GRACE_PERIOD = 1000;
+
+/**
+ * Normalize a port into `{ send, listen }`
+ * Windows need `targetOrigin` and the window receiving the replies as `listener`
+ * (messages are then only accepted from `port`, and from `origin` if given).
+ * @private
+ */
+function createEndpoint(port, { targetOrigin, listener, origin } = {}) {
+    const target = listener || port;
+
+    return {
+        send(message) {
+            if (targetOrigin) {
+                port.postMessage(message, targetOrigin);
+            } else {
+                port.postMessage(message);
+            }
+        },
+
+        listen(handler) {
+            const onMessage = (event) => {
+                if (listener && event.source !== port) return;
+                if (origin && event.origin !== origin) return;
+
+                const data = event.data;
+                if (data && typeof data.type === 'string' && data.type.startsWith(PREFIX)) {
+                    handler(data);
+                }
+            };
+
+            target.addEventListener('message', onMessage);
+            if (typeof target.start === 'function') target.start();
+
+            return () => target.removeEventListener('message', onMessage);
+        }
+    };
+}
+
+/**
+ * Replace top-level payload functions with callback references
+ * @private
+ */
+function extractCallbacks(payload, register) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return payload;
+    }
+
+    const output = {};
+    for (const [key, value] of Object.entries(payload)) {
+        output[key] = typeof value === 'function'
+            ? { __csopCallback: register(value) }
+            : value;
+    }
+    return output;
+}
+
+/**
+ * Turn callback references back into functions that post to the caller
+ * `revived(fn, callbackId)` is told about each function made.
+ * @private
+ */
+function reviveCallbacks(payload, invoke, revived = () => {}) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return payload;
+    }
+
+    const output = {};
+    for (const [key, value] of Object.entries(payload)) {
+        if (value && typeof value === 'object' && typeof value.__csopCallback === 'string') {
+            const callbackId = value.__csopCallback;
+            output[key] = (...args) => invoke(callbackId, args);
+            revived(output[key], callbackId);
+        } else {
+            output[key] = value;
+        }
+    }
+    return output;
+}
+
+function errorResponse(id, code, message) {
+    return {
+        id,
+        status: 'error',
+        error: { code, message, retry: code !== 'ABORTED' }
+    };
+}
+
+/**
+ * Serve a CSOP instance over a port
+ * @param {CSOP} csop - Instance handling the requests
+ * @param {Object} port - MessagePort, Worker, or window (with options.targetOrigin)
+ * @param {Object} options - `targetOrigin`, `listener`, `origin` (see createEndpoint), `logger`,
+ *   `principal` (every request is dispatched as this principal, see setPolicy();
+ *   a principal in the request options is ignored), `trustPrincipal` (keep the
+ *   principal of the request options: only for channels whose callers are trusted,
+ *   like the tabs of one CSOP instance)
+ * @returns {{close: Function}} Stops serving and aborts in-flight requests
+ */
+export function serve(csop, port, options = {}) {
+    const endpoint = createEndpoint(port, options);
+    const logger = options.logger || consoleLogger;
+    const inflight = new Map();
+    let closed = false;
+
+    const send = (message) => {
+        try {
+            endpoint.send(message);
+        } catch (error) {
+            if (message.type !== 'csop:response') {
+                logger.error(`❌ Failed to post ${message.type}`, error);
+                return;
+            }
+
+            // Result not cloneable: report it instead of leaving the caller waiting
+            endpoint.send({
+                type: 'csop:response',
+                id: message.id,
+                response: errorResponse(message.id, 'TRANSPORT_ERROR', error.message)
+            });
+        }
+    };
+
+    // Once a capability lets go of a callback (unsubscribed, call over), the
+    // caller may forget it too
+    const released = typeof FinalizationRegistry !== 'undefined'
+        ? new FinalizationRegistry(callbackId => {
+            if (!closed) send({ type: 'csop:release', callbackId });
+        })
+        : null;
+
+    const handleRequest = async (request) => {
+        const controller = new AbortController();
+        inflight.set(request.id, controller);
+
+        const payload = reviveCallbacks(
+            request.payload,
+            (callbackId, args) => send({ type: 'csop:callback', id: request.id, callbackId, args }),
+            (fn, callbackId) => released && released.register(fn, callbackId)
+        );
+
+        // Callers never choose their principal, unless the channel is trusted
+        const { principal, ...callerOptions } = request.options || {};
+        const caller = options.trustPrincipal ? principal : options.principal;
+
+        try {
+            const response = await csop.dispatch(request.action, payload, {
+                ...callerOptions,
+                ...(caller !== undefined ? { principal: caller } : {}),
+                signal: controller.signal,
+                onProgress: request.progress
+                    ? (event) => send({ type: 'csop:progress', id: request.id, data: event.data })
+                    : undefined
+            });
+            send({ type: 'csop:response', id: request.id, response });
+        } catch (error) {
+            send({
+                type: 'csop:error',
+                id: request.id,
+                error: { code: error.code, message: error.message }
+            });
+        } finally {
+            inflight.delete(request.id);
+        }
+    };
+
+    const stop = endpoint.listen((data) => {
+        if (data.type === 'csop:request') {
+            handleRequest(data);
+        } else if (data.type === 'csop:abort') {
+            const controller = inflight.get(data.id);
+            if (controller) controller.abort();
+        }
+    });
+
+    logger.info('🔌 CSOP served over port');
+
+    return {
+        close() {
+            closed = true;
+            stop();
+            inflight.forEach(controller => controller.abort());
+            inflight.clear();
+        }
+    };
+}
+
+/**
+ * Client proxy with the same dispatch() signature as CSOP
+ */
+export class CSOPClient {
+    /**
+     * @param {Object} port - MessagePort, Worker, or window (with options.targetOrigin)
+     * @param {Object} options - `timeout` used when a call sets none (default: 60000),
+     *   `logger`, plus `targetOrigin`, `listener`, `origin` for windows
+     */
+    constructor(port, options = {}) {
+        this.timeout = options.timeout || 60000;
+        this.logger = options.logger || consoleLogger;
+        this.pending = new Map();
+        this.callbacks = new Map();
+        this.endpoint = createEndpoint(port, options);
+        this._stop = this.endpoint.listen(data => this._handleMessage(data));
+    }
+
+    /**
+     * Dispatch an action to the remote CSOP instance
+     * `signal` and `onProgress` work across the boundary; top-level payload
+     * functions (e.g. `sync.subscribe` callbacks) are called back on this side.
+     * They are kept until the call fails, or after it succeeded, until the
+     * remote side releases them.
+     * @param {string} action - Action in format "domain.operation"
+     * @param {Object} payload - Action payload (structured-cloneable)
+     * @param {Object} options - Execution options (retry, timeout, signal, onProgress)
+     * @returns {Promise<Object>} Response object
+     */
+    dispatch(action, payload = {}, options = {}) {
+        const { signal, onProgress, ...remoteOptions } = options;
+        const id = generateId();
+        const callbackIds = [];
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                resolve(errorResponse(id, 'ABORTED', 'Operation aborted'));
+                return;
+            }
+
+            const onAbort = () => this.endpoint.send({ type: 'csop:abort', id });
+
+            const settle = (fn, value, succeeded = false) => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.pending.delete(id);
+                // Nothing on the remote side holds the callbacks of a failed call
+                if (!succeeded) callbackIds.forEach(callbackId => this.callbacks.delete(callbackId));
+                fn(value);
+            };
+
+            const timer = setTimeout(() => {
+                onAbort();
+                settle(resolve, errorResponse(id, 'TRANSPORT_TIMEOUT',
+                    `No response from remote CSOP for "${action}"`));
+            }, this._deadline(remoteOptions));
+
+            this.pending.set(id, {
+                onProgress,
+                resolve: (response) => settle(resolve, { ...response, id }, response.status === 'ok'),
+                reject: (error) => settle(reject, error)
+            });
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                this.endpoint.send({
+                    type: 'csop:request',
+                    id,
+                    action,
+                    payload: extractCallbacks(payload, (fn) => {
+                        const callbackId = generateId();
+                        this.callbacks.set(callbackId, fn);
+                        callbackIds.push(callbackId);
+                        return callbackId;
+                    }),
+                    options: remoteOptions,
+                    progress: typeof onProgress === 'function'
+                });
+            } catch (error) {
+                settle(reject, error);
+            }
+        });
+    }
+
+    /**
+     * Stop listening and reject every pending call
+     */
+    close() {
+        this._stop();
+        for (const entry of this.pending.values()) {
+            const error = new Error('Transport closed');
+            error.code = 'TRANSPORT_CLOSED';
+            entry.reject(error);
+        }
+        this.callbacks.clear();
+    }
+
+    /**
+     * How long to wait for the remote side, retries included
+     * @private
+     */
+    _deadline({ timeout, retry = 0 }) {
+        if (!timeout) return this.timeout;
+
+        const policy = normalizeRetryPolicy(retry);
+        return timeout * policy.maxAttempts + maxBackoff(policy) + GRACE_PERIOD;
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(data) {
+        if (data.type === 'csop:callback') {
+            const callback = this.callbacks.get(data.callbackId);
+            if (callback) {
+                try {
+                    callback(...data.args);
+                } catch (err) {
+                    this.logger.error('Callback error:', err);
+                }
+            }
+            return;
+        }
+
+        if (data.type === 'csop:release') {
+            this.callbacks.delete(data.callbackId);
+            return;
+        }
+
+        const entry = this.pending.get(data.id);
+        if (!entry) return;
+
+        switch (data.type) {
+            case 'csop:progress':
+                if (entry.onProgress) {
+                    entry.onProgress({ id: data.id, status: 'progress', data: data.data });
+                }
+                break;
+
+            case 'csop:response':
+                entry.resolve(data.response);
+                break;
+
+            case 'csop:error': {
+                const error = new Error(data.error.message);
+                error.code = data.error.code;
+                entry.reject(error);
+                break;
+            }
+        }
+    }
+}
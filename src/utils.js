@@ -2,6 +2,8 @@
  * CSOP Utility Functions
  */
 
+import { consoleLogger } from './logger.js';
+
 /**
  * Generate unique ID
  * @returns {string} UUID-like identifier
@@ -10,13 +12,65 @@ export function generateId() {
     return 'csop_' + crypto.randomUUID();
 }
 
+/**
+ * Split an action into its domain and operation
+ * @param {string} action - "domain.operation"
+ * @returns {{domain: string, operation: string}|null} null unless exactly two non-empty parts
+ */
+export function parseAction(action) {
+    if (typeof action !== 'string') return null;
+    const parts = action.split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    return { domain: parts[0], operation: parts[1] };
+}
+
 /**
  * Delay execution
  * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Rejects early with an ABORTED error
  * @returns {Promise}
  */
-export function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError(signal));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Create the error used for cancelled operations
+ * @param {AbortSignal} [signal] - Aborted signal (its reason becomes the message)
+ * @returns {Error} Error with code ABORTED
+ */
+export function createAbortError(signal) {
+    const reason = signal && signal.reason;
+    const message = typeof reason === 'string' ? reason : (reason && reason.message) || 'Operation aborted';
+    const error = new Error(message);
+    error.code = 'ABORTED';
+    return error;
+}
+
+/**
+ * Throw an ABORTED error if the signal is already aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError(signal);
+    }
 }
 
 /**
@@ -137,6 +191,52 @@ export function mergeDeep(target, source) {
     return output;
 }
 
+/**
+ * JSON serialization with sorted object keys
+ * Equal values always give the same string (usable as a cache key).
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+export function stableStringify(value) {
+    if (value === undefined || typeof value === 'function') return 'null';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (typeof value.toJSON === 'function') return stableStringify(value.toJSON());
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+
+    const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map(key => JSON.stringify(key) + ':' + stableStringify(value[key]));
+    return '{' + entries.join(',') + '}';
+}
+
+/**
+ * Base64 of bytes (Uint8Array or ArrayBuffer)
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i++) binary += String.fromCharCode(view[i]);
+    return btoa(binary);
+}
+
+/**
+ * Bytes of a base64 string
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
 /**
  * Safe JSON parse
  * @param {string} str - JSON string
@@ -175,37 +275,58 @@ export function getBrowserInfo() {
  * @returns {boolean}
  */
 export function isSupported(feature) {
+    const g = globalThis;
+    const nav = typeof navigator !== 'undefined' ? navigator : {};
     const features = {
-        indexeddb: 'indexedDB' in window,
-        workers: 'Worker' in window,
-        websocket: 'WebSocket' in window,
-        serviceworker: 'serviceWorker' in navigator,
-        notifications: 'Notification' in window,
-        geolocation: 'geolocation' in navigator,
-        crypto: 'crypto' in window && 'subtle' in crypto
+        indexeddb: typeof g.indexedDB !== 'undefined',
+        workers: typeof g.Worker !== 'undefined',
+        websocket: typeof g.WebSocket !== 'undefined',
+        serviceworker: 'serviceWorker' in nav,
+        notifications: typeof g.Notification !== 'undefined',
+        geolocation: 'geolocation' in nav,
+        crypto: typeof g.crypto !== 'undefined' && 'subtle' in g.crypto
     };
     
     return features[feature.toLowerCase()] || false;
 }
 
 /**
- * Log with timestamp
- * @param {string} level - Log level (info, warn, error)
+ * Detect the runtime and the features capabilities pick their adapters from
+ * @returns {{name: string, indexedDB: boolean, webWorkers: boolean, workerThreads: boolean,
+ *   fileSystem: boolean, broadcastChannel: boolean}} `name` is "browser", "worker", "node" or "unknown"
+ */
+export function detectRuntime() {
+    const g = globalThis;
+    const node = typeof g.process !== 'undefined' && Boolean(g.process.versions && g.process.versions.node);
+
+    let name = 'unknown';
+    if (typeof g.window !== 'undefined' && typeof g.document !== 'undefined') {
+        name = 'browser';
+    } else if (typeof g.WorkerGlobalScope !== 'undefined') {
+        name = 'worker';
+    } else if (node) {
+        name = 'node';
+    }
+
+    return {
+        name,
+        indexedDB: typeof g.indexedDB !== 'undefined',
+        webWorkers: typeof g.Worker !== 'undefined' && typeof g.Blob !== 'undefined' &&
+            typeof g.URL !== 'undefined' && typeof g.URL.createObjectURL === 'function',
+        workerThreads: node,
+        fileSystem: node,
+        broadcastChannel: typeof g.BroadcastChannel !== 'undefined'
+    };
+}
+
+/**
+ * Log with timestamp through the default logger
+ * @param {string} level - Log level (debug, info, warn, error)
  * @param {string} message - Log message
  * @param {*} data - Additional data
  */
 export function log(level, message, data = null) {
     const timestamp = new Date().toISOString();
-    const prefix = `[CSOP ${timestamp}]`;
-    
-    switch(level) {
-        case 'error':
-            console.error(prefix, message, data);
-            break;
-        case 'warn':
-            console.warn(prefix, message, data);
-            break;
-        default:
-            console.log(prefix, message, data);
-    }
+    const write = consoleLogger[level] || consoleLogger.info;
+    write(`[CSOP ${timestamp}]`, message, data);
 }
\ No newline at end of file
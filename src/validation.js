@@ -39,4 +39,107 @@ export class CSPValidator {
     }
     return config;
   }
+
+  /**
+   * Validate a value against a JSON-Schema subset
+   * Supports type, enum, required, properties, additionalProperties, items,
+   * minimum/maximum, minLength/maxLength, minItems/maxItems and pattern.
+   * Extra type: "function".
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema
+   * @param {string} path - Path of the value in error reports
+   * @returns {Array<{path: string, message: string}>} Every violation (empty if valid)
+   */
+  static validateSchema(value, schema, path = 'value') {
+    const errors = [];
+    CSPValidator._checkSchema(value, schema, path, errors);
+    return errors;
+  }
+
+  static _checkSchema(value, schema, path, errors) {
+    if (!schema) return;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => CSPValidator._isType(value, type))) {
+        errors.push({ path, message: `must be ${types.join(' or ')}` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must have length >= ${schema.minLength}` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must have length <= ${schema.maxLength}` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match ${schema.pattern}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value.forEach((item, i) => CSPValidator._checkSchema(item, schema.items, `${path}[${i}]`, errors));
+      }
+    }
+
+    if (CSPValidator._isType(value, 'object')) {
+      const properties = schema.properties || {};
+
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+          errors.push({ path: `${path}.${name}`, message: 'is required' });
+        }
+      }
+
+      for (const [name, propertySchema] of Object.entries(properties)) {
+        if (value[name] !== undefined) {
+          CSPValidator._checkSchema(value[name], propertySchema, `${path}.${name}`, errors);
+        }
+      }
+
+      if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value)) {
+          if (!(name in properties)) {
+            errors.push({ path: `${path}.${name}`, message: 'is not allowed' });
+          }
+        }
+      }
+    }
+  }
+
+  static _isType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && !Number.isNaN(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      case 'function': return typeof value === 'function';
+      case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+      default: return true;
+    }
+  }
 }
@@ -6,6 +6,22 @@
 import { CSOP } from '../src/csop.js';
 import { CSPValidator } from '../src/validation.js';
 import { ErrorCodes, CSOPError } from '../src/errors.js';
+import { ComputeCapability } from '../src/capabilities/compute.js';
+import { StorageCapability } from '../src/capabilities/storage.js';
+import { WorkflowCapability } from '../src/capabilities/workflow.js';
+import { serve, CSOPClient } from '../src/transport.js';
+import { backoffDelay, normalizeRetryPolicy, CircuitBreaker } from '../src/resilience.js';
+import { MemoryOutboxStore } from '../src/outbox.js';
+import { InProcessBus } from '../src/adapters/sync.js';
+import { normalizeMigrations } from '../src/migrations.js';
+import { createLogger } from '../src/logger.js';
+import { MemoryBackend, IndexedDBBackend, LocalStorageBackend, FileSystemBackend } from '../src/adapters/storage.js';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createTestCSOP, record, replay } from '../src/testing.js';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createServer } from 'node:http';
 
 const tests = [];
 let passed = 0;
@@ -15,6 +31,59 @@ function test(name, fn) {
   tests.push({ name, fn });
 }
 
+// Router with hand-registered capabilities (no browser APIs needed)
+function createRouter(capabilities = {}) {
+  const csop = new CSOP();
+  for (const [name, capability] of Object.entries(capabilities)) {
+    csop.register(name, capability);
+  }
+  csop.initialized = true;
+  return csop;
+}
+
+// Minimal Worker stand-in: records posted tasks, never answers on its own
+class FakeWorker {
+  constructor() {
+    this.listeners = [];
+    this.posted = [];
+    this.terminated = false;
+  }
+  addEventListener(type, fn) { if (type === 'message') this.listeners.push(fn); }
+  removeEventListener(type, fn) { this.listeners = this.listeners.filter(l => l !== fn); }
+  postMessage(message) { this.posted.push(message); }
+  reply(data) { this.listeners.slice().forEach(fn => fn({ data })); }
+  terminate() { this.terminated = true; }
+}
+
+async function withFakeWorkers(fn) {
+  const original = globalThis.Worker;
+  globalThis.Worker = FakeWorker;
+  try {
+    return await fn();
+  } finally {
+    globalThis.Worker = original;
+  }
+}
+
+// Capability class that records lifecycle calls into a shared log
+function createTracked(log, name, dependsOn = []) {
+  return class {
+    constructor() { this.dependsOn = dependsOn; }
+    async init(config) { log.push(`init:${name}`); this.config = config; }
+    async ping() { return name; }
+    async destroy() { log.push(`destroy:${name}`); }
+  };
+}
+
+const NO_BUILT_INS = { storage: false, compute: false, sync: false, workflow: false };
+
+function createEcho() {
+  return {
+    async echo(payload) { return payload; },
+    async fail() { throw new Error('boom'); }
+  };
+}
+
 async function runTests() {
   console.log('\n🧪 CSOP Test Suite v0.2.0\n');
   
@@ -92,5 +161,2059 @@ test('Storage capability registration', async () => {
   if (!storage) throw new Error('Storage not found');
 });
 
+test('Middleware: runs in order around dispatch', async () => {
+  const csop = createRouter({ test: createEcho() });
+  const calls = [];
+  csop.use(async (message, next) => {
+    calls.push('a:before');
+    const response = await next();
+    calls.push('a:after');
+    return response;
+  });
+  csop.use(async (message, next) => {
+    calls.push('b:before');
+    const response = await next();
+    calls.push('b:after');
+    return response;
+  });
+  const res = await csop.dispatch('test.echo', { value: 1 });
+  if (res.status !== 'ok') throw new Error('Dispatch failed');
+  if (calls.join(',') !== 'a:before,b:before,b:after,a:after') throw new Error(`Wrong order: ${calls}`);
+});
+
+test('Middleware: rewrites message and result', async () => {
+  const csop = createRouter({ test: createEcho() });
+  csop.use(async (message, next) => {
+    message.action = 'test.echo';
+    message.payload = { ...message.payload, token: 'abc' };
+    const response = await next();
+    return { ...response, data: { ...response.data, seen: true } };
+  });
+  const res = await csop.dispatch('test.unknown', { value: 1 });
+  if (res.status !== 'ok') throw new Error('Action not rewritten');
+  if (res.data.token !== 'abc' || !res.data.seen) throw new Error('Payload or result not rewritten');
+});
+
+test('Middleware: short-circuits with a response', async () => {
+  const capability = createEcho();
+  let executed = false;
+  capability.echo = async () => { executed = true; };
+  const csop = createRouter({ test: capability });
+  csop.use(async (message) => ({ id: message.id, status: 'ok', data: 'cached', duration: 0 }));
+  const res = await csop.dispatch('test.echo');
+  if (executed) throw new Error('Capability should not run');
+  if (res.data !== 'cached') throw new Error('Short-circuit response not returned');
+});
+
+test('Middleware: errors become error responses', async () => {
+  const csop = createRouter({ test: createEcho() });
+  csop.use(async () => {
+    const error = new Error('Not allowed');
+    error.code = 'UNAUTHORIZED';
+    throw error;
+  });
+  const res = await csop.dispatch('test.echo');
+  if (res.status !== 'error' || res.error.code !== 'UNAUTHORIZED') throw new Error('Error not propagated');
+});
+
+test('Middleware: next() called twice fails', async () => {
+  const csop = createRouter({ test: createEcho() });
+  csop.use(async (message, next) => {
+    await next();
+    return next();
+  });
+  const res = await csop.dispatch('test.echo');
+  if (res.status !== 'error' || res.error.code !== 'MIDDLEWARE_FAILED') throw new Error('Double next() not rejected');
+});
+
+test('Abort: signal aborted before dispatch', async () => {
+  const csop = createRouter({ test: createEcho() });
+  const controller = new AbortController();
+  controller.abort();
+  const res = await csop.dispatch('test.echo', {}, { signal: controller.signal });
+  if (res.error?.code !== 'ABORTED' || res.error.retry) throw new Error('Expected non-retryable ABORTED');
+});
+
+test('Abort: in-flight call receives the signal', async () => {
+  let received;
+  const csop = createRouter({
+    test: {
+      wait(payload, { signal }) {
+        received = signal;
+        return new Promise(() => {});
+      }
+    }
+  });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  const res = await csop.dispatch('test.wait', {}, { signal: controller.signal });
+  if (res.error?.code !== 'ABORTED') throw new Error('Expected ABORTED');
+  if (!received?.aborted) throw new Error('Capability signal not aborted');
+});
+
+test('Abort: stops retries', async () => {
+  let attempts = 0;
+  const controller = new AbortController();
+  const csop = createRouter({
+    test: {
+      async flaky() {
+        attempts++;
+        controller.abort();
+        throw new Error('flaky');
+      }
+    }
+  });
+  const res = await csop.dispatch('test.flaky', {}, { retry: 3, signal: controller.signal });
+  if (attempts !== 1) throw new Error(`Expected 1 attempt, got ${attempts}`);
+  if (res.error?.code !== 'ABORTED') throw new Error('Expected ABORTED');
+});
+
+test('Abort: timeout aborts the capability signal', async () => {
+  let received;
+  const csop = createRouter({
+    test: {
+      wait(payload, { signal }) {
+        received = signal;
+        return new Promise(() => {});
+      }
+    }
+  });
+  const res = await csop.dispatch('test.wait', {}, { timeout: 10 });
+  if (res.error?.message !== 'TIMEOUT') throw new Error('Expected TIMEOUT');
+  if (!received?.aborted) throw new Error('Capability signal not aborted on timeout');
+});
+
+test('Abort: compute drops queued task and respawns busy worker', async () => {
+  await withFakeWorkers(async () => {
+    const compute = new ComputeCapability();
+    await compute.init({ numWorkers: 1 });
+    const running = new AbortController();
+    const queued = new AbortController();
+
+    const first = compute.execute({ task: 'sum', data: {} }, { signal: running.signal });
+    const second = compute.execute({ task: 'sum', data: {} }, { signal: queued.signal });
+    if (compute.queue.length !== 1) throw new Error('Second task should be queued');
+
+    queued.abort();
+    await second.then(() => { throw new Error('Should reject'); }, e => {
+      if (e.code !== 'ABORTED') throw e;
+    });
+    if (compute.queue.length !== 0) throw new Error('Queued task not removed');
+
+    const busyWorker = compute.workers[0].worker;
+    running.abort();
+    await first.then(() => { throw new Error('Should reject'); }, e => {
+      if (e.code !== 'ABORTED') throw e;
+    });
+    if (!busyWorker.terminated) throw new Error('Busy worker not terminated');
+    if (compute.workers[0].worker === busyWorker || compute.workers[0].busy) throw new Error('Worker not respawned');
+    compute.destroy();
+  });
+});
+
+test('Stream: yields progress then final response', async () => {
+  const csop = createRouter({
+    test: {
+      async work(payload, { onProgress }) {
+        onProgress({ step: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        onProgress({ step: 2 });
+        return 'done';
+      }
+    }
+  });
+  const events = [];
+  for await (const event of csop.stream('test.work')) {
+    events.push(event);
+  }
+  if (events.length !== 3) throw new Error(`Expected 3 events, got ${events.length}`);
+  if (events[0].status !== 'progress' || events[1].data.step !== 2) throw new Error('Wrong progress events');
+  if (events[2].status !== 'ok' || events[2].data !== 'done') throw new Error('Wrong final response');
+});
+
+test('Stream: onProgress option on dispatch', async () => {
+  const csop = createRouter({
+    test: { async work(payload, { onProgress }) { onProgress(50); return 'done'; } }
+  });
+  const seen = [];
+  const res = await csop.dispatch('test.work', {}, { onProgress: e => seen.push(e.data) });
+  if (res.status !== 'ok' || seen.join() !== '50') throw new Error('Progress not reported');
+});
+
+test('Stream: compute forwards worker progress messages', async () => {
+  await withFakeWorkers(async () => {
+    const compute = new ComputeCapability();
+    await compute.init({ numWorkers: 1 });
+    const seen = [];
+    const pending = compute.execute({ task: 'custom', data: {} }, { onProgress: p => seen.push(p) });
+    const worker = compute.workers[0].worker;
+    const { id } = worker.posted[0];
+    worker.reply({ id, type: 'progress', progress: 0.5 });
+    if (!compute.workers[0].busy) throw new Error('Progress should not free the worker');
+    worker.reply({ id, success: true, result: 42 });
+    if (await pending !== 42 || seen.join() !== '0.5') throw new Error('Progress not forwarded');
+    compute.destroy();
+  });
+});
+
+test('Validation: schema reports every offending path', () => {
+  const errors = CSPValidator.validateSchema(
+    { name: 5, role: 'guest', tags: ['a', 1], limits: { max: 200 } },
+    {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        name: { type: 'string' },
+        role: { enum: ['admin', 'user'] },
+        tags: { type: 'array', items: { type: 'string' } },
+        limits: { type: 'object', properties: { max: { type: 'integer', maximum: 100 } } }
+      }
+    },
+    'payload'
+  );
+  const paths = errors.map(e => e.path).sort().join(',');
+  if (paths !== 'payload.id,payload.limits.max,payload.name,payload.role,payload.tags[1]') {
+    throw new Error(`Wrong paths: ${paths}`);
+  }
+});
+
+test('Validation: dispatch rejects invalid payload before execution', async () => {
+  const storage = new StorageCapability();
+  let executed = false;
+  storage.save = async () => { executed = true; };
+  const csop = createRouter({ storage });
+  const res = await csop.dispatch('storage.save', { data: 1 }, { retry: 2 });
+  if (executed) throw new Error('Capability should not run');
+  if (res.error?.code !== 'VALIDATION_FAILED' || res.error.retry) throw new Error('Expected non-retryable VALIDATION_FAILED');
+  if (res.error.details.errors[0].path !== 'payload.key') throw new Error('Missing offending path');
+});
+
+test('Lifecycle: register rejects duplicates', () => {
+  const csop = createRouter({ test: createEcho() });
+  try {
+    csop.register('test', createEcho());
+    throw new Error('Should have thrown');
+  } catch (e) {
+    if (!e.message.includes('already registered')) throw e;
+  }
+});
+
+test('Lifecycle: init resolves dependency order and custom classes', async () => {
+  const log = [];
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    capabilities: {
+      app: { class: createTracked(log, 'app'), dependsOn: ['db', 'cache'], config: { x: 1 } },
+      cache: createTracked(log, 'cache', ['db']),
+      db: createTracked(log, 'db')
+    }
+  });
+  if (log.join() !== 'init:db,init:cache,init:app') throw new Error(`Wrong order: ${log}`);
+  if (csop.getCapability('app').config.x !== 1) throw new Error('Config not passed');
+  if (csop.capabilities.has('storage')) throw new Error('Built-in should be disabled');
+});
+
+test('Lifecycle: lazy init on first dispatch', async () => {
+  const log = [];
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    lazy: true,
+    capabilities: {
+      db: createTracked(log, 'db'),
+      app: createTracked(log, 'app', ['db']),
+      other: createTracked(log, 'other')
+    }
+  });
+  if (log.length !== 0) throw new Error('Nothing should be initialized yet');
+  const res = await csop.dispatch('app.ping');
+  if (res.data !== 'app') throw new Error('Dispatch failed');
+  if (log.join() !== 'init:db,init:app') throw new Error(`Wrong init: ${log}`);
+});
+
+test('Lifecycle: circular dependencies are rejected', async () => {
+  const log = [];
+  const csop = new CSOP();
+  try {
+    await csop.init({
+      ...NO_BUILT_INS,
+      capabilities: { a: createTracked(log, 'a', ['b']), b: createTracked(log, 'b', ['a']) }
+    });
+    throw new Error('Should have thrown');
+  } catch (e) {
+    if (!e.message.includes('Circular')) throw e;
+  }
+});
+
+test('Lifecycle: destroy tears down in reverse order', async () => {
+  const log = [];
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    capabilities: { app: createTracked(log, 'app', ['db']), db: createTracked(log, 'db') }
+  });
+  log.length = 0;
+  await csop.destroy();
+  if (log.join() !== 'destroy:app,destroy:db') throw new Error(`Wrong order: ${log}`);
+  if (csop.initialized || csop.capabilities.size !== 0) throw new Error('Router not reset');
+});
+
+test('Lifecycle: unregister destroys and guards dependents', async () => {
+  const log = [];
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    capabilities: { app: createTracked(log, 'app', ['db']), db: createTracked(log, 'db') }
+  });
+  try {
+    await csop.unregister('db');
+    throw new Error('Should have thrown');
+  } catch (e) {
+    if (!e.message.includes('required by app')) throw e;
+  }
+  if (!await csop.unregister('app')) throw new Error('Unregister failed');
+  if (!log.includes('destroy:app') || csop.capabilities.has('app')) throw new Error('App not removed');
+  const res = await csop.dispatch('app.ping');
+  if (res.error?.code !== 'CAPABILITY_NOT_FOUND') throw new Error('App still routable');
+});
+
+test('Manifest: private helpers and lifecycle methods are not routable', async () => {
+  const csop = createRouter({ storage: new StorageCapability() });
+  for (const action of ['storage._addDriver', 'storage.init', 'storage.configureTurso', 'storage.records', 'storage.toString']) {
+    const res = await csop.dispatch(action, { key: 'k' });
+    if (res.error?.code !== 'OPERATION_NOT_FOUND') throw new Error(`${action} should not be routable`);
+  }
+});
+
+test('Manifest: derived for capabilities without one', async () => {
+  const csop = createRouter({ test: { ...createEcho(), _secret() {}, init() {} } });
+  const { operations } = csop.info().catalogue.test;
+  if (Object.keys(operations).sort().join() !== 'echo,fail') throw new Error(`Wrong operations: ${Object.keys(operations)}`);
+  const res = await csop.dispatch('test._secret');
+  if (res.error?.code !== 'OPERATION_NOT_FOUND') throw new Error('Private helper routable');
+});
+
+test('Manifest: info() returns the catalogue', () => {
+  const csop = createRouter({ storage: new StorageCapability(), compute: new ComputeCapability() });
+  const { catalogue } = csop.info();
+  if (!catalogue.storage.operations.save.description) throw new Error('Missing description');
+  if (!catalogue.storage.operations.get.payload.required.includes('key')) throw new Error('Missing payload shape');
+  if (catalogue.compute.defaults.timeout !== 30000) throw new Error('Missing defaults');
+});
+
+test('Manifest: operation defaults apply unless overridden', async () => {
+  const seen = [];
+  const csop = createRouter({
+    test: {
+      manifest: {
+        name: 'test',
+        version: '1.0.0',
+        defaults: { timeout: 1000, retry: 2 },
+        operations: { slow: { description: 'Slow', timeout: 10 } }
+      },
+      slow() { return new Promise(() => {}); }
+    }
+  });
+  csop.use(async (message, next) => {
+    const response = await next();
+    seen.push(message.options);
+    return response;
+  });
+  const res = await csop.dispatch('test.slow', {}, { retry: 0 });
+  if (res.error?.message !== 'TIMEOUT') throw new Error('Operation timeout not applied');
+  if (seen[0].timeout !== 10 || seen[0].retry !== 0) throw new Error('Wrong effective options');
+});
+
+async function withChannel(csop, fn, clientOptions) {
+  const { port1, port2 } = new MessageChannel();
+  const server = csop ? serve(csop, port1) : null;
+  const client = new CSOPClient(port2, clientOptions);
+  try {
+    return await fn(client);
+  } finally {
+    client.close();
+    if (server) server.close();
+    port1.close();
+    port2.close();
+  }
+}
+
+test('Transport: dispatch over MessageChannel', async () => {
+  const csop = createRouter({ test: createEcho() });
+  await withChannel(csop, async (client) => {
+    const [ok, failed] = await Promise.all([
+      client.dispatch('test.echo', { value: 42 }),
+      client.dispatch('test.fail')
+    ]);
+    if (ok.status !== 'ok' || ok.data.value !== 42) throw new Error('Wrong response');
+    if (failed.status !== 'error' || failed.error.message !== 'boom') throw new Error('Error not carried');
+  });
+});
+
+test('Transport: abort, progress and callbacks cross the boundary', async () => {
+  let callback;
+  const csop = createRouter({
+    test: {
+      async work(payload, { onProgress }) { onProgress(1); return 'done'; },
+      wait() { return new Promise(() => {}); },
+      async listen({ callback: cb }) { callback = cb; return true; }
+    }
+  });
+  await withChannel(csop, async (client) => {
+    const progress = [];
+    const res = await client.dispatch('test.work', {}, { onProgress: e => progress.push(e.data) });
+    if (res.data !== 'done' || progress.join() !== '1') throw new Error('Progress not forwarded');
+
+    const controller = new AbortController();
+    const pending = client.dispatch('test.wait', {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    if ((await pending).error?.code !== 'ABORTED') throw new Error('Abort not forwarded');
+
+    const received = new Promise(resolve => client.dispatch('test.listen', { callback: resolve }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    callback({ event: 'ping' });
+    if ((await received).event !== 'ping') throw new Error('Callback not invoked');
+  });
+});
+
+test('Transport: the client forgets callbacks nothing holds any more', async () => {
+  const csop = createRouter({
+    test: {
+      async listen() { return true; },
+      async fail() { throw new Error('boom'); }
+    }
+  });
+  await withChannel(csop, async (client) => {
+    await client.dispatch('test.fail', { callback: () => {} });
+    if (client.callbacks.size !== 0) throw new Error('Callback of a failed call kept');
+
+    await client.dispatch('test.listen', { callback: () => {} });
+    if (client.callbacks.size !== 1) throw new Error('Callback of a subscription dropped');
+    // Sent by the server once the capability let go of it
+    client._handleMessage({ type: 'csop:release', callbackId: Array.from(client.callbacks.keys())[0] });
+    if (client.callbacks.size !== 0) throw new Error('Released callback kept');
+  });
+
+  await withChannel(null, async (client) => {
+    await client.dispatch('test.listen', { callback: () => {} });
+    if (client.callbacks.size !== 0) throw new Error('Callback of a timed-out call kept');
+  }, { timeout: 20 });
+});
+
+test('Transport: client times out without a server', async () => {
+  await withChannel(null, async (client) => {
+    const res = await client.dispatch('test.echo');
+    if (res.error?.code !== 'TRANSPORT_TIMEOUT') throw new Error('Expected TRANSPORT_TIMEOUT');
+  }, { timeout: 20 });
+});
+
+test('Transport: client deadline follows the retry policy', async () => {
+  await withChannel(null, async (client) => {
+    if (client._deadline({ timeout: 100, retry: 2 }) !== 300 + 300 + 1000) throw new Error('Retry count deadline changed');
+    const deadline = client._deadline({ timeout: 100, retry: { maxAttempts: 3, baseDelay: 50, maxDelay: 80 } });
+    if (deadline !== 300 + 50 + 80 + 1000) throw new Error(`Wrong deadline for a policy: ${deadline}`);
+  });
+});
+
+test('Transport: thrown dispatch errors are rethrown', async () => {
+  const csop = new CSOP();
+  await withChannel(csop, async (client) => {
+    try {
+      await client.dispatch('test.echo');
+      throw new Error('Should have thrown');
+    } catch (e) {
+      if (!e.message.includes('not initialized')) throw e;
+    }
+  });
+});
+
+// Capability class counting calls per instance, with a subscribable feed
+function createFeed() {
+  return class {
+    constructor() { this.calls = 0; this.listeners = []; this.initialized = false; }
+    async init() { this.initialized = true; }
+    async ping() { this.calls++; return 'pong'; }
+    async listen({ callback }) { this.listeners.push(callback); return true; }
+    async emit({ value }) { this.listeners.forEach(cb => cb(value)); return this.listeners.length; }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('Multi-tab: one leader, followers forward calls and receive callbacks', async () => {
+  const config = {
+    ...NO_BUILT_INS,
+    capabilities: { feed: createFeed() },
+    multiTab: { name: 'csop-test-a', heartbeat: 20, timeout: 60, locks: null }
+  };
+  const leader = new CSOP();
+  await leader.init(config);
+  const follower = new CSOP();
+  await follower.init(config);
+  try {
+    if (!leader.info().tab.leader || follower.info().tab.leader) throw new Error('Expected exactly one leader');
+    if (follower.getCapability('feed').initialized) throw new Error('Follower should not initialize capabilities');
+
+    const res = await follower.dispatch('feed.ping');
+    if (res.data !== 'pong' || leader.getCapability('feed').calls !== 1) throw new Error('Call not forwarded');
+
+    const received = [];
+    await follower.dispatch('feed.listen', { callback: v => received.push(v) });
+    await leader.dispatch('feed.emit', { value: 7 });
+    await sleep(20);
+    if (received.join() !== '7') throw new Error('Callback did not reach the follower');
+  } finally {
+    await follower.destroy();
+    await leader.destroy();
+  }
+});
+
+test('Multi-tab: follower takes over and restores subscriptions', async () => {
+  const config = {
+    ...NO_BUILT_INS,
+    capabilities: { feed: createFeed() },
+    multiTab: { name: 'csop-test-b', heartbeat: 20, timeout: 60, locks: null }
+  };
+  const leader = new CSOP();
+  await leader.init(config);
+  const follower = new CSOP();
+  await follower.init(config);
+  try {
+    const received = [];
+    await follower.dispatch('feed.listen', { callback: v => received.push(v) });
+    await leader.destroy();
+    await sleep(100);
+
+    if (!follower.info().tab.leader) throw new Error('Follower not elected');
+    if (!follower.getCapability('feed').initialized) throw new Error('New leader not initialized');
+    await follower.dispatch('feed.emit', { value: 'after' });
+    if (received.join() !== 'after') throw new Error('Subscription not restored');
+  } finally {
+    await follower.destroy();
+  }
+});
+
+// Storage capability on a memory driver that counts (slow) reads
+async function createMemoryStorage() {
+  const storage = new StorageCapability();
+  const driver = new MemoryBackend();
+  const read = driver.get.bind(driver);
+  storage.reads = 0;
+  driver.get = async (key, signal) => { storage.reads++; await sleep(5); return read(key, signal); };
+  await storage.init({ drivers: [driver] });
+  return storage;
+}
+
+test('Cache: identical in-flight calls are deduplicated', async () => {
+  const storage = await createMemoryStorage();
+  const csop = createRouter({ storage });
+  await csop.dispatch('storage.save', { key: 'a', data: 1 });
+  const [first, second, other] = await Promise.all([
+    csop.dispatch('storage.get', { key: 'a' }),
+    csop.dispatch('storage.get', { key: 'a' }),
+    csop.dispatch('storage.get', { key: 'a' }, { cache: false })
+  ]);
+  if (storage.reads !== 2) throw new Error(`Expected 2 reads, got ${storage.reads}`);
+  if (first.id === second.id || !second.cached || second.data !== 1 || other.cached) throw new Error('Wrong deduped responses');
+});
+
+test('Cache: every caller gets its own copy of the data', async () => {
+  const storage = await createMemoryStorage();
+  const csop = createRouter({ storage });
+  csop.cache.setPolicy('storage.get', { ttl: 1000 });
+  await csop.dispatch('storage.save', { key: 'a', data: { items: [1] } });
+  const [first, second] = await Promise.all([
+    csop.dispatch('storage.get', { key: 'a' }),
+    csop.dispatch('storage.get', { key: 'a' })
+  ]);
+  first.data.items.push(2);
+  if (second.data.items.length !== 1) throw new Error('Deduped response shares its data');
+  const hit = await csop.dispatch('storage.get', { key: 'a' });
+  hit.data.items.push(3);
+  const again = await csop.dispatch('storage.get', { key: 'a' });
+  if (!again.cached || again.data.items.length !== 1) throw new Error('Cached response shares its data');
+});
+
+test('Cache: TTL keeps results and writes invalidate them', async () => {
+  const storage = await createMemoryStorage();
+  const csop = createRouter({ storage });
+  csop.cache.setPolicy('storage.get', { ttl: 1000 });
+  await csop.dispatch('storage.save', { key: 'a', data: 1 });
+  await csop.dispatch('storage.get', { key: 'a' });
+  const hit = await csop.dispatch('storage.get', { key: 'a' });
+  if (!hit.cached || storage.reads !== 1) throw new Error('Expected a cache hit');
+  if (csop.cache.inspect().entries[0].hits !== 1) throw new Error('Wrong inspect output');
+
+  await csop.dispatch('storage.save', { key: 'b', data: 2 });
+  if (csop.cache.inspect().entries.length !== 1) throw new Error('Unrelated key invalidated');
+  await csop.dispatch('storage.save', { key: 'a', data: 3 });
+  const fresh = await csop.dispatch('storage.get', { key: 'a' });
+  if (fresh.cached || fresh.data !== 3) throw new Error('Stale data served after save');
+
+  csop.cache.clear();
+  if (csop.cache.inspect().entries.length !== 0) throw new Error('Cache not cleared');
+});
+
+// Capability failing with the given error code until told otherwise
+function createFlaky(code) {
+  return {
+    attempts: 0,
+    healthy: false,
+    async call() {
+      this.attempts++;
+      if (this.healthy) return 'ok';
+      const error = new Error('flaky');
+      error.code = code;
+      throw error;
+    }
+  };
+}
+
+test('Retry: non-retryable errors are not retried', async () => {
+  const flaky = createFlaky('KEY_NOT_FOUND');
+  const csop = createRouter({ test: flaky });
+  const res = await csop.dispatch('test.call', {}, { retry: 3 });
+  if (flaky.attempts !== 1 || res.error.retry) throw new Error(`Expected 1 attempt, got ${flaky.attempts}`);
+});
+
+test('Retry: DOMException names are codes, clone errors are not retried', async () => {
+  let attempts = 0;
+  const csop = createRouter({
+    test: { async call() { attempts++; throw new DOMException('could not be cloned', 'DataCloneError'); } }
+  });
+  const res = await csop.dispatch('test.call', {}, { retry: { maxAttempts: 3, baseDelay: 1 } });
+  if (res.error.code !== 'DataCloneError' || res.error.retry) throw new Error(`Wrong error: ${JSON.stringify(res.error)}`);
+  if (attempts !== 1) throw new Error(`Expected 1 attempt, got ${attempts}`);
+});
+
+test('Retry: per-action policy with error predicate', async () => {
+  const flaky = createFlaky('NETWORK');
+  const csop = createRouter({ test: flaky });
+  csop.setRetryPolicy('test', { maxAttempts: 5, baseDelay: 1 });
+  csop.setRetryPolicy('test.call', { maxAttempts: 3, baseDelay: 1, retryOn: ['NETWORK'] });
+  await csop.dispatch('test.call');
+  if (flaky.attempts !== 3) throw new Error(`Expected 3 attempts, got ${flaky.attempts}`);
+
+  flaky.attempts = 0;
+  await csop.dispatch('test.call', {}, { retry: { maxAttempts: 4, baseDelay: 1, retryOn: ['TIMEOUT'] } });
+  if (flaky.attempts !== 1) throw new Error('Predicate ignored');
+});
+
+test('Retry: backoff honours max delay and jitter', () => {
+  const policy = normalizeRetryPolicy({ baseDelay: 100, maxDelay: 250, jitter: 0.5 });
+  for (let i = 0; i < 20; i++) {
+    const wait = backoffDelay(policy, 3);
+    if (wait < 125 || wait > 250) throw new Error(`Delay out of range: ${wait}`);
+  }
+  if (backoffDelay(normalizeRetryPolicy(2), 1) !== 200) throw new Error('Default backoff changed');
+});
+
+test('Circuit breaker: opens, fails fast, then half-opens after cooldown', async () => {
+  const flaky = createFlaky('NETWORK');
+  const csop = createRouter({ test: flaky });
+  const changes = [];
+  csop.on('circuit:change', change => changes.push(`${change.domain}:${change.state}`));
+  csop.setCircuitBreaker('test', { failureThreshold: 2, cooldown: 20 });
+
+  await csop.dispatch('test.call');
+  await csop.dispatch('test.call');
+  const blocked = await csop.dispatch('test.call');
+  if (blocked.error?.code !== 'CIRCUIT_OPEN' || flaky.attempts !== 2) throw new Error('Circuit should be open');
+
+  await sleep(30);
+  flaky.healthy = true;
+  const trial = await csop.dispatch('test.call');
+  if (trial.status !== 'ok') throw new Error('Trial call should pass');
+  if (changes.join() !== 'test:open,test:half-open,test:closed') throw new Error(`Wrong transitions: ${changes}`);
+});
+
+test('Circuit breaker: a trial ending in another error leaves it half-open', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 0 });
+  const failure = { status: 'error', error: { code: 'NETWORK', retry: true } };
+  if (breaker.cooldown !== 0) throw new Error('Explicit cooldown of 0 ignored');
+
+  breaker.allow();
+  breaker.record(failure);
+  if (!breaker.allow() || breaker.state !== 'half-open') throw new Error('Trial not allowed after cooldown');
+  breaker.record({ status: 'error', error: { code: 'ABORTED', retry: false } });
+  if (breaker.state !== 'half-open') throw new Error('Aborted trial closed the circuit');
+
+  if (!breaker.allow()) throw new Error('Next trial refused');
+  breaker.record(failure);
+  if (breaker.state !== 'open') throw new Error('Failed trial should open the circuit');
+  breaker.allow();
+  breaker.record({ status: 'ok' });
+  if (breaker.state !== 'closed') throw new Error('Successful trial should close the circuit');
+});
+
+function createNetwork(online) {
+  const listeners = [];
+  return {
+    online,
+    isOnline() { return this.online; },
+    onOnline(fn) { listeners.push(fn); return () => listeners.splice(listeners.indexOf(fn), 1); },
+    reconnect() { this.online = true; listeners.forEach(fn => fn()); }
+  };
+}
+
+async function createOfflineRouter(capability, outbox) {
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    capabilities: { remote: class { constructor() { return capability; } } },
+    outbox: { store: new MemoryOutboxStore(), retryDelay: 5, ...outbox }
+  });
+  return csop;
+}
+
+test('Outbox: offline calls are queued and replayed in order', async () => {
+  const sent = [];
+  const network = createNetwork(false);
+  const csop = await createOfflineRouter({ async send({ n }) { sent.push(n); return n; } }, { network });
+  const states = [];
+  csop.on('outbox:change', state => states.push(state));
+
+  const queued = await csop.dispatch('remote.send', { n: 1 }, { queueIfOffline: true });
+  await csop.dispatch('remote.send', { n: 2 }, { queueIfOffline: true });
+  if (queued.status !== 'queued' || queued.data.pending !== 1) throw new Error('Call should be queued');
+  if (csop.outbox.getState().pending !== 2 || sent.length !== 0) throw new Error('Nothing should be sent offline');
+
+  const direct = await csop.dispatch('remote.send', { n: 0 });
+  if (direct.status !== 'ok') throw new Error('Calls without queueIfOffline still run');
+
+  network.reconnect();
+  await csop.outbox.replay();
+  if (sent.join() !== '0,1,2') throw new Error(`Wrong replay order: ${sent}`);
+  if (csop.outbox.getState().pending !== 0) throw new Error('Queue should be drained');
+  if (!states.some(state => state.replaying && state.progress?.total === 2)) throw new Error('Progress not reported');
+  await csop.destroy();
+});
+
+test('Outbox: failures keep order, then dead-letter after max attempts', async () => {
+  const flaky = createFlaky('NETWORK');
+  const sent = [];
+  const network = createNetwork(false);
+  const csop = await createOfflineRouter({
+    call: (payload) => flaky.call(payload),
+    async send({ n }) { sent.push(n); return n; }
+  }, { network, maxAttempts: 2 });
+
+  await csop.dispatch('remote.call', {}, { queueIfOffline: true });
+  await csop.dispatch('remote.send', { n: 1 }, { queueIfOffline: true });
+
+  network.reconnect();
+  await csop.outbox.replay();
+  if (sent.length !== 0) throw new Error('Later messages must wait for the failing one');
+  if (csop.outbox.getState().lastError?.code !== 'NETWORK') throw new Error('Failure not reported');
+
+  await sleep(20);
+  await csop.outbox.replay();
+  const dead = await csop.outbox.deadLetters();
+  if (dead.length !== 1 || dead[0].attempts !== 2) throw new Error('Message should be dead-lettered');
+  if (sent.join() !== '1' || csop.outbox.getState().deadLetters !== 1) throw new Error('Queue should move on');
+  await csop.destroy();
+});
+
+test('Outbox: online calls queue behind a backlog, and the outbox is opt-in', async () => {
+  const flaky = createFlaky('NETWORK');
+  const sent = [];
+  const network = createNetwork(false);
+  const csop = await createOfflineRouter({
+    call: (payload) => flaky.call(payload),
+    async send({ n }) { sent.push(n); return n; }
+  }, { network, retryDelay: 20 });
+
+  await csop.dispatch('remote.call', {}, { queueIfOffline: true });
+  network.reconnect();
+  await csop.outbox.replay();
+  if (csop.outbox.getState().pending !== 1) throw new Error('Failed call should stay queued');
+
+  // Online, but the failed call is still waiting for its retry
+  const later = await csop.dispatch('remote.send', { n: 1 }, { queueIfOffline: true });
+  if (later.status !== 'queued' || sent.length !== 0) throw new Error('Call overtook the backlog');
+
+  flaky.healthy = true;
+  await sleep(40);
+  await csop.outbox.replay();
+  if (sent.join() !== '1' || csop.outbox.getState().pending !== 0) throw new Error('Backlog not drained in order');
+  const direct = await csop.dispatch('remote.send', { n: 2 }, { queueIfOffline: true });
+  if (direct.status !== 'ok') throw new Error('Call without a backlog should run');
+  await csop.destroy();
+
+  const plain = new CSOP();
+  await plain.init({ ...NO_BUILT_INS, logger: false });
+  if (plain.outbox !== null) throw new Error('Outbox created without being configured');
+  await plain.destroy();
+});
+
+test('Outbox: the leader tab replays calls a follower queued', async () => {
+  const sent = [];
+  const network = createNetwork(false);
+  const config = {
+    ...NO_BUILT_INS,
+    logger: false,
+    capabilities: { remote: class { async send({ n }) { sent.push(n); return n; } } },
+    outbox: { store: new MemoryOutboxStore(), network, retryDelay: 5 },
+    multiTab: { name: 'csop-test-outbox', heartbeat: 20, timeout: 60, locks: null }
+  };
+  const leader = new CSOP();
+  await leader.init(config);
+  const follower = new CSOP();
+  await follower.init(config);
+  try {
+    const offline = await follower.dispatch('remote.send', { n: 1 }, { queueIfOffline: true });
+    if (offline.status !== 'queued') throw new Error('Offline call should be queued');
+
+    // Back online without an online event: the follower's next call queues
+    // behind the first and wakes the leader up
+    network.online = true;
+    const behind = await follower.dispatch('remote.send', { n: 2 }, { queueIfOffline: true });
+    if (behind.status !== 'queued') throw new Error('Call overtook the backlog');
+    await sleep(50);
+    if (sent.join() !== '1,2') throw new Error(`Follower calls not replayed: ${sent}`);
+    if (follower.outbox.getState().pending !== 0) throw new Error('Follower still sees a backlog');
+
+    const direct = await follower.dispatch('remote.send', { n: 3 }, { queueIfOffline: true });
+    if (direct.status !== 'ok' || sent.join() !== '1,2,3') throw new Error('Call without a backlog should run');
+  } finally {
+    await follower.destroy();
+    await leader.destroy();
+  }
+});
+
+function createGate() {
+  const started = [];
+  const gates = [];
+  return {
+    started,
+    open() { gates.splice(0).forEach(resolve => resolve()); },
+    async work({ n }) {
+      started.push(n);
+      await new Promise(resolve => gates.push(resolve));
+      return n;
+    }
+  };
+}
+
+test('Scheduler: concurrency limit queues by priority', async () => {
+  const gate = createGate();
+  const csop = createRouter({ test: gate });
+  csop.setLimit('test', { concurrency: 1 });
+
+  const calls = [
+    csop.dispatch('test.work', { n: 1 }),
+    csop.dispatch('test.work', { n: 2 }, { priority: 'low' }),
+    csop.dispatch('test.work', { n: 3 }, { priority: 'high' })
+  ];
+  await sleep(5);
+  const depth = csop.getQueueStats().test;
+  if (depth.active !== 1 || depth.queued !== 2) throw new Error(`Wrong depth: ${JSON.stringify(depth)}`);
+
+  for (let i = 0; i < 3; i++) {
+    gate.open();
+    await sleep(5);
+  }
+  await Promise.all(calls);
+  if (gate.started.join() !== '1,3,2') throw new Error(`Wrong order: ${gate.started}`);
+});
+
+test('Scheduler: queued time counts toward the timeout', async () => {
+  const gate = createGate();
+  const csop = createRouter({ test: gate });
+  csop.setLimit('test.work', { concurrency: 1 });
+
+  const first = csop.dispatch('test.work', { n: 1 });
+  const queued = await csop.dispatch('test.work', { n: 2 }, { timeout: 20 });
+  if (queued.error?.code !== 'QUEUE_TIMEOUT') throw new Error('Queued call should time out');
+  if (csop.getQueueStats()['test.work'].queued !== 0) throw new Error('Timed out call still queued');
+  gate.open();
+  await first;
+});
+
+test('Scheduler: token bucket limits the start rate', async () => {
+  const csop = createRouter({ test: createEcho() });
+  csop.setLimit('test', { rate: 2, interval: 50 });
+
+  const start = Date.now();
+  await Promise.all([1, 2, 3, 4].map(n => csop.dispatch('test.echo', { n })));
+  const elapsed = Date.now() - start;
+  if (elapsed < 40) throw new Error(`Rate not enforced (${elapsed}ms)`);
+});
+
+test('Logger: levels filter and custom sinks receive output', async () => {
+  const lines = [];
+  const csop = new CSOP();
+  await csop.init({
+    ...NO_BUILT_INS,
+    capabilities: { db: createTracked([], 'db') },
+    logger: (level, message) => lines.push(`${level}:${message}`),
+    logLevel: 'warn'
+  });
+  await csop.dispatch('db.missing');
+  if (lines.some(line => line.startsWith('info:'))) throw new Error('Info should be filtered');
+
+  csop.setLogger((level, message) => lines.push(`${level}:${message}`), 'debug');
+  await csop.dispatch('db.ping');
+  if (!lines.some(line => line.startsWith('debug:📤 Dispatching: db.ping'))) throw new Error('Debug not logged');
+
+  csop.setLogger(false);
+  lines.length = 0;
+  await csop.dispatch('db.ping');
+  if (lines.length !== 0) throw new Error('Logger should be silent');
+});
+
+test('Events: dispatch lifecycle and capability registration', async () => {
+  const csop = createRouter({ test: createFlaky('NETWORK') });
+  const events = [];
+  csop.on('*', (name, data) => events.push({ name, data }));
+
+  csop.register('extra', createEcho());
+  await csop.dispatch('test.call', {}, { retry: { maxAttempts: 2, baseDelay: 1 } });
+
+  const names = events.map(event => event.name).join();
+  if (names !== 'capability:registered,dispatch:start,dispatch:retry,dispatch:error') {
+    throw new Error(`Wrong events: ${names}`);
+  }
+  const retry = events[2].data;
+  if (retry.attempt !== 1 || retry.error.code !== 'NETWORK') throw new Error('Retry event incomplete');
+  if (typeof events[3].data.duration !== 'number') throw new Error('Missing duration');
+});
+
+test('Metrics: counts, error rates, percentiles and OTLP spans', async () => {
+  const csop = createRouter({ test: createEcho() });
+  for (let i = 0; i < 9; i++) await csop.dispatch('test.echo', { i });
+  await csop.dispatch('test.fail');
+
+  const echo = csop.metrics.snapshot('test.echo');
+  if (echo.count !== 9 || echo.errorRate !== 0 || echo.p99 === null) throw new Error('Wrong echo stats');
+  if (csop.metrics.snapshot()['test.fail'].errorRate !== 1) throw new Error('Wrong error rate');
+
+  const { resourceSpans } = csop.metrics.exportSpans({ clear: true });
+  const spans = resourceSpans[0].scopeSpans[0].spans;
+  const failed = spans.find(span => span.name === 'test.fail');
+  if (spans.length !== 10 || failed.status.code !== 2) throw new Error('Wrong spans');
+  if (!/^[0-9a-f]{32}$/.test(failed.traceId) || !/^[0-9a-f]{16}$/.test(failed.spanId)) throw new Error('Bad ids');
+  if (BigInt(failed.endTimeUnixNano) < BigInt(failed.startTimeUnixNano)) throw new Error('Bad timestamps');
+  if (csop.metrics.exportSpans().resourceSpans[0].scopeSpans[0].spans.length !== 0) throw new Error('Spans not cleared');
+});
+
+function createLedger() {
+  const records = new Map();
+  return {
+    records,
+    async save({ key, value }) { records.set(key, value); return { key }; },
+    async remove({ key }) { records.delete(key); return true; },
+    async hash({ text }) { return { hash: `h:${text}` }; },
+    async publish() { throw new Error('backend down'); }
+  };
+}
+
+test('Transaction: steps reference earlier results', async () => {
+  const ledger = createLedger();
+  const csop = createRouter({ db: ledger });
+
+  const res = await csop.transaction([
+    { name: 'hash', action: 'db.hash', payload: { text: 'doc' } },
+    { name: 'save', action: 'db.save', payload: { key: 'doc', value: { $ref: 'hash.hash' } } },
+    { action: 'db.save', payload: (results) => ({ key: `${results.save.key}:copy`, value: results.hash.hash }) }
+  ]);
+
+  if (res.status !== 'ok') throw new Error(res.error?.message);
+  if (ledger.records.get('doc') !== 'h:doc' || ledger.records.get('doc:copy') !== 'h:doc') throw new Error('Refs not resolved');
+  if (res.data.steps.map(step => step.status).join() !== 'ok,ok,ok') throw new Error('Wrong step status');
+});
+
+test('Transaction: failure compensates completed steps in reverse', async () => {
+  const ledger = createLedger();
+  const csop = createRouter({ db: ledger });
+  const order = [];
+  csop.on('dispatch:start', ({ action }) => order.push(action));
+
+  const res = await csop.transaction([
+    { name: 'a', action: 'db.save', payload: { key: 'a', value: 1 }, compensate: 'db.remove' },
+    { name: 'b', action: 'db.save', payload: { key: 'b', value: 2 }, compensate: { action: 'db.remove', payload: { key: { $ref: 'b.key' } } } },
+    { name: 'publish', action: 'db.publish' },
+    { name: 'never', action: 'db.hash', payload: { text: 'x' } }
+  ]);
+
+  if (res.error?.code !== 'TRANSACTION_FAILED' || res.error.details.failedStep !== 'publish') throw new Error('Wrong error');
+  const statuses = res.error.details.steps.map(step => step.status).join();
+  if (statuses !== 'compensated,compensated,failed,skipped') throw new Error(`Wrong statuses: ${statuses}`);
+  if (ledger.records.size !== 0) throw new Error('Saves not undone');
+  if (order.join() !== 'db.save,db.save,db.publish,db.remove,db.remove') throw new Error(`Wrong order: ${order}`);
+});
+
+test('Transaction: failed compensation is reported and not retryable', async () => {
+  const csop = createRouter({ db: createLedger() });
+  const res = await csop.transaction([
+    { action: 'db.save', payload: { key: 'a' }, compensate: 'db.publish' },
+    { action: 'db.publish' }
+  ]);
+  if (res.error?.code !== 'COMPENSATION_FAILED' || res.error.retry) throw new Error('Should be COMPENSATION_FAILED');
+  if (res.error.details.steps[0].compensation.error.message !== 'backend down') throw new Error('Missing compensation error');
+
+  const invalid = await csop.transaction([{ action: 'db.save', payload: { key: { $ref: 'nope.key' } } }]);
+  if (invalid.error?.details.steps[0].error.code !== 'INVALID_REFERENCE') throw new Error('Bad reference not reported');
+});
+
+function createWorkflowRouter(capabilities) {
+  const csop = createRouter(capabilities);
+  csop.register('workflow', new WorkflowCapability(), { initialize: true });
+  return csop;
+}
+
+function createSteps(calls) {
+  const overlap = async (steps) => {
+    steps.running++;
+    steps.maxRunning = Math.max(steps.maxRunning, steps.running);
+    await sleep(10);
+    steps.running--;
+  };
+  return {
+    running: 0,
+    maxRunning: 0,
+    async double({ n }) { calls.push('double'); await overlap(this); return n * 2; },
+    async square({ n }) { calls.push('square'); await overlap(this); return n * n; },
+    async sum({ values }) { calls.push('sum'); return values.reduce((a, b) => a + b, 0); },
+    async big() { calls.push('big'); return 'big'; },
+    async small() { calls.push('small'); return 'small'; }
+  };
+}
+
+test('Workflow: parallel branches, conditional edges and output mapping', async () => {
+  const calls = [];
+  const math = createSteps(calls);
+  const csop = createWorkflowRouter({ math, storage: await createMemoryStorage() });
+
+  await csop.dispatch('workflow.define', {
+    name: 'calc',
+    nodes: {
+      double: { action: 'math.double', input: { n: { $ref: 'input.n' } } },
+      square: { action: 'math.square', input: { n: { $ref: 'input.n' } } },
+      sum: { action: 'math.sum', input: { values: [{ $ref: 'double' }, { $ref: 'square' }] } },
+      big: { action: 'math.big' },
+      small: { action: 'math.small' }
+    },
+    edges: [
+      { from: 'double', to: 'sum' },
+      { from: 'square', to: 'sum' },
+      { from: 'sum', to: 'big', when: { ref: 'sum', gt: 10 } },
+      { from: 'sum', to: 'small', when: { ref: 'sum', lte: 10 } }
+    ],
+    output: { total: { $ref: 'sum' } }
+  });
+
+  const res = await csop.dispatch('workflow.run', { workflow: 'calc', input: { n: 3 } });
+  if (res.status !== 'ok') throw new Error(res.error?.message);
+  if (math.maxRunning !== 2) throw new Error('Branches should run in parallel');
+  if (res.data.output.total !== 15 || res.data.status !== 'completed') throw new Error('Wrong output');
+  if (res.data.nodes.small.status !== 'skipped' || calls.includes('small')) throw new Error('Condition ignored');
+
+  const status = await csop.dispatch('workflow.status', { runId: res.data.runId });
+  if (status.data.nodes.big.data !== 'big') throw new Error('Status incomplete');
+
+  const cyclic = await csop.dispatch('workflow.define', {
+    name: 'loop', nodes: { a: { action: 'math.big' }, b: { action: 'math.big' } },
+    edges: [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }]
+  });
+  if (cyclic.error?.code !== 'VALIDATION_FAILED') throw new Error('Cycle not rejected');
+});
+
+test('Workflow: checkpointed run resumes after a reload', async () => {
+  const storage = await createMemoryStorage();
+  const calls = [];
+  const flaky = createFlaky('NETWORK');
+  const definition = {
+    name: 'publish',
+    nodes: {
+      double: { action: 'math.double', input: { n: 2 } },
+      publish: { action: 'remote.call', input: { value: { $ref: 'double' } } }
+    },
+    edges: [{ from: 'double', to: 'publish' }]
+  };
+
+  const first = createWorkflowRouter({ math: createSteps(calls), remote: flaky, storage });
+  const failed = await first.dispatch('workflow.run', { workflow: definition });
+  if (failed.error?.code !== 'WORKFLOW_FAILED' || failed.error.retry) throw new Error('Run should fail');
+  const { runId } = failed.error.details;
+  if ((await storage.records('workflow').ids()).join() !== runId) throw new Error('Failed run not checkpointed');
+
+  // "Reload": a new router sharing the same storage
+  flaky.healthy = true;
+  const second = createWorkflowRouter({ math: createSteps(calls), remote: flaky, storage });
+  const resumed = await second.dispatch('workflow.resume', {});
+  if (resumed.data.runs.length !== 1 || resumed.data.runs[0].status !== 'completed') throw new Error('Run not resumed');
+  if (calls.join() !== 'double') throw new Error(`Completed nodes re-ran: ${calls}`);
+
+  const status = await second.dispatch('workflow.status', { runId });
+  if (status.data.output.publish !== 'ok') throw new Error('Checkpoint not updated');
+
+  // Checkpoints are reserved records, dropped with the run's write queue once it completes
+  if ((await storage.records('workflow').ids()).length !== 0) throw new Error('Completed run checkpoint kept');
+  if (second.getCapability('workflow').saving.size !== 0) throw new Error('Checkpoint queue not pruned');
+  const listed = await second.dispatch('storage.list', {});
+  if (listed.data.length !== 0) throw new Error(`Checkpoints listed as keys: ${listed.data}`);
+
+  // The storage dependency is dropped when storage is turned off
+  const memoryOnly = new CSOP();
+  await memoryOnly.init({ ...NO_BUILT_INS, workflow: {}, logger: false });
+  const defined = await memoryOnly.dispatch('workflow.define', { name: 'noop', nodes: { only: { action: 'workflow.status' } } });
+  if (defined.status !== 'ok') throw new Error('Workflow without storage not usable');
+  await memoryOnly.destroy();
+});
+
+test('Runtime: file system storage persists across instances', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'csop-'));
+  try {
+    const config = { ...NO_BUILT_INS, storage: { path }, outbox: false };
+    const first = new CSOP();
+    await first.init(config);
+    const saved = await first.dispatch('storage.save', { key: 'user/1', data: { name: 'Ada' } });
+    if (saved.data.location !== 'filesystem') throw new Error(`Wrong backend: ${saved.data.location}`);
+    await first.destroy();
+
+    const second = new CSOP();
+    await second.init(config);
+    const loaded = await second.dispatch('storage.get', { key: 'user/1' });
+    if (loaded.data.name !== 'Ada') throw new Error('Data not persisted');
+    const listed = await second.dispatch('storage.list', {});
+    if (!JSON.stringify(listed.data).includes('user/1')) throw new Error('Key not listed');
+
+    // Keys too long for a file name are hashed; concurrent writes use their own temporary files
+    const long = 'é'.repeat(255);
+    const writes = await Promise.all([1, 2, 3].map(n => second.dispatch('storage.save', { key: long, data: { n } })));
+    if (writes.some(write => write.status !== 'ok')) throw new Error(`Long key not saved: ${JSON.stringify(writes[0].error)}`);
+    if (![1, 2, 3].includes((await second.dispatch('storage.get', { key: long }, { cache: false })).data.n)) throw new Error('Long key not read');
+    if (!(await second.dispatch('storage.list', {})).data.includes(long)) throw new Error('Long key not listed');
+    if ((await readdir(path)).some(file => file.endsWith('.tmp') || file.length > 255)) throw new Error('Bad file left behind');
+    await second.dispatch('storage.delete', { key: long });
+    if ((await second.dispatch('storage.list', {})).data.includes(long)) throw new Error('Long key not deleted');
+
+    // Keys differing only in case get names that differ in any case
+    await second.dispatch('storage.save', { key: 'User', data: 'upper' });
+    await second.dispatch('storage.save', { key: 'user', data: 'lower' });
+    const names = (await readdir(path)).map(file => file.toLowerCase());
+    if (new Set(names).size !== names.length) throw new Error(`File names collide without case: ${names}`);
+    if ((await second.dispatch('storage.get', { key: 'User' })).data !== 'upper') throw new Error('Upper-case key overwritten');
+    const keys = (await second.dispatch('storage.list', {})).data;
+    if (!keys.includes('User') || !keys.includes('user')) throw new Error(`Keys not listed: ${keys}`);
+    await second.destroy();
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('Runtime: compute runs on worker_threads', async () => {
+  const csop = new CSOP();
+  await csop.init({ ...NO_BUILT_INS, compute: { numWorkers: 1, workers: 'node' }, outbox: false });
+  try {
+    const result = await csop.dispatch('compute.execute', { task: 'fibonacci', data: { n: 10 } });
+    if (result.data !== 55) throw new Error(`Wrong result: ${JSON.stringify(result)}`);
+    const custom = await csop.dispatch('compute.execute', {
+      task: 'custom',
+      data: { fn: 'progress(0.5); return data.a * 2;', args: { a: 21 } }
+    });
+    if (custom.data !== 42) throw new Error('Custom task failed');
+  } finally {
+    await csop.destroy();
+  }
+});
+
+test('Runtime: a crashed worker_threads worker fails its task and is replaced', async () => {
+  const compute = new ComputeCapability();
+  await compute.init({ numWorkers: 1, workers: 'node' }, { logger: createLogger({ level: 'silent' }) });
+  try {
+    const first = compute.workers[0].worker;
+    let failed = null;
+    await compute.execute({ task: 'custom', data: { fn: 'process.exit(3);' } }).catch(error => { failed = error; });
+    if (!failed || !/code 3/.test(failed.message)) throw new Error(`Exit not reported: ${failed && failed.message}`);
+    if (compute.workers[0].worker === first) throw new Error('Exited worker not replaced');
+
+    // An uncaught error after the task finished replaces the idle worker
+    const second = compute.workers[0].worker;
+    await compute.execute({ task: 'custom', data: { fn: 'setTimeout(() => { throw new Error("boom"); }); return 1;' } });
+    await sleep(100);
+    if (compute.workers[0].worker === second) throw new Error('Crashed worker not replaced');
+    if (await compute.execute({ task: 'sum', data: { numbers: [1, 2] } }) !== 3) throw new Error('Pool unusable after crash');
+  } finally {
+    compute.destroy();
+  }
+});
+
+test('Runtime: local sync delivers across instances through the bus', async () => {
+  const bus = new InProcessBus();
+  const config = { ...NO_BUILT_INS, sync: { bus }, outbox: false };
+  const a = new CSOP();
+  const b = new CSOP();
+  await a.init(config);
+  await b.init(config);
+
+  const received = [];
+  await b.dispatch('sync.subscribe', { channel: 'room', callback: (message) => received.push(message.data) });
+  await a.dispatch('sync.broadcast', { channel: 'room', event: 'hello', data: 1 });
+  await b.dispatch('sync.unsubscribe', { channel: 'room' });
+  await a.dispatch('sync.broadcast', { channel: 'room', event: 'hello', data: 2 });
+  if (received.join() !== '1') throw new Error(`Wrong delivery: ${received}`);
+  if (a.info().runtime.name !== 'node') throw new Error('Runtime not reported');
+  await a.destroy();
+  await b.destroy();
+});
+
+test('Testing: fakes implement the built-in operations in memory', async () => {
+  const csop = await createTestCSOP({ storage: { data: { seeded: { n: 1 } } } });
+  csop.getCapability('compute').stub('double', (data, progress) => { progress(1); return data.n * 2; });
+
+  const seeded = await csop.dispatch('storage.get', { key: 'seeded' });
+  if (seeded.data.n !== 1) throw new Error('Storage not seeded');
+  const saved = await csop.dispatch('storage.save', { key: 'k', data: 'v' });
+  if (saved.data.location !== 'memory') throw new Error('Storage not in memory');
+
+  const fib = await csop.dispatch('compute.execute', { task: 'fibonacci', data: { n: 10 } });
+  const progress = [];
+  const doubled = await csop.dispatch('compute.execute', { task: 'double', data: { n: 4 } },
+    { onProgress: event => progress.push(event.data) });
+  if (fib.data !== 55 || doubled.data !== 8 || progress.join() !== '1') throw new Error('Compute fake failed');
+
+  const received = [];
+  await csop.dispatch('sync.subscribe', { channel: 'c', callback: message => received.push(message.event) });
+  await csop.dispatch('sync.broadcast', { channel: 'c', event: 'ping' });
+  const presence = await csop.dispatch('sync.presence', { channel: 'c', userId: 'u1' });
+  if (received.join() !== 'ping' || presence.data.online !== 1) throw new Error('Sync fake failed');
+  await csop.destroy();
+});
+
+test('Testing: recorder assertions and deterministic replay', async () => {
+  const live = createRouter({ test: createEcho() });
+  const recorder = record(live);
+  await live.dispatch('test.echo', { n: 1, tag: 'a' });
+  await live.dispatch('test.echo', { n: 2 });
+  await live.dispatch('test.fail', {});
+
+  recorder.expectDispatched('test.echo', { n: 1 });
+  recorder.expectDispatched('test.echo', { n: value => value > 0 }, { times: 2 });
+  recorder.expectNotDispatched('test.echo', { n: 3 });
+  try {
+    recorder.expectDispatched('test.echo', { n: 3 });
+    throw new Error('Should have thrown');
+  } catch (e) {
+    if (e.code !== 'ASSERTION_FAILED') throw e;
+  }
+
+  // Round-trip the fixture through JSON, then replay without the capability
+  const fixture = JSON.stringify(recorder.toJSON());
+  const offline = createRouter({});
+  const replayer = replay(offline, fixture);
+  const first = await offline.dispatch('test.echo', { tag: 'a', n: 1 });
+  const failed = await offline.dispatch('test.fail', {});
+  if (first.data.n !== 1 || failed.error.message !== 'boom') throw new Error('Wrong replayed responses');
+  const logged = [];
+  offline.setLogger((level, message) => logged.push(`${level}:${message}`));
+  const miss = await offline.dispatch('test.echo', { n: 9 });
+  if (miss.error?.code !== 'REPLAY_MISS' || miss.error.retry) throw new Error('Miss not reported');
+  if (logged.some(line => line.startsWith('error:'))) throw new Error(`Miss logged as an error: ${logged}`);
+  if (replayer.remaining().length !== 1) throw new Error('Remaining calls not tracked');
+});
+
+test('Policy: principals are limited to allowed actions, keys, channels and tasks', async () => {
+  const csop = await createTestCSOP({
+    policies: {
+      widget: {
+        allow: ['storage.*', 'sync.*', 'compute.execute'],
+        deny: ['storage.delete'],
+        keyPrefixes: ['widget/'],
+        channels: ['widget-*'],
+        tasks: ['fibonacci']
+      }
+    }
+  });
+  const as = { principal: 'widget' };
+  const code = (response) => response.error?.code || response.status;
+
+  if (code(await csop.dispatch('storage.save', { key: 'widget/a', data: 1 }, as)) !== 'ok') throw new Error('Own key refused');
+  if (code(await csop.dispatch('storage.get', { key: 'session' }, as)) !== 'FORBIDDEN') throw new Error('Foreign key allowed');
+  if (code(await csop.dispatch('storage.list', {}, as)) !== 'FORBIDDEN') throw new Error('Unscoped list allowed');
+  if (code(await csop.dispatch('storage.delete', { key: 'widget/a' }, as)) !== 'FORBIDDEN') throw new Error('Deny ignored');
+  if (code(await csop.dispatch('storage.delete.x', { key: 'widget/a' }, as)) !== 'INVALID_ACTION') throw new Error('Extra segment bypassed the deny');
+  if (code(await csop.dispatch('storage.get', { key: 'widget/a' }, as)) !== 'ok') throw new Error('Key deleted through an extra segment');
+  if (code(await csop.dispatch('storage.sweep', {}, as)) !== 'FORBIDDEN') throw new Error('Unscoped sweep allowed');
+  if (code(await csop.dispatch('storage.query', { collection: 'users' }, as)) !== 'FORBIDDEN') throw new Error('Collection allowed');
+  if (code(await csop.dispatch('storage.saveMany', { items: [{ key: 'widget/c', data: 1 }, { key: 'secret', data: 2 }] }, as)) !== 'FORBIDDEN') throw new Error('Batch key allowed');
+  if (code(await csop.dispatch('sync.broadcast', { channel: 'admin', event: 'x' }, as)) !== 'FORBIDDEN') throw new Error('Channel allowed');
+  if (code(await csop.dispatch('compute.execute', { task: 'custom', data: { fn: 'return 1' } }, as)) !== 'FORBIDDEN') throw new Error('Custom task allowed');
+  if (code(await csop.dispatch('workflow.run', { workflow: 'x' }, as)) !== 'FORBIDDEN') throw new Error('Unlisted action allowed');
+  if (code(await csop.dispatch('storage.get', { key: 'widget/a' }, { principal: 'stranger' })) !== 'FORBIDDEN') throw new Error('Unknown principal allowed');
+  if (code(await csop.dispatch('storage.get', { key: 'session' })) === 'FORBIDDEN') throw new Error('Trusted call refused');
+
+  // Transaction steps run as the transaction's principal
+  const tx = await csop.transaction([
+    { action: 'storage.save', payload: { key: 'widget/b', data: 2 } },
+    { action: 'storage.save', payload: { key: 'secret', data: 3 }, options: { principal: 'admin' } }
+  ], as);
+  if (tx.error?.details.steps[1].error.code !== 'FORBIDDEN') throw new Error('Step escaped the principal');
+
+  // Served ports cannot pick their own principal
+  const { port1, port2 } = new MessageChannel();
+  const server = serve(csop, port1, { principal: 'widget', logger: csop.logger });
+  const client = new CSOPClient(port2);
+  const remote = await client.dispatch('storage.get', { key: 'session' }, { principal: 'admin' });
+  server.close();
+  port1.close();
+  port2.close();
+  if (remote.error?.code !== 'FORBIDDEN' || remote.error.retry) throw new Error('Served principal not enforced');
+
+  // Without a served principal, a requested one is ignored too
+  const channel = new MessageChannel();
+  const open = serve(csop, channel.port1, { logger: csop.logger });
+  const caller = new CSOPClient(channel.port2);
+  const unscoped = await caller.dispatch('storage.get', { key: 'widget/a' }, { principal: 'stranger' });
+  open.close();
+  channel.port1.close();
+  channel.port2.close();
+  if (unscoped.status !== 'ok') throw new Error('Caller-supplied principal used');
+  await csop.destroy();
+});
+
+test('Policy: resource rules follow the manifest scope, unscoped capabilities are refused', async () => {
+  const storage = new StorageCapability();
+  await storage.init({ drivers: ['memory'] });
+  const csop = createRouter({
+    store: storage,
+    notes: { async read({ key }) { return key; } },
+    clock: { scope: 'none', async now() { return 1; } }
+  });
+  csop.setPolicy('widget', { keyPrefixes: ['widget/'] });
+  csop.setPolicy('reader', { allow: ['notes.*'] });
+  const as = { principal: 'widget' };
+
+  if ((await csop.dispatch('store.get', { key: 'secret' }, as)).error?.code !== 'FORBIDDEN') throw new Error('Renamed storage not scoped');
+  if ((await csop.dispatch('store.save', { key: 'widget/a', data: 1 }, as)).status !== 'ok') throw new Error('Own key refused');
+  if ((await csop.dispatch('notes.read', { key: 'secret' }, as)).error?.code !== 'FORBIDDEN') throw new Error('Unscoped capability allowed');
+  if ((await csop.dispatch('clock.now', {}, as)).status !== 'ok') throw new Error('Capability without resources refused');
+  if ((await csop.dispatch('notes.read', { key: 'secret' }, { principal: 'reader' })).status !== 'ok') throw new Error('Unrestricted policy refused');
+  await storage.destroy();
+});
+
+test('Policy: calls forwarded by a follower tab keep their principal', async () => {
+  const config = {
+    ...NO_BUILT_INS,
+    logger: false,
+    storage: { drivers: ['memory'], sweepInterval: 0 },
+    workflow: {},
+    policies: { widget: { allow: ['storage.*', 'workflow.*'], keyPrefixes: ['widget/'] } },
+    multiTab: { name: 'csop-test-policy', heartbeat: 20, timeout: 60, locks: null }
+  };
+  const leader = new CSOP();
+  await leader.init(config);
+  const follower = new CSOP();
+  await follower.init(config);
+  try {
+    await leader.dispatch('storage.save', { key: 'secret', data: 'SECRET' });
+    const as = { principal: 'widget' };
+
+    const denied = await follower.dispatch('storage.get', { key: 'secret' }, as);
+    if (denied.error?.code !== 'FORBIDDEN') throw new Error('Forwarded call ran without its principal');
+    if ((await follower.dispatch('storage.save', { key: 'widget/a', data: 1 }, as)).status !== 'ok') throw new Error('Own key refused');
+    if ((await follower.dispatch('storage.get', { key: 'secret' })).data !== 'SECRET') throw new Error('Trusted call refused');
+
+    // Workflow nodes run on the leader, as the follower's principal
+    const read = { nodes: { read: { action: 'storage.get', input: { key: 'secret' } } } };
+    const run = await follower.dispatch('workflow.run', { workflow: read }, as);
+    if (run.error?.code !== 'WORKFLOW_FAILED') throw new Error('Workflow node escaped the principal');
+    const trusted = await leader.dispatch('workflow.run', { workflow: read });
+    const status = await follower.dispatch('workflow.status', { runId: trusted.data.runId }, as);
+    if (status.error?.code !== 'WORKFLOW_NOT_FOUND') throw new Error('Foreign run visible to the principal');
+  } finally {
+    await follower.destroy();
+    await leader.destroy();
+  }
+});
+
+// Local stand-in for a libSQL server: answers the pipeline protocol for the
+// statements TursoBackend sends, over a Map
+async function createTursoServer(token) {
+  const rows = new Map();
+  const server = { requests: 0, failNext: 0, tables: 0, rejectKey: null };
+  const ok = (cols, values = [], affected = 0) => ({
+    type: 'ok',
+    response: {
+      type: 'execute',
+      result: {
+        cols: cols.map(name => ({ name })),
+        rows: values.map(row => row.map(value => ({ type: 'text', value }))),
+        affected_row_count: affected
+      }
+    }
+  });
+  const execute = ({ sql, args }) => {
+    const values = args.map(arg => arg.value);
+    if (sql.startsWith('CREATE TABLE IF NOT EXISTS')) { server.tables++; return ok([]); }
+    if (sql.startsWith('INSERT OR REPLACE')) {
+      if (values[0] === server.rejectKey) return { type: 'error', error: { message: 'constraint failed' } };
+      rows.set(values[0], values[1]);
+      return ok([], [], 1);
+    }
+    if (sql.startsWith('DELETE')) { return ok([], [], rows.delete(values[0]) ? 1 : 0); }
+    if (sql.startsWith('SELECT data')) { return ok(['data'], rows.has(values[0]) ? [[rows.get(values[0])]] : []); }
+    if (sql.startsWith('SELECT key')) {
+      const prefix = values[1] || '';
+      return ok(['key'], [...rows.keys()].filter(key => key.startsWith(prefix)).sort().map(key => [key]));
+    }
+    return { type: 'error', error: { message: `unsupported: ${sql}` } };
+  };
+  // Conditional steps of a batch request; BEGIN/ROLLBACK snapshot and restore the rows
+  const batch = ({ steps }) => {
+    const results = [];
+    const errors = [];
+    const holds = (condition) => condition.type === 'not' ? !holds(condition.cond) : Boolean(results[condition.step]);
+    let snapshot = null;
+    for (const step of steps) {
+      let outcome = null;
+      if (!step.condition || holds(step.condition)) {
+        if (step.stmt.sql === 'BEGIN') snapshot = new Map(rows);
+        if (step.stmt.sql === 'ROLLBACK') { rows.clear(); snapshot.forEach((value, key) => rows.set(key, value)); }
+        outcome = ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(step.stmt.sql) ? ok([]) : execute(step.stmt);
+      }
+      results.push(outcome && outcome.type === 'ok' ? outcome.response.result : null);
+      errors.push(outcome && outcome.type === 'error' ? outcome.error : null);
+    }
+    return { type: 'ok', response: { type: 'batch', result: { step_results: results, step_errors: errors } } };
+  };
+
+  const http = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      server.requests++;
+      if (req.url !== '/v2/pipeline' || req.headers.authorization !== `Bearer ${token}`) {
+        res.writeHead(401).end('unauthorized');
+        return;
+      }
+      if (server.failNext > 0) {
+        server.failNext--;
+        res.writeHead(503).end('busy');
+        return;
+      }
+      const results = JSON.parse(body).requests.map(request =>
+        request.type === 'close' ? { type: 'ok', response: { type: 'close' } }
+          : request.type === 'batch' ? batch(request.batch) : execute(request.stmt));
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ baton: null, results }));
+    });
+  });
+  await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+  server.url = `http://127.0.0.1:${http.address().port}`;
+  server.rows = rows;
+  server.close = () => new Promise(resolve => http.close(resolve));
+  return server;
+}
+
+test('Turso: large data goes to the remote table and back', async () => {
+  const server = await createTursoServer('secret');
+  const csop = await createTestCSOP({
+    storage: { maxLocalSize: 20, turso: { url: server.url, authToken: 'secret', retryDelay: 1 } }
+  });
+  try {
+    await csop.dispatch('storage.save', { key: 'doc/big', data: 'small' });
+    const saved = await csop.dispatch('storage.save', { key: 'doc/big', data: { text: 'x'.repeat(100) } });
+    if (saved.data.location !== 'turso' || !server.rows.has('doc/big')) throw new Error('Not stored remotely');
+    await csop.dispatch('storage.save', { key: 'doc/local', data: 1 });
+
+    // Transient failures are retried by the client
+    server.failNext = 2;
+    const loaded = await csop.dispatch('storage.get', { key: 'doc/big' });
+    if (loaded.data?.text?.length !== 100) throw new Error('Remote value not returned over the local copy');
+
+    const listed = await csop.dispatch('storage.list', { prefix: 'doc/' });
+    if (listed.data.slice().sort().join() !== 'doc/big,doc/local') throw new Error(`Wrong keys: ${listed.data}`);
+    if (server.tables !== 1) throw new Error('Table not created exactly once');
+
+    await csop.dispatch('storage.delete', { key: 'doc/big' });
+    const missing = await csop.dispatch('storage.get', { key: 'doc/big' });
+    if (missing.error?.code !== 'KEY_NOT_FOUND') throw new Error('Remote delete failed');
+
+    server.failNext = 5;
+    const down = await csop.dispatch('storage.get', { key: 'doc/other' });
+    if (down.error?.code !== 'TURSO_UNAVAILABLE' || !down.error.retry) throw new Error('Outage not reported as retryable');
+    server.failNext = 0;
+  } finally {
+    await csop.destroy();
+    await server.close();
+  }
+});
+
+test('Turso: batches run in one SQL transaction', async () => {
+  const server = await createTursoServer('secret');
+  const csop = await createTestCSOP({
+    storage: { maxLocalSize: 5, turso: { url: server.url, authToken: 'secret', retryDelay: 1 } }
+  });
+  const big = (n) => ({ n, text: 'x'.repeat(20) });
+  try {
+    const saved = await csop.dispatch('storage.saveMany', { items: [{ key: 'a', data: big(1) }, { key: 'b', data: big(2) }] });
+    if (saved.data.some(result => result.driver !== 'turso') || !server.rows.has('b')) throw new Error('Batch not stored remotely');
+    const requests = server.requests;
+    const tx = await csop.dispatch('storage.transaction', { ops: [
+      { op: 'save', key: 'c', data: big(3) },
+      { op: 'get', key: 'c' },
+      { op: 'delete', key: 'a' }
+    ] });
+    if (tx.data[1].data.n !== 3 || server.rows.has('a')) throw new Error('Transaction not applied in order');
+    if (server.requests !== requests + 1) throw new Error('Transaction not sent as one request');
+
+    // A failing statement rolls back the ones before it
+    server.rejectKey = 'broken';
+    const failed = await csop.dispatch('storage.transaction', { ops: [
+      { op: 'save', key: 'b', data: big(20) },
+      { op: 'delete', key: 'c' },
+      { op: 'save', key: 'broken', data: big(0) }
+    ] });
+    if (failed.error?.code !== 'TURSO_REQUEST_FAILED' || !/rolled back/.test(failed.error.message)) throw new Error('Failure not reported');
+    if (JSON.parse(server.rows.get('b')).n !== 2 || !server.rows.has('c')) throw new Error('Transaction not rolled back');
+  } finally {
+    await csop.destroy();
+    await server.close();
+  }
+});
+
+test('Turso: rejected credentials are not retried', async () => {
+  const server = await createTursoServer('secret');
+  const csop = await createTestCSOP({
+    storage: { maxLocalSize: 1, turso: { url: server.url, authToken: 'wrong', retryDelay: 1 } }
+  });
+  try {
+    const res = await csop.dispatch('storage.save', { key: 'k', data: 'too big' });
+    if (res.error?.code !== 'TURSO_REQUEST_FAILED' || res.error.retry) throw new Error('Wrong error');
+    if (server.requests !== 1) throw new Error(`Retried ${server.requests - 1} times`);
+  } finally {
+    await csop.destroy();
+    await server.close();
+  }
+});
+
+// Minimal window.localStorage over a Map
+function createLocalStorage(items) {
+  return {
+    get length() { return items.size; },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); }
+  };
+}
+
+test('Storage drivers: routes by prefix, type and size with ordered fallbacks', async () => {
+  const items = new Map();
+  globalThis.localStorage = createLocalStorage(items);
+  try {
+    const csop = await createTestCSOP({
+      storage: {
+        drivers: ['memory'],
+        routes: [
+          { prefix: 'session/', drivers: ['localstorage'] },
+          { type: 'array', drivers: ['opfs', 'localstorage'] },
+          { minSize: 50, drivers: ['indexeddb'] }
+        ]
+      }
+    });
+    const save = async (key, data) => (await csop.dispatch('storage.save', { key, data })).data;
+
+    const session = await save('session/token', 'abc');
+    if (session.driver !== 'localstorage' || session.warning || !items.has('csop:session/token')) throw new Error('Prefix route ignored');
+    const list = await save('recent', [1, 2, 3]);
+    if (list.driver !== 'localstorage' || !list.warning.includes('opfs')) throw new Error('OPFS fallback not reported');
+    const big = await save('report', 'x'.repeat(100));
+    if (big.driver !== 'memory' || !big.warning.includes('indexeddb')) throw new Error('Default fallback not used');
+    if ((await save('small', 1)).driver !== 'memory') throw new Error('Unrouted data not in the default driver');
+
+    // Moving a key to another driver leaves no stale copy behind
+    await save('recent', 'now a string');
+    const recent = await csop.dispatch('storage.get', { key: 'recent' });
+    if (recent.data !== 'now a string' || items.has('csop:recent')) throw new Error('Stale copy served');
+
+    const keys = (await csop.dispatch('storage.list', {})).data.sort().join();
+    if (keys !== 'recent,report,session/token,small') throw new Error(`Wrong keys: ${keys}`);
+    const cleared = await csop.dispatch('storage.clear', { driver: 'localstorage' });
+    if (cleared.data.drivers.join() !== 'localstorage' || items.size !== 0) throw new Error('Driver not cleared');
+    await csop.destroy();
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
+
+test('Storage drivers: binary values round-trip through localStorage and files', async () => {
+  globalThis.localStorage = createLocalStorage(new Map());
+  const path = await mkdtemp(join(tmpdir(), 'csop-'));
+  try {
+    const value = {
+      bytes: new Uint8Array([0, 1, 255]),
+      buffer: new Uint8Array([7, 8]).buffer,
+      floats: new Float64Array([1.5, -2]),
+      nested: [new Uint8Array(new Uint8Array([9, 9, 3, 4]).buffer, 2, 2)]
+    };
+    for (const driver of [new LocalStorageBackend(), new FileSystemBackend({ path })]) {
+      await driver.open();
+      await driver.put('blob', value);
+      const read = await driver.get('blob');
+      if (!(read.bytes instanceof Uint8Array) || read.bytes.join() !== '0,1,255') throw new Error(`${driver.name}: Uint8Array lost`);
+      if (!(read.buffer instanceof ArrayBuffer) || new Uint8Array(read.buffer).join() !== '7,8') throw new Error(`${driver.name}: ArrayBuffer lost`);
+      if (!(read.floats instanceof Float64Array) || read.floats.join() !== '1.5,-2') throw new Error(`${driver.name}: Float64Array lost`);
+      if (read.nested[0].join() !== '3,4') throw new Error(`${driver.name}: view offset lost`);
+    }
+  } finally {
+    delete globalThis.localStorage;
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('Storage expiry: expired keys read as missing and are swept', async () => {
+  const driver = new MemoryBackend();
+  const csop = await createTestCSOP({ storage: { drivers: [driver], sweepInterval: 0 } });
+  const saved = await csop.dispatch('storage.save', { key: 'session', data: 'abc', options: { ttl: 20 } });
+  await csop.dispatch('storage.save', { key: 'draft', data: 1, options: { expiresAt: Date.now() + 20 } });
+  await csop.dispatch('storage.save', { key: 'settings', data: { theme: 'dark' } });
+  if (!(saved.data.expiresAt > Date.now())) throw new Error('Expiry not reported');
+  if ((await csop.dispatch('storage.get', { key: 'session' })).data !== 'abc') throw new Error('Live key not read');
+
+  await sleep(30);
+  const expired = await csop.dispatch('storage.get', { key: 'session' });
+  if (expired.error.code !== 'KEY_NOT_FOUND' || driver.data.has('session')) throw new Error('Expired key served');
+  if ((await csop.dispatch('storage.list', {})).data.join() !== 'settings') throw new Error('Expired key listed');
+  const swept = await csop.dispatch('storage.sweep', {});
+  if (swept.data.keys.join() !== 'draft' || driver.data.has('draft')) throw new Error('Expired key not swept');
+  await csop.destroy();
+
+  // Expiry is kept with the data
+  await csop.init({ logger: false, outbox: false, storage: { drivers: [driver], sweepInterval: 0 } });
+  await csop.dispatch('storage.save', { key: 'token', data: 't', options: { ttl: 10 } });
+  await csop.destroy();
+  await sleep(20);
+  const reloaded = await createTestCSOP({ storage: { drivers: [driver], sweepInterval: 0 } });
+  if ((await reloaded.dispatch('storage.get', { key: 'token' })).error.code !== 'KEY_NOT_FOUND') throw new Error('Expiry lost on reload');
+  await reloaded.destroy();
+});
+
+test('Storage quota: evicts by LRU or LFU, pinned keys stay', async () => {
+  const fill = async (policy, reads) => {
+    const csop = await createTestCSOP({ storage: { drivers: ['memory'], quota: { maxBytes: 30, policy } } });
+    for (const key of ['a', 'b', 'c']) {
+      await csop.dispatch('storage.save', { key, data: 'x'.repeat(8) }); // 10 bytes
+      await sleep(2);
+    }
+    for (const key of reads) {
+      await csop.dispatch('storage.get', { key }, { cache: false });
+      await sleep(2);
+    }
+    return csop;
+  };
+
+  const lru = await fill('lru', ['a', 'b', 'a']);
+  const saved = await lru.dispatch('storage.save', { key: 'd', data: 'x'.repeat(8) });
+  if (saved.data.evicted.join() !== 'c') throw new Error(`LRU evicted ${saved.data.evicted}`);
+  if ((await lru.dispatch('storage.list', {})).data.sort().join() !== 'a,b,d') throw new Error('Wrong keys after eviction');
+  await lru.destroy();
+
+  const lfu = await fill('lfu', ['a', 'a', 'a', 'c', 'b', 'c']);
+  const second = await lfu.dispatch('storage.save', { key: 'd', data: 'x'.repeat(18) }); // 20 bytes
+  if (second.data.evicted.join() !== 'b,c') throw new Error(`LFU evicted ${second.data.evicted}`);
+
+  await lfu.dispatch('storage.save', { key: 'a', data: 'x'.repeat(8), options: { pin: true } });
+  const full = await lfu.dispatch('storage.save', { key: 'e', data: 'x'.repeat(23) }); // 25 bytes
+  if (full.success || full.error.code !== 'STORAGE_QUOTA_EXCEEDED' || full.error.retry) throw new Error('Quota not enforced');
+  if ((await lfu.dispatch('storage.get', { key: 'a' })).data !== 'x'.repeat(8)) throw new Error('Pinned key evicted');
+  await lfu.destroy();
+});
+
+test('Storage lifecycle: failed writes evict nothing, destroy closes and forgets failed drivers', async () => {
+  const driver = new MemoryBackend();
+  const put = driver.put.bind(driver);
+  driver.put = async (key, value, signal) => {
+    if (key === 'broken') throw new Error('Disk error');
+    return put(key, value, signal);
+  };
+  const csop = await createTestCSOP({ storage: { drivers: [driver], quota: { maxBytes: 20 } } });
+  await csop.dispatch('storage.save', { key: 'a', data: 'x'.repeat(8) });
+  await csop.dispatch('storage.save', { key: 'b', data: 'x'.repeat(8) });
+  const failed = await csop.dispatch('storage.save', { key: 'broken', data: 'x'.repeat(8) });
+  if (failed.status !== 'error' || !driver.data.has('a') || !driver.data.has('b')) throw new Error('Failed write evicted keys');
+  const batch = await csop.dispatch('storage.saveMany', { items: [{ key: 'c', data: 'x'.repeat(8) }, { key: 'broken', data: 0 }] });
+  if (batch.status !== 'error' || !driver.data.has('a') || !driver.data.has('b')) throw new Error('Failed batch evicted keys');
+  const saved = await csop.dispatch('storage.save', { key: 'c', data: 'x'.repeat(8) });
+  if (saved.data.evicted.join() !== 'a' || driver.data.has('a')) throw new Error('Successful write did not evict');
+  await csop.destroy();
+
+  // destroy() waits for asynchronous closes; init() again retries drivers that failed to open
+  let opens = 0;
+  let closed = false;
+  const flaky = new MemoryBackend();
+  flaky.name = 'flaky';
+  flaky.open = async () => { if (++opens === 1) throw new Error('Not yet'); };
+  flaky.close = async () => { await sleep(5); closed = true; };
+  const storage = new StorageCapability();
+  const config = { drivers: [flaky, 'memory'], sweepInterval: 0 };
+  await storage.init(config, { logger: createLogger({ level: 'silent' }) });
+  if (storage.drivers.has('flaky')) throw new Error('Driver should have failed to open');
+  await storage.destroy();
+  await storage.init(config);
+  if (!storage.drivers.has('flaky') || opens !== 2) throw new Error('Failed driver not retried');
+  await storage.destroy();
+  if (!closed) throw new Error('destroy() did not wait for close()');
+});
+
+test('Storage collections: indexed queries with ranges, sorting and pages', async () => {
+  const csop = await createTestCSOP({ storage: { drivers: ['memory'], collections: { users: { indexes: ['age', 'city', 'joined.year'] } } } });
+  const users = {
+    ana: { age: 34, city: 'Paris', joined: { year: 2021 } },
+    ben: { age: 17, city: 'Lyon', joined: { year: 2023 } },
+    cleo: { age: 52, city: 'Paris', joined: { year: 2019 } },
+    dan: { age: 34, city: 'Nice' },
+    eve: { age: 70, city: 'Paris', joined: { year: 2020 } }
+  };
+  for (const [key, data] of Object.entries(users)) {
+    await csop.dispatch('storage.save', { collection: 'users', key, data });
+  }
+  await csop.dispatch('storage.save', { key: 'ana', data: 'plain key' });
+  const query = async (payload) => (await csop.dispatch('storage.query', { collection: 'users', ...payload })).data;
+  const keys = (page) => page.items.map(item => item.key).join();
+
+  if ((await csop.dispatch('storage.list', {})).data.join() !== 'ana') throw new Error('Collection records listed as keys');
+  if ((await csop.dispatch('storage.get', { collection: 'users', key: 'ana' })).data.age !== 34) throw new Error('Record not read');
+
+  if (keys(await query({ where: { age: { gte: 18, lt: 65 } } })) !== 'ana,dan,cleo') throw new Error('Range not applied');
+  if (keys(await query({ where: { city: 'Paris' }, orderBy: 'age', direction: 'desc' })) !== 'eve,cleo,ana') throw new Error('Filter or sort wrong');
+  if (keys(await query({ orderBy: 'joined.year' })) !== 'cleo,eve,ana,ben') throw new Error('Nested index wrong');
+  if (keys(await query({ orderBy: 'age', offset: 1, limit: 2 })) !== 'ana,dan') throw new Error('Offset and limit wrong');
+  if ((await query({ where: { city: 'Paris', age: { gt: 40 } }, count: true })).count !== 2) throw new Error('Count wrong');
+
+  const seen = [];
+  let page = { cursor: undefined };
+  do {
+    page = await query({ orderBy: 'age', limit: 2, cursor: page.cursor || undefined });
+    seen.push(keys(page));
+  } while (page.cursor);
+  if (seen.join('|') !== 'ben,ana|dan,cleo|eve') throw new Error(`Wrong pages: ${seen.join('|')}`);
+
+  const unindexed = await csop.dispatch('storage.query', { collection: 'users', where: { name: 'ana' } });
+  if (unindexed.error.code !== 'INDEX_NOT_FOUND' || unindexed.error.retry) throw new Error('Unindexed field accepted');
+  const unknown = await csop.dispatch('storage.query', { collection: 'orders' });
+  if (unknown.error.code !== 'COLLECTION_NOT_FOUND') throw new Error('Undeclared collection accepted');
+
+  await csop.dispatch('storage.delete', { collection: 'users', key: 'eve' });
+  if ((await query({ count: true })).count !== 4) throw new Error('Record not deleted');
+  await csop.destroy();
+});
+
+test('Storage batches: many-key operations and all-or-nothing transactions', async () => {
+  const driver = new MemoryBackend();
+  const put = driver.put.bind(driver);
+  driver.put = async (key, value, signal) => {
+    if (key === 'broken') throw new Error('Disk error');
+    return put(key, value, signal);
+  };
+  const other = new MemoryBackend();
+  other.name = 'other';
+  const csop = await createTestCSOP({ storage: { drivers: [driver], routes: [{ prefix: 'session/', drivers: [other] }] } });
+
+  const saved = await csop.dispatch('storage.saveMany', { items: [
+    { key: 'a', data: 1 },
+    { key: 'b', data: { n: 2 }, options: { ttl: 60000 } }
+  ] });
+  if (saved.data.map(result => `${result.op}:${result.key}:${result.driver}`).join() !== 'save:a:memory,save:b:memory') throw new Error('Wrong save results');
+  if (!(saved.data[1].expiresAt > Date.now())) throw new Error('Batch expiry not indexed');
+
+  const read = await csop.dispatch('storage.getMany', { keys: ['a', 'missing', 'b'] });
+  if (read.data.map(result => result.found).join() !== 'true,false,true' || read.data[2].data.n !== 2) throw new Error('Wrong getMany results');
+
+  const tx = await csop.dispatch('storage.transaction', { ops: [
+    { op: 'save', key: 'c', data: 3 },
+    { op: 'get', key: 'c' },
+    { op: 'delete', key: 'a' }
+  ] });
+  if (tx.data[1].data !== 3 || !tx.data[2].deleted || driver.data.has('a')) throw new Error('Transaction not applied in order');
+
+  // A failing write rolls back the ones before it, index records included
+  const failed = await csop.dispatch('storage.transaction', { ops: [
+    { op: 'save', key: 'c', data: 'changed', options: { ttl: 10 } },
+    { op: 'delete', key: 'b' },
+    { op: 'save', key: 'broken', data: 0 }
+  ] });
+  if (failed.success) throw new Error('Failed write committed');
+  if (driver.data.get('c') !== 3 || !driver.data.has('b')) throw new Error('Batch not rolled back');
+  await sleep(20);
+  if ((await csop.dispatch('storage.get', { key: 'c' }, { cache: false })).data !== 3) throw new Error('Rolled back expiry applied');
+
+  const split = await csop.dispatch('storage.saveMany', { items: [{ key: 'x', data: 1 }, { key: 'session/x', data: 2 }] });
+  if (split.error.code !== 'VALIDATION_FAILED' || driver.data.has('x')) throw new Error('Batch spanning drivers accepted');
+
+  const removed = await csop.dispatch('storage.deleteMany', { keys: ['b', 'c'] });
+  if (removed.data.length !== 2 || (await csop.dispatch('storage.list', {})).data.length !== 0) throw new Error('Keys not deleted');
+  await csop.destroy();
+});
+
+test('Storage migrations: versioned record rewrites run once, in order', async () => {
+  const driver = new MemoryBackend();
+  await driver.put('user:1', { name: 'Ana Lee' });
+  await driver.put('tmp:1', 'x');
+  const runs = [];
+  const stages = [];
+  const migrations = [
+    { version: 2, name: 'drop-tmp', migrate: ({ updateRecords, REMOVE }) => updateRecords((value, key) => key.startsWith('tmp:') ? REMOVE : undefined) },
+    { version: 1, name: 'split-names', migrate: async ({ updateRecords, progress }) => {
+      runs.push(1);
+      const updated = await updateRecords((value, key) => {
+        if (!key.startsWith('user:')) return undefined;
+        const [first, last] = value.name.split(' ');
+        return { first, last };
+      });
+      progress({ updated });
+    } }
+  ];
+  const config = (list) => ({ storage: { drivers: [driver], migrations: list, onMigrationProgress: (event) => stages.push(`${event.stage}:${event.version}`) } });
+
+  const csop = await createTestCSOP(config(migrations));
+  if (stages.join() !== 'start:1,progress:1,done:1,start:2,done:2') throw new Error(`Wrong stages: ${stages.join()}`);
+  if (driver.data.get('user:1').first !== 'Ana' || driver.data.has('tmp:1')) throw new Error('Records not migrated');
+  if (driver.data.get('__csop_schema__') !== 2) throw new Error('Version not recorded');
+  if ((await csop.dispatch('storage.list', {})).data.join() !== 'user:1') throw new Error('Schema record listed');
+  await csop.destroy();
+
+  // A failing migration stops init; the ones before it stay applied
+  const broken = { version: 3, migrate: () => { throw new Error('Bad data'); } };
+  stages.length = 0;
+  const failure = await createTestCSOP(config([...migrations, broken])).catch(error => error);
+  if (failure.code !== 'MIGRATION_FAILED' || failure.details.version !== 3) throw new Error('Failure not reported');
+  if (stages.join() !== 'start:3,failed:3' || driver.data.get('__csop_schema__') !== 2) throw new Error('Applied migrations rerun');
+
+  const fixed = await createTestCSOP(config([...migrations, { version: 3, migrate: () => {} }]));
+  if (driver.data.get('__csop_schema__') !== 3 || runs.length !== 1) throw new Error('Fixed migration not applied once');
+  await fixed.destroy();
+
+  let repeated = null;
+  try {
+    normalizeMigrations([{ version: 1, migrate() {} }, { version: 1, migrate() {} }]);
+  } catch (error) {
+    repeated = error;
+  }
+  if (!(repeated instanceof TypeError)) throw new Error('Repeated version accepted');
+});
+
+test('Storage encryption: sealed values, tampering, locking and key rotation', async () => {
+  const driver = new MemoryBackend();
+  const config = (encryption) => ({ storage: { drivers: [driver], encryption: { prefixes: ['secret/'], iterations: 1000, ...encryption } } });
+  const csop = await createTestCSOP(config({ passphrase: 'correct horse' }));
+  const storage = csop.getCapability('storage');
+  const read = async (key) => csop.dispatch('storage.get', { key }, { cache: false });
+
+  const saved = await csop.dispatch('storage.save', { key: 'secret/token', data: { token: 'abc' } });
+  await csop.dispatch('storage.save', { key: 'profile', data: 'Ada', options: { encrypt: true } });
+  await csop.dispatch('storage.save', { key: 'public', data: 'open' });
+  if (!saved.data.encrypted || JSON.stringify(driver.data.get('secret/token')).includes('abc')) throw new Error('Value stored in plaintext');
+  if (driver.data.get('public') !== 'open') throw new Error('Plain value encrypted');
+  const optOut = await csop.dispatch('storage.save', { key: 'secret/public', data: 'open', options: { encrypt: false } });
+  if (optOut.error?.code !== 'VALIDATION_FAILED') throw new Error('Value stored in clear under an encryption prefix');
+  if ((await read('secret/token')).data.token !== 'abc' || (await read('profile')).data !== 'Ada') throw new Error('Value not decrypted');
+  const many = await csop.dispatch('storage.getMany', { keys: ['secret/token', 'profile'] });
+  if (many.data[1].data !== 'Ada') throw new Error('Batch read not decrypted');
+
+  // Ciphertext is bound to its key
+  const sealed = driver.data.get('secret/token');
+  await driver.put('secret/copy', sealed);
+  await driver.put('profile', { ...driver.data.get('profile'), data: sealed.data });
+  for (const key of ['secret/copy', 'profile']) {
+    const tampered = await read(key);
+    if (tampered.error.code !== 'DECRYPTION_FAILED' || tampered.error.retry) throw new Error(`Tampering not detected on ${key}`);
+  }
+
+  // Plaintext planted under an encryption prefix is refused
+  await driver.put('secret/planted', { token: 'forged' });
+  if ((await read('secret/planted')).error?.code !== 'DECRYPTION_FAILED') throw new Error('Planted plaintext accepted');
+  const plantedMany = await csop.dispatch('storage.getMany', { keys: ['secret/planted'] });
+  if (plantedMany.error?.code !== 'DECRYPTION_FAILED') throw new Error('Planted plaintext accepted in a batch');
+  await driver.delete('secret/planted');
+
+  storage.lock();
+  if ((await read('secret/token')).error.code !== 'STORAGE_LOCKED') throw new Error('Locked read served');
+  if ((await csop.dispatch('storage.save', { key: 'secret/new', data: 1 })).error.code !== 'STORAGE_LOCKED') throw new Error('Locked write stored');
+  if ((await read('public')).data !== 'open') throw new Error('Plain value locked');
+  const wrong = await storage.unlock('wrong horse').catch(error => error);
+  if (wrong.code !== 'ENCRYPTION_KEY_INVALID' || !storage.isLocked()) throw new Error('Wrong passphrase accepted');
+  await storage.unlock('correct horse');
+
+  const rotated = await storage.rotateKey('battery staple');
+  if (rotated.keys.join() !== 'secret/token' || rotated.failed.sort().join() !== 'profile,secret/copy') {
+    throw new Error(`Wrong keys rotated: ${rotated.keys} (failed: ${rotated.failed})`);
+  }
+  if (driver.data.get('secret/token').kid === sealed.kid) throw new Error('Value not re-encrypted');
+  await csop.destroy();
+
+  const old = await createTestCSOP(config({ passphrase: 'correct horse' })).catch(error => error);
+  if (old.code !== 'ENCRYPTION_KEY_INVALID') throw new Error('Retired passphrase accepted');
+  const locked = await createTestCSOP(config({}));
+  if ((await locked.dispatch('storage.get', { key: 'secret/token' })).error.code !== 'STORAGE_LOCKED') throw new Error('Not locked on start');
+  await locked.getCapability('storage').unlock('battery staple');
+  if ((await locked.dispatch('storage.get', { key: 'secret/token' }, { cache: false })).data.token !== 'abc') throw new Error('Rotated value lost');
+  await locked.destroy();
+
+  // Migrations run before the key is loaded: encrypted values are left alone, and reported
+  const touched = [];
+  const skipped = [];
+  const migrations = [{ version: 1, migrate: ({ updateRecords }) => updateRecords((value, key) => { touched.push(key); return { value }; }) }];
+  const onMigrationProgress = (event) => { if (event.stage === 'skipped') skipped.push(event.count); };
+  const migrated = await createTestCSOP({ storage: { ...config({ passphrase: 'battery staple' }).storage, migrations, onMigrationProgress } });
+  if (touched.join() !== 'public') throw new Error(`Migration saw encrypted values: ${touched}`);
+  if (skipped.join() !== '3') throw new Error(`Skipped values not reported: ${skipped}`);
+  if ((await migrated.dispatch('storage.get', { key: 'secret/token' })).data.token !== 'abc') throw new Error('Encrypted value overwritten');
+  await migrated.destroy();
+
+  // Values saved before their prefix was encrypted: read with allowPlaintext, resaved sealed
+  await driver.put('secret/legacy', 'old');
+  const legacy = await createTestCSOP(config({ passphrase: 'battery staple', allowPlaintext: true }));
+  const before = await legacy.dispatch('storage.get', { key: 'secret/legacy' });
+  if (before.data !== 'old') throw new Error('Legacy plaintext refused with allowPlaintext');
+  await legacy.dispatch('storage.save', { key: 'secret/legacy', data: before.data });
+  if (driver.data.get('secret/legacy') === 'old') throw new Error('Legacy value not sealed on save');
+  await legacy.destroy();
+});
+
+// Fresh in-memory IndexedDB (fake-indexeddb) for the duration of `fn`
+async function withIndexedDB(fn) {
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+  try {
+    await fn();
+  } finally {
+    delete globalThis.indexedDB;
+    delete globalThis.IDBKeyRange;
+  }
+}
+
+test('IndexedDB migrations: one upgrade transaction, rolled back on failure', () => withIndexedDB(async () => {
+  const seed = new IndexedDBBackend({ dbName: 'app' });
+  await seed.open();
+  await seed.put('user:1', { name: 'Ana Lee' });
+  await seed.put('tmp:1', 'x');
+  seed.close();
+
+  const stages = [];
+  const migrations = [
+    { version: 1, migrate: ({ updateRecords }) => updateRecords((value, key) => {
+      if (!key.startsWith('user:')) return undefined;
+      const [first, last] = value.name.split(' ');
+      return { first, last };
+    }) },
+    { version: 2, migrate: ({ updateRecords, REMOVE }) => updateRecords((value, key) => key.startsWith('tmp:') ? REMOVE : undefined) }
+  ];
+  const config = (list, backend = new IndexedDBBackend({ dbName: 'app' })) => ({ storage: {
+    drivers: [backend], migrations: list, onMigrationProgress: (event) => stages.push(`${event.driver}:${event.stage}:${event.version}`)
+  } });
+
+  const csop = await createTestCSOP(config(migrations));
+  if (stages.join() !== 'indexeddb:start:1,indexeddb:done:1,indexeddb:start:2,indexeddb:done:2') throw new Error(`Wrong stages: ${stages.join()}`);
+  if ((await csop.dispatch('storage.list', {})).data.join() !== 'user:1') throw new Error('Records not migrated');
+  if ((await csop.dispatch('storage.get', { key: 'user:1' })).data.last !== 'Lee') throw new Error('Record not rewritten');
+  await csop.destroy();
+
+  // A throwing migration undoes its upgrade, earlier record changes included
+  stages.length = 0;
+  const broken = { version: 3, migrate: async ({ updateRecords }) => {
+    await updateRecords(() => ({ wiped: true }));
+    throw new Error('Bad data');
+  } };
+  const failure = await createTestCSOP(config([...migrations, broken])).catch(error => error);
+  if (failure.code !== 'MIGRATION_FAILED' || stages.join() !== 'indexeddb:start:3,indexeddb:failed:3') throw new Error('Failure not reported');
+
+  // Awaiting anything else commits the upgrade early: reported once, not rerun
+  let runs = 0;
+  const early = { version: 3, migrate: async () => {
+    runs++;
+    await sleep(5);
+  } };
+  const committed = await createTestCSOP(config([...migrations, early])).catch(error => error);
+  if (committed.code !== 'MIGRATION_FAILED' || runs !== 1) throw new Error(`Early commit not reported (${runs} runs)`);
+  await sleep(10);
+
+  const check = new IndexedDBBackend({ dbName: 'app' });
+  await check.open();
+  if ((await check.get('user:1')).wiped || (await check.migrate(migrations)) !== 2) throw new Error('Failed upgrade kept');
+  check.close();
+}));
+
+test('IndexedDB collections: cursor pages resume after equal index values', () => withIndexedDB(async () => {
+  const backend = new IndexedDBBackend({ dbName: 'pages' });
+  const csop = await createTestCSOP({ storage: { drivers: [backend], collections: { users: { indexes: ['age'] } } } });
+  const ages = { a: 30, b: 20, c: 30, d: 30, e: 40, f: 10 };
+  for (const [key, age] of Object.entries(ages)) {
+    await csop.dispatch('storage.save', { collection: 'users', key, data: { age } });
+  }
+  const pages = async (payload) => {
+    const seen = [];
+    let page = { cursor: undefined };
+    do {
+      page = (await csop.dispatch('storage.query', { collection: 'users', limit: 2, ...payload, cursor: page.cursor || undefined })).data;
+      seen.push(page.items.map(item => item.key).join());
+    } while (page.cursor);
+    return seen.join('|');
+  };
+
+  // Equal index values resume on the primary key (continuePrimaryKey)
+  if (await pages({ orderBy: 'age' }) !== 'f,b|a,c|d,e') throw new Error('Wrong ascending pages');
+  if (await pages({ orderBy: 'age', direction: 'desc' }) !== 'e,d|c,a|b,f') throw new Error('Wrong descending pages');
+  if (await pages({}) !== 'a,b|c,d|e,f') throw new Error('Wrong primary key pages');
+  if (await pages({ where: { age: 30 } }) !== 'a,c|d') throw new Error('Wrong pages of a range');
+  await csop.destroy();
+}));
+
+test('IndexedDB batches: keys, collection and index records in one transaction', () => withIndexedDB(async () => {
+  const backend = new IndexedDBBackend({ dbName: 'batches' });
+  const csop = await createTestCSOP({ storage: { drivers: [backend], collections: { users: { indexes: ['age'] } } } });
+  await csop.dispatch('storage.save', { collection: 'users', key: 'a', data: { age: 30 } });
+
+  const tx = await csop.dispatch('storage.transaction', { ops: [
+    { op: 'save', key: 'total', data: 6 },
+    { op: 'save', collection: 'users', key: 'g', data: { age: 50 } },
+    { op: 'get', collection: 'users', key: 'g' }
+  ] });
+  if (tx.data[2].data.age !== 50 || (await backend.get('total')) !== 6) throw new Error('Batch not applied');
+  const failed = await csop.dispatch('storage.transaction', { ops: [
+    { op: 'save', key: 'total', data: 7, options: { ttl: 10 } },
+    { op: 'delete', collection: 'users', key: 'a' },
+    { op: 'save', key: 'bad', data: { fn() {} } }
+  ] });
+  if (failed.error?.code !== 'DataCloneError' || failed.error.retry) throw new Error(`Wrong failure: ${JSON.stringify(failed.error)}`);
+  if ((await backend.get('total')) !== 6 || (await backend.get('bad')) !== undefined) throw new Error('Keys not rolled back');
+  if ((await csop.dispatch('storage.get', { collection: 'users', key: 'a' })).data.age !== 30) throw new Error('Record not rolled back');
+  await sleep(20);
+  if ((await csop.dispatch('storage.get', { key: 'total' }, { cache: false })).data !== 6) throw new Error('Rolled back expiry applied');
+  await csop.destroy();
+}));
+
+test('IndexedDB migrations: blocked upgrades, versionchange and shared databases', () => withIndexedDB(async () => {
+  const events = [];
+  const first = new IndexedDBBackend({ dbName: 'shared', storeName: 'app-a', onEvent: (event) => events.push(`a:${event.stage}`) });
+  const second = new IndexedDBBackend({ dbName: 'shared', storeName: 'app-b', onEvent: (event) => events.push(`b:${event.stage}`) });
+  await first.open();
+  await second.open();
+  await first.put('k', 'from a');
+  await second.put('k', 'from b');
+
+  // An old connection without a versionchange handler blocks the upgrade
+  const legacy = await new Promise((resolve) => {
+    const request = indexedDB.open('shared');
+    request.onsuccess = () => resolve(request.result);
+  });
+  const upgrade = first.migrate([{ version: 1, migrate: ({ updateRecords }) => updateRecords(value => `${value}!`) }]);
+  await sleep(10);
+  if (!events.includes('a:blocked')) throw new Error(`Blocked upgrade not reported: ${events.join()}`);
+  legacy.close();
+  if (await upgrade !== 1) throw new Error('Upgrade not applied');
+  if (!events.includes('b:versionchange')) throw new Error('Versionchange not reported');
+
+  // The other store reopens on its next call and keeps its own data and version
+  if (await second.get('k') !== 'from b' || await first.get('k') !== 'from a!') throw new Error('Stores not isolated');
+  if (await second.migrate([]) !== 0) throw new Error('Schema version shared between stores');
+  await second.clear();
+  if (await first.get('k') !== 'from a!') throw new Error('Clear reached another store');
+  first.close();
+  second.close();
+}));
+
 // Run all tests
 runTests();